@@ -0,0 +1,28 @@
+var cli = require('../src/cli.js');
+
+var PREVIOUS = {
+    kept: { id: "kept", text: "still here", filePath: "src/app.js", workspaceFolder: "repo", lineNumber: 3 },
+    gone: { id: "gone", text: "deleted", filePath: "src/app.js", workspaceFolder: "repo", lineNumber: 9 },
+    vendored: { id: "vendored", text: "in a skipped file", filePath: "dist/bundle.js", workspaceFolder: "repo", lineNumber: 1 }
+};
+
+describe('getRemovedTodos', () => {
+    test('picks the TODOs of the last run that left the code', () => {
+        const removed = cli.getRemovedTodos(PREVIOUS, new Set(["kept"]), { complete: true, skippedPaths: new Set() });
+        expect(Object.keys(removed).sort()).toEqual(["gone", "vendored"]);
+        expect(removed.gone).toBe(PREVIOUS.gone);
+    });
+
+    test('keeps the TODOs of files the scan skipped or cut short', () => {
+        const removed = cli.getRemovedTodos(PREVIOUS, new Set(["kept"]), { complete: true, skippedPaths: new Set(["dist/bundle.js"]) });
+        expect(Object.keys(removed)).toEqual(["gone"]);
+    });
+
+    test('removes nothing when the scan stopped at its file limit', () => {
+        expect(cli.getRemovedTodos(PREVIOUS, new Set(), { complete: false, skippedPaths: new Set() })).toEqual({});
+    });
+
+    test('removes nothing without a previous run, whatever else the database holds', () => {
+        expect(cli.getRemovedTodos({}, new Set(["kept"]), { complete: true, skippedPaths: new Set() })).toEqual({});
+    });
+});
@@ -0,0 +1,60 @@
+var commentSyntax = require('../src/commentSyntax.js');
+
+describe('getCommentSegments', () => {
+    test('finds line comments after code and skips openers inside strings', () => {
+        const segments = commentSyntax.getCommentSegments('x = "# not a comment" # TODO real\n', 'python');
+        expect(segments).toHaveLength(1);
+        expect(segments[0]).toMatchObject({ line: 0, open: '#', kind: 'line' });
+    });
+
+    test('splits block comments into one segment per line', () => {
+        const segments = commentSyntax.getCommentSegments('/* first\n * second\n */\n', 'javascript');
+        expect(segments.map(segment => segment.line)).toEqual([0, 1, 2]);
+        expect(segments[0].open).toBe('/*');
+        expect(segments[2].close).toBe('*/');
+    });
+
+    test('uses the comment tokens of the language', () => {
+        expect(commentSyntax.getCommentSegments('select 1; -- note\n', 'sql')).toHaveLength(1);
+        expect(commentSyntax.getCommentSegments('select 1; // note\n', 'sql')).toHaveLength(0);
+        expect(commentSyntax.getCommentSegments('<p>x</p> <!-- note -->\n', 'html')[0].close).toBe('-->');
+        expect(commentSyntax.getCommentSegments('x = 1 % note\n', 'latex')).toHaveLength(1);
+    });
+
+    test('skips markdown code spans', () => {
+        const text = 'Write `<!-- TODO -->` or ``a ` <!-- x -->`` here <!-- real -->\n';
+        const segments = commentSyntax.getCommentSegments(text, 'markdown');
+        expect(segments).toHaveLength(1);
+        expect(text.slice(segments[0].contentStart, segments[0].contentEnd).trim()).toBe('real');
+        expect(commentSyntax.getCommentSegments('a lone ` then <!-- note -->\n', 'markdown')).toHaveLength(1);
+    });
+
+    test('skips markdown fenced code blocks', () => {
+        const text = [
+            '```html',
+            '<!-- TODO in a fence -->',
+            '```',
+            '~~~~',
+            '<!-- TODO in a tilde fence -->',
+            '~~~',
+            '~~~~',
+            '<!-- TODO after the fences -->'
+        ].join('\n');
+        const segments = commentSyntax.getCommentSegments(text, 'markdown');
+        expect(segments).toHaveLength(1);
+        expect(segments[0].line).toBe(7);
+        expect(commentSyntax.getCommentSegments('```\n<!-- unclosed -->\n', 'markdown')).toHaveLength(0);
+    });
+
+    test('does not treat a URL as a comment', () => {
+        expect(commentSyntax.getCommentSegments('const url = "https://example.com";\n', 'javascript')).toHaveLength(0);
+    });
+});
+
+describe('getLanguageIdForPath', () => {
+    test('maps file extensions to language identifiers', () => {
+        expect(commentSyntax.getLanguageIdForPath('lib/task.rb')).toBe('ruby');
+        expect(commentSyntax.getLanguageIdForPath('src/app.ts')).toBe('typescript');
+        expect(commentSyntax.getLanguageIdForPath('notes.unknownext')).toBeNull();
+    });
+});
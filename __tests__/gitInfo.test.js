@@ -0,0 +1,58 @@
+var gitInfo = require('../src/gitInfo.js');
+
+var SHA = "3f2c1a9e8d7b6c5a4f3e2d1c0b9a8f7e6d5c4b3a";
+
+describe('buildPermalink', () => {
+    test('links GitHub lines from ssh and https remotes', () => {
+        expect(gitInfo.buildPermalink("git@github.com:owner/repo.git", SHA, "src/app.js", 3)).toBe(`https://github.com/owner/repo/blob/${SHA}/src/app.js#L3`);
+        expect(gitInfo.buildPermalink("https://github.com/owner/repo", SHA, "src/app.js", 3)).toBe(`https://github.com/owner/repo/blob/${SHA}/src/app.js#L3`);
+    });
+
+    test('links GitLab lines, in nested groups and on self-hosted servers', () => {
+        expect(gitInfo.buildPermalink("https://gitlab.com/group/sub/repo.git", SHA, "lib/task.rb", 12)).toBe(`https://gitlab.com/group/sub/repo/-/blob/${SHA}/lib/task.rb#L12`);
+        expect(gitInfo.buildPermalink("ssh://git@gitlab.corp.com:2222/group/repo.git", SHA, "lib/task.rb", 12)).toBe(`https://gitlab.corp.com/group/repo/-/blob/${SHA}/lib/task.rb#L12`);
+    });
+
+    test('links Bitbucket lines and ignores the user of the remote', () => {
+        expect(gitInfo.buildPermalink("https://alice@bitbucket.org/team/repo.git", SHA, "app.py", 1)).toBe(`https://bitbucket.org/team/repo/src/${SHA}/app.py#lines-1`);
+    });
+
+    test('encodes each part of the file path', () => {
+        expect(gitInfo.buildPermalink("git@github.com:owner/repo.git", SHA, "docs/my notes#1.md", 2)).toBe(`https://github.com/owner/repo/blob/${SHA}/docs/my%20notes%231.md#L2`);
+    });
+
+    test('gives no permalink for unknown hosts or unreadable remotes', () => {
+        expect(gitInfo.buildPermalink("git@example.com:owner/repo.git", SHA, "src/app.js", 3)).toBeUndefined();
+        expect(gitInfo.buildPermalink("/srv/git/repo.git", SHA, "src/app.js", 3)).toBeUndefined();
+    });
+});
+
+describe('parseBlame', () => {
+    test('reads the author, email and date of each committed line', () => {
+        const output = [
+            `${SHA} 3 3 1`,
+            "author Alice Smith",
+            "author-mail <alice@corp.com>",
+            "author-time 1767225600",
+            "author-tz +0000",
+            "summary Add the task runner",
+            "filename src/app.js",
+            "\t// TODO fix it",
+            `${"0".repeat(40)} 7 8 1`,
+            "author Not Committed Yet",
+            "author-mail <not.committed.yet>",
+            "author-time 1767312000",
+            "filename src/app.js",
+            "\t// TODO not committed",
+            ""
+        ].join("\n");
+        expect(gitInfo.parseBlame(output)).toEqual({
+            3: { author: "Alice Smith", email: "alice@corp.com", date: "2026-01-01T00:00:00.000Z" }
+        });
+    });
+
+    test('keys lines by their number in the current file', () => {
+        const output = `${SHA} 10 4 1\nauthor Bob\nauthor-mail <bob@corp.com>\nauthor-time 0\n\t// FIXME moved\n`;
+        expect(Object.keys(gitInfo.parseBlame(output))).toEqual(["4"]);
+    });
+});
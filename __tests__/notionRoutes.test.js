@@ -0,0 +1,61 @@
+var { installHost } = require('./testHost.js');
+var notionRoutes = require('../src/notionRoutes.js');
+
+var ROUTES = [
+    { folder: "backend", databaseId: "backend-db" },
+    { glob: "packages/web/**", databaseId: "web-db" }
+];
+
+describe('getDatabaseIdForTodo', () => {
+    test('picks the first matching route, then the default database', () => {
+        installHost({ databaseId: "default-db", databaseRoutes: ROUTES });
+        expect(notionRoutes.getDatabaseIdForTodo({ filePath: "src/app.js", workspaceFolder: "backend" }, [])).toBe("backend-db");
+        expect(notionRoutes.getDatabaseIdForTodo({ filePath: "packages/web/index.js", workspaceFolder: "frontend" }, [])).toBe("web-db");
+        expect(notionRoutes.getDatabaseIdForTodo({ filePath: "packages/api/index.js", workspaceFolder: "frontend" }, [])).toBe("default-db");
+    });
+
+    test('routes absolute paths stored before paths were portable by their workspace folder', () => {
+        installHost({ databaseRoutes: ROUTES });
+        const folders = [{ name: "backend", fsPath: "/repo/backend" }];
+        expect(notionRoutes.getDatabaseIdForTodo({ filePath: "/repo/backend/src/app.js" }, folders)).toBe("backend-db");
+    });
+
+    test('leaves TODOs matching no route without a database when there is no default', () => {
+        installHost({ databaseRoutes: ROUTES });
+        expect(notionRoutes.getDatabaseIdForTodo({ filePath: "README.md", workspaceFolder: "docs" }, [])).toBe("");
+    });
+});
+
+describe('getDatabaseIds', () => {
+    test('lists the default database first, without duplicates', () => {
+        installHost({ databaseId: "web-db", databaseRoutes: ROUTES.concat([{ folder: "api", databaseId: "backend-db" }]) });
+        expect(notionRoutes.getDatabaseIds()).toEqual(["web-db", "backend-db"]);
+    });
+});
+
+describe('groupByDatabase', () => {
+    test('splits the TODOs and their cached state by database', () => {
+        installHost({ databaseId: "default-db", databaseRoutes: ROUTES });
+        const api = { id: "a", filePath: "src/app.js", workspaceFolder: "backend" };
+        const web = { id: "w", filePath: "packages/web/index.js", workspaceFolder: "frontend" };
+        const groups = notionRoutes.groupByDatabase([api, web], { a: api }, []);
+        expect(Object.keys(groups).sort()).toEqual(["backend-db", "web-db"]);
+        expect(groups["backend-db"]).toEqual({ todos: [api], cachedTodos: { a: api } });
+        expect(groups["web-db"]).toEqual({ todos: [web], cachedTodos: {} });
+    });
+
+    test('keeps a TODO whose route changed in the cache of its old database only', () => {
+        installHost({ databaseId: "default-db", databaseRoutes: ROUTES });
+        const moved = { id: "m", filePath: "packages/web/moved.js", workspaceFolder: "frontend" };
+        const before = { id: "m", filePath: "lib/moved.js", workspaceFolder: "frontend" };
+        const groups = notionRoutes.groupByDatabase([moved], { m: before }, []);
+        expect(groups["web-db"]).toEqual({ todos: [moved], cachedTodos: {} });
+        expect(groups["default-db"]).toEqual({ todos: [], cachedTodos: { m: before } });
+    });
+
+    test('groups TODOs matching no route under an empty database ID when there is no default', () => {
+        installHost({ databaseRoutes: ROUTES });
+        const stray = { id: "s", filePath: "README.md", workspaceFolder: "docs" };
+        expect(notionRoutes.groupByDatabase([stray], {}, [])[""]).toEqual({ todos: [stray], cachedTodos: {} });
+    });
+});
@@ -0,0 +1,106 @@
+var notionScheduler;
+
+/**
+ * Builds an error as thrown by the Notion client for a failed response.
+ * @param {number} status - The HTTP status.
+ * @param {string} code - The Notion error code.
+ * @param {Object} [headers] - The response headers.
+ * @returns {Error} The error.
+ */
+function responseError(status, code, headers = {}) {
+    return Object.assign(new Error(`${status} ${code}`), { status, code, headers });
+}
+
+beforeEach(() => {
+    jest.useFakeTimers();
+    jest.resetModules();
+    notionScheduler = require('../src/notionScheduler.js');
+});
+
+afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+});
+
+describe('schedule', () => {
+    test('starts at most three requests per second', async () => {
+        const call = jest.fn().mockResolvedValue('ok');
+        for (let i = 0; i < 4; i++) {
+            notionScheduler.schedule(call, `request ${i}`);
+        }
+        await jest.advanceTimersByTimeAsync(0);
+        expect(call).toHaveBeenCalledTimes(3);
+        await jest.advanceTimersByTimeAsync(1000);
+        expect(call).toHaveBeenCalledTimes(4);
+    });
+
+    test('waits for Retry-After on a 429 and holds back every other request meanwhile', async () => {
+        const limited = jest.fn()
+            .mockRejectedValueOnce(responseError(429, 'rate_limited', { 'retry-after': '2' }))
+            .mockResolvedValueOnce('page');
+        const result = notionScheduler.schedule(limited, 'pages.create');
+        await jest.advanceTimersByTimeAsync(0);
+        expect(limited).toHaveBeenCalledTimes(1);
+
+        const other = jest.fn().mockResolvedValue('other');
+        notionScheduler.schedule(other, 'databases.query');
+        await jest.advanceTimersByTimeAsync(1999);
+        expect(limited).toHaveBeenCalledTimes(1);
+        expect(other).not.toHaveBeenCalled();
+
+        await jest.advanceTimersByTimeAsync(1);
+        expect(limited).toHaveBeenCalledTimes(2);
+        expect(other).toHaveBeenCalledTimes(1);
+        await expect(result).resolves.toBe('page');
+    });
+
+    test('backs off exponentially on a 5xx', async () => {
+        jest.spyOn(Math, 'random').mockReturnValue(0);
+        const call = jest.fn()
+            .mockRejectedValueOnce(responseError(503, 'service_unavailable'))
+            .mockRejectedValueOnce(responseError(502, 'internal_server_error'))
+            .mockResolvedValueOnce('ok');
+        const result = notionScheduler.schedule(call, 'pages.update');
+        await jest.advanceTimersByTimeAsync(499);
+        expect(call).toHaveBeenCalledTimes(1);
+        await jest.advanceTimersByTimeAsync(1);
+        expect(call).toHaveBeenCalledTimes(2);
+        await jest.advanceTimersByTimeAsync(999);
+        expect(call).toHaveBeenCalledTimes(2);
+        await jest.advanceTimersByTimeAsync(1);
+        expect(call).toHaveBeenCalledTimes(3);
+        await expect(result).resolves.toBe('ok');
+    });
+
+    test('does not retry a 400', async () => {
+        const error = responseError(400, 'validation_error');
+        const call = jest.fn().mockRejectedValue(error);
+        const result = notionScheduler.schedule(call, 'pages.create');
+        const rejected = expect(result).rejects.toBe(error);
+        await jest.advanceTimersByTimeAsync(60000);
+        await rejected;
+        expect(call).toHaveBeenCalledTimes(1);
+    });
+
+    test('gives up after the last retry', async () => {
+        const error = responseError(500, 'internal_server_error');
+        const call = jest.fn().mockRejectedValue(error);
+        const result = notionScheduler.schedule(call, 'pages.update');
+        const rejected = expect(result).rejects.toBe(error);
+        await jest.advanceTimersByTimeAsync(120000);
+        await rejected;
+        expect(call).toHaveBeenCalledTimes(6);
+    });
+});
+
+describe('isTransientError', () => {
+    test('retries rate limiting, server errors and network failures only', () => {
+        expect(notionScheduler.isTransientError(responseError(429, 'rate_limited'))).toBe(true);
+        expect(notionScheduler.isTransientError(responseError(504, 'gateway_timeout'))).toBe(true);
+        expect(notionScheduler.isTransientError(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' }))).toBe(true);
+        expect(notionScheduler.isTransientError(Object.assign(new TypeError('fetch failed'), { cause: { code: 'ENOTFOUND' } }))).toBe(true);
+        expect(notionScheduler.isTransientError(responseError(400, 'validation_error'))).toBe(false);
+        expect(notionScheduler.isTransientError(responseError(401, 'unauthorized'))).toBe(false);
+        expect(notionScheduler.isTransientError(null)).toBe(false);
+    });
+});
@@ -0,0 +1,43 @@
+var { installHost } = require('./testHost.js');
+var notionUsers = require('../src/notionUsers.js');
+
+var ALICE = { id: "u-alice", name: "Alice Smith", email: "alice@corp.com" };
+var SAM_CORP = { id: "u-sam-corp", name: "Sam Lee", email: "sam@corp.com" };
+var SAM_AGENCY = { id: "u-sam-agency", name: "Sam Park", email: "sam@agency.com" };
+var NO_EMAIL = { id: "u-guest", name: "Jo Guest" };
+var USERS = [ALICE, SAM_CORP, SAM_AGENCY, NO_EMAIL];
+
+beforeEach(() => {
+    installHost();
+});
+
+describe('resolveAssignees', () => {
+    test('matches handles by email, email name or name without spaces, ignoring case', () => {
+        const { ids, unknown } = notionUsers.resolveAssignees(["@alice", "SAM@corp.com", "@joguest"], USERS);
+        expect(ids).toEqual(["u-alice", "u-sam-corp", "u-guest"]);
+        expect(unknown).toEqual([]);
+    });
+
+    test('leaves handles matching several users or none unresolved', () => {
+        const { ids, unknown } = notionUsers.resolveAssignees(["@sam", "@carol", "nobody@corp.com"], USERS);
+        expect(ids).toEqual([]);
+        expect(unknown).toEqual(["@sam", "@carol", "nobody@corp.com"]);
+    });
+
+    test('resolves aliases and lists a user named twice once', () => {
+        installHost({ assigneeAliases: { "@sl": "sam@corp.com" } });
+        const { ids, unknown } = notionUsers.resolveAssignees(["@sl", "@SL", "sam@corp.com"], USERS);
+        expect(ids).toEqual(["u-sam-corp"]);
+        expect(unknown).toEqual([]);
+    });
+});
+
+describe('mergeAssignees', () => {
+    test('keeps the handles of code when Notion assigns the same people', () => {
+        expect(notionUsers.mergeAssignees(["@alice"], [ALICE], USERS)).toBeNull();
+    });
+
+    test('writes a handle that tells a new assignee apart and keeps unknown handles', () => {
+        expect(notionUsers.mergeAssignees(["@alice", "@carol"], [SAM_CORP, NO_EMAIL], USERS)).toEqual(["sam@corp.com", "@JoGuest", "@carol"]);
+    });
+});
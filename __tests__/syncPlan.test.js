@@ -0,0 +1,64 @@
+var syncPlan = require('../src/syncPlan.js');
+
+var TODO = { id: "abc", text: "fix it", type: "TODO", filePath: "src/app.js", workspaceFolder: "repo", lineNumber: 4 };
+
+describe('createStep', () => {
+    test('keys a step by target, kind and TODO ID and copies the TODO location', () => {
+        const step = syncPlan.createStep("notion", "create", TODO);
+        expect(step).toMatchObject({ key: "notion:create:abc", target: "notion", kind: "create", todoId: "abc", text: "fix it", filePath: "src/app.js", lineNumber: 4 });
+        expect(step.changes).toEqual([]);
+    });
+
+    test('shows the text a step writes instead of the current one', () => {
+        const step = syncPlan.createStep("code", "update", TODO, { text: "fixed in notion", pageId: "page", changes: [{ field: "text", from: "fix it", to: "fixed in notion" }] });
+        expect(step.text).toBe("fixed in notion");
+        expect(step.pageId).toBe("page");
+        expect(step.changes).toHaveLength(1);
+    });
+});
+
+describe('isSelected', () => {
+    test('applies every step without a selection, else only the picked ones', () => {
+        const create = syncPlan.createStep("notion", "create", TODO);
+        const archive = syncPlan.createStep("notion", "archive", TODO);
+        expect(syncPlan.isSelected(create)).toBe(true);
+        expect(syncPlan.isSelected(create, new Set([create.key]))).toBe(true);
+        expect(syncPlan.isSelected(archive, new Set([create.key]))).toBe(false);
+        expect(syncPlan.isSelected(create, new Set())).toBe(false);
+    });
+});
+
+describe('formatChange', () => {
+    test('shows the value before and after', () => {
+        expect(syncPlan.formatChange({ field: "text", from: "old", to: "new" })).toBe('text: "old" → "new"');
+        expect(syncPlan.formatChange({ field: "lineNumber", from: 3, to: 5 })).toBe('lineNumber: 3 → 5');
+    });
+
+    test('shows only the new value when the old one was not read', () => {
+        expect(syncPlan.formatChange({ field: "description", from: undefined, to: "body" })).toBe('description: "body"');
+    });
+
+    test('formats empty values, lists and people', () => {
+        expect(syncPlan.formatChange({ field: "due", from: "", to: null })).toBe('due: (none) → (none)');
+        expect(syncPlan.formatChange({ field: "labels", from: [], to: ["backend", "api"] })).toBe('labels: (none) → backend, api');
+        expect(syncPlan.formatChange({ field: "assignees", from: [{ name: "Alice" }], to: [{ email: "bob@example.com" }] })).toBe('assignees: Alice → bob@example.com');
+    });
+
+    test('keeps long and multi-line values on one short line', () => {
+        const formatted = syncPlan.formatValue(`first line\n${"x".repeat(100)}`);
+        expect(formatted).toMatch(/^"first line ⏎ x+…"$/);
+        expect(formatted.length).toBe(62);
+    });
+});
+
+describe('summarize', () => {
+    test('counts the steps per kind in the order they come', () => {
+        const plan = [
+            syncPlan.createStep("notion", "create", TODO),
+            syncPlan.createStep("code", "delete", TODO),
+            syncPlan.createStep("notion", "create", Object.assign({}, TODO, { id: "def" }))
+        ];
+        expect(syncPlan.summarize(plan)).toBe("2 Create page, 1 Delete comment");
+        expect(syncPlan.summarize([])).toBe("");
+    });
+});
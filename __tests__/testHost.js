@@ -0,0 +1,22 @@
+/**
+ * Installs a host for the sync core with the given TODOtoNOTION settings, so modules run without VSCode.
+ * @param {Object} [settings] - The settings, keyed without the TODOtoNOTION. prefix.
+ * @param {Array} [workspaceFolders] - The workspace folders as { name, fsPath }.
+ * @returns {Object} The messages shown, per kind.
+ */
+function installHost(settings = {}, workspaceFolders = []) {
+    const messages = { info: [], warning: [], error: [] };
+    require('../src/host.js').init({
+        getConfiguration: () => ({ get: (key, defaultValue) => settings[key] !== undefined ? settings[key] : defaultValue }),
+        getWorkspaceFolders: () => workspaceFolders,
+        showInformationMessage: message => { messages.info.push(message); },
+        showWarningMessage: message => { messages.warning.push(message); },
+        showErrorMessage: message => { messages.error.push(message); },
+        executeCommand: () => undefined
+    });
+    return messages;
+}
+
+module.exports = {
+    installHost
+};
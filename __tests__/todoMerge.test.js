@@ -0,0 +1,53 @@
+var todoMerge = require('../src/todoMerge.js');
+
+/**
+ * Returns an extension context whose workspace state is kept in memory.
+ * @returns {Object} The context.
+ */
+function createContext() {
+    const state = {};
+    return {
+        workspaceState: {
+            get: (key, defaultValue) => state[key] !== undefined ? state[key] : defaultValue,
+            update: async (key, value) => { state[key] = value; }
+        }
+    };
+}
+
+describe('mergeText', () => {
+    test('agrees when both sides have the same text, with or without a baseline', () => {
+        expect(todoMerge.mergeText('old', 'new', 'new')).toBe('same');
+        expect(todoMerge.mergeText(undefined, 'same', 'same')).toBe('same');
+    });
+
+    test('picks the side that changed since the baseline', () => {
+        expect(todoMerge.mergeText('old', 'old', 'edited in notion')).toBe('notion');
+        expect(todoMerge.mergeText('old', 'edited in code', 'old')).toBe('code');
+    });
+
+    test('reports a conflict when both sides changed', () => {
+        expect(todoMerge.mergeText('old', 'edited in code', 'edited in notion')).toBe('conflict');
+    });
+
+    test('cannot tell the sides apart without a baseline', () => {
+        expect(todoMerge.mergeText(undefined, 'code', 'notion')).toBe('unknown');
+    });
+
+    test('treats an empty baseline as a baseline', () => {
+        expect(todoMerge.mergeText('', '', 'filled in notion')).toBe('notion');
+    });
+});
+
+describe('baselines', () => {
+    test('are kept per TODO ID and forgotten on request', async () => {
+        const context = createContext();
+        await todoMerge.setBaselines(context, { a: 'first', b: 'second' });
+        expect(todoMerge.getBaseline(context, 'a')).toBe('first');
+        expect(todoMerge.getBaseline(context, 'c')).toBeUndefined();
+
+        await todoMerge.setBaselines(context, { a: 'agreed again' });
+        await todoMerge.removeBaselines(context, ['b']);
+        expect(todoMerge.getBaseline(context, 'a')).toBe('agreed again');
+        expect(todoMerge.getBaseline(context, 'b')).toBeUndefined();
+    });
+});
@@ -0,0 +1,154 @@
+var { installHost } = require('./testHost.js');
+var todoParser = require('../src/todoParser.js');
+
+beforeEach(() => {
+    installHost();
+});
+
+describe('findTodoComments', () => {
+    test('finds TODOs in the comment syntax of each language', () => {
+        expect(todoParser.findTodoComments('# TODO ruby\n', 'ruby')[0].text).toBe('ruby');
+        expect(todoParser.findTodoComments('-- TODO sql\n', 'sql')[0].text).toBe('sql');
+        expect(todoParser.findTodoComments('; TODO lisp\n', 'clojure')[0].text).toBe('lisp');
+        expect(todoParser.findTodoComments('<!-- TODO markup -->\n', 'html')[0].text).toBe('markup');
+        expect(todoParser.findTodoComments('def f():\n    """TODO docstring"""\n', 'python')[0].text).toBe('docstring');
+    });
+
+    test('ignores tags in strings and in the middle of a comment', () => {
+        const text = 'const s = "// TODO not a comment";\n// see the TODO list\n';
+        expect(todoParser.findTodoComments(text, 'javascript')).toHaveLength(0);
+    });
+
+    test('reads the tag, text and ID', () => {
+        const [todo] = todoParser.findTodoComments('/* FIXME: fix it [id:abc] */\n', 'javascript');
+        expect(todo).toMatchObject({ tag: 'FIXME', text: 'fix it', id: 'abc', open: '/*', close: '*/' });
+    });
+
+    test('reads assignees from the annotation and keeps other parentheses in the text', () => {
+        const [annotated, plain] = todoParser.findTodoComments('// TODO(@alice, bob@corp.com) fix it\n// TODO(later) tidy up\n', 'javascript');
+        expect(annotated).toMatchObject({ text: 'fix it', annotation: { assignees: ['@alice', 'bob@corp.com'] } });
+        expect(plain).toMatchObject({ text: '(later) tidy up', annotation: null });
+    });
+
+    test('reads the priority, due date and labels of the annotation', () => {
+        const [todo, invalid] = todoParser.findTodoComments('// TODO(@alice, P1, due:2026-12-01, #backend #perf) fix it\n// TODO(due:2026-13-45) later\n', 'javascript');
+        expect(todo.annotation).toEqual({ assignees: ['@alice'], priority: 'p1', due: '2026-12-01', labels: ['backend', 'perf'] });
+        expect(todo.text).toBe('fix it');
+        expect(invalid.annotation).toBeNull();
+    });
+
+    test('reads the comment lines below a TODO as its description', () => {
+        const [lineTodo] = todoParser.findTodoComments('// TODO fix it\n// more detail\n// and more\n\n// unrelated\n', 'javascript');
+        expect(lineTodo.descriptionLines.map(line => line.text)).toEqual(['more detail', 'and more']);
+        const [blockTodo] = todoParser.findTodoComments('/* TODO fix it\n * in a block\n */\n', 'javascript');
+        expect(blockTodo.descriptionLines.map(line => line.text)).toEqual(['in a block']);
+    });
+
+    test('ends a description at the next TODO', () => {
+        const todos = todoParser.findTodoComments('// TODO first\n// FIXME second\n', 'javascript');
+        expect(todos.map(todo => todo.text)).toEqual(['first', 'second']);
+        expect(todos[0].descriptionLines).toEqual([]);
+    });
+});
+
+describe('parseTodosInText', () => {
+    test('records the portable location of each TODO', () => {
+        const [todo] = todoParser.parseTodosInText('\n// TODO kept [id:t1]\n', 'javascript', { filePath: 'src/a.js', workspaceFolder: 'ws' });
+        expect(todo).toMatchObject({ id: 't1', text: 'kept', filePath: 'src/a.js', workspaceFolder: 'ws', lineNumber: 2 });
+    });
+
+    test('flags IDs it had to generate', () => {
+        const [withId, withoutId] = todoParser.parseTodosInText('// TODO kept [id:t1]\n// TODO new\n', 'javascript', { filePath: 'src/a.js', workspaceFolder: 'ws' });
+        expect(withId.idGenerated).toBe(false);
+        expect(withoutId.idGenerated).toBe(true);
+        expect(withoutId.id).toEqual(expect.any(String));
+    });
+});
+
+describe('formatTodoAnnotation', () => {
+    test('rewrites the values it is given and keeps the others', () => {
+        const lineText = '// TODO(@alice, p2) fix it';
+        const [todo] = todoParser.findTodoComments(lineText, 'javascript');
+        const edit = todoParser.formatTodoAnnotation(todo, { priority: 'p1', labels: ['api'] });
+        expect(lineText.slice(0, edit.startColumn) + edit.text + lineText.slice(edit.endColumn)).toBe('// TODO(@alice, p1, #api) fix it');
+    });
+
+    test('drops the parentheses when nothing is left to annotate', () => {
+        const lineText = '// TODO(p2) fix it';
+        const [todo] = todoParser.findTodoComments(lineText, 'javascript');
+        const edit = todoParser.formatTodoAnnotation(todo, { priority: null });
+        expect(lineText.slice(0, edit.startColumn) + edit.text + lineText.slice(edit.endColumn)).toBe('// TODO fix it');
+    });
+});
+
+describe('formatTodoBody', () => {
+    test('rewrites the body and keeps the comment tokens', () => {
+        const lineText = '/* TODO old */';
+        const [todo] = todoParser.findTodoComments(lineText, 'javascript');
+        const edit = todoParser.formatTodoBody(lineText, todo, 'new', 'abc');
+        expect(lineText.slice(0, edit.startColumn) + edit.text + lineText.slice(edit.endColumn)).toBe('/* TODO new [id:abc] */');
+    });
+});
+
+describe('tag vocabulary', () => {
+    test('maps a configured tag to its Notion type, status and priority', () => {
+        installHost({ tags: ['TODO', { tag: 'note', type: 'Note', status: 'Backlog', priority: 'Low' }] });
+        const document = { uri: { fsPath: '/repo/a.js' }, languageId: 'javascript', lineCount: 1, getText: () => '// NOTE: remember this\n' };
+        const [todo] = todoParser.parseTodos(document);
+        expect(todo).toMatchObject({ tag: 'NOTE', type: 'Note', status: 'Backlog', priority: 'Low', text: 'remember this' });
+    });
+
+    test('ignores tags that are not configured', () => {
+        installHost({ tags: ['TODO'] });
+        expect(todoParser.findTodoComments('// FIXME not synced\n// TODO synced\n', 'javascript').map(todo => todo.tag)).toEqual(['TODO']);
+    });
+
+    test('falls back to the default tags when none are valid', () => {
+        installHost({ tags: [{ tag: ' ' }] });
+        expect(todoParser.findTodoComments('// BUG default\n', 'javascript')[0].tag).toBe('BUG');
+    });
+});
+
+describe('formatTodoDescription', () => {
+    /**
+     * Applies an edit spanning lines to a text.
+     * @param {string} text - The text.
+     * @param {Object} edit - The edit as returned by formatTodoDescription.
+     * @returns {string} The edited text.
+     */
+    function applyEdit(text, edit) {
+        const lines = text.split('\n');
+        const offset = (line, column) => lines.slice(0, line).reduce((sum, lineText) => sum + lineText.length + 1, 0) + column;
+        return text.slice(0, offset(edit.startLine, edit.startColumn)) + edit.text + text.slice(offset(edit.endLine, edit.endColumn));
+    }
+
+    /**
+     * Rewrites the description of the first TODO in a JavaScript text.
+     * @param {string} text - The text.
+     * @param {string} description - The description to write.
+     * @returns {string|null} The edited text, or null if the description cannot be written.
+     */
+    function rewrite(text, description) {
+        const [todo] = todoParser.findTodoComments(text, 'javascript');
+        const edit = todoParser.formatTodoDescription(text.split('\n')[todo.line], todo, description);
+        return edit ? applyEdit(text, edit) : null;
+    }
+
+    test('replaces the description lines and keeps their prefix', () => {
+        const text = '    // TODO fix it\n    // old detail\n    // second\nrun();\n';
+        expect(rewrite(text, 'new detail\nnext')).toBe('    // TODO fix it\n    // new detail\n    // next\nrun();\n');
+    });
+
+    test('removes the description lines', () => {
+        expect(rewrite('// TODO fix it\n// old detail\nrun();\n', '')).toBe('// TODO fix it\nrun();\n');
+    });
+
+    test('adds lines in the style of the TODO comment', () => {
+        expect(rewrite('run(); // TODO fix it\n', 'detail')).toBe('run(); // TODO fix it\n// detail\n');
+        expect(rewrite('  /* TODO fix it\n   */\n', 'detail')).toBe('  /* TODO fix it\n   * detail\n   */\n');
+    });
+
+    test('cannot add a description to a single-line block comment', () => {
+        expect(rewrite('/* TODO: fix it */\n', 'detail')).toBeNull();
+    });
+});
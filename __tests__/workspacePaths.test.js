@@ -0,0 +1,82 @@
+var workspacePaths = require('../src/workspacePaths.js');
+
+var FOLDERS = [
+    { name: "api", fsPath: "/home/dev/shop/api" },
+    { name: "web", fsPath: "/home/dev/shop/web" },
+    { name: "shared", fsPath: "/home/dev/shop/api/shared" }
+];
+
+describe('toPortablePath', () => {
+    test('stores paths relative to the innermost workspace folder, with forward slashes', () => {
+        expect(workspacePaths.toPortablePath("/home/dev/shop/web/src/app.js", FOLDERS)).toEqual({ filePath: "src/app.js", workspaceFolder: "web" });
+        expect(workspacePaths.toPortablePath("/home/dev/shop/api/shared/util.js", FOLDERS)).toEqual({ filePath: "util.js", workspaceFolder: "shared" });
+    });
+
+    test('keeps the absolute path of files outside the workspace', () => {
+        expect(workspacePaths.toPortablePath("/home/dev/shop/apis/app.js", FOLDERS)).toEqual({ filePath: "/home/dev/shop/apis/app.js", workspaceFolder: "" });
+        expect(workspacePaths.toPortablePath("/home/dev/shop/api", FOLDERS)).toEqual({ filePath: "/home/dev/shop/api", workspaceFolder: "" });
+    });
+});
+
+describe('toAbsolutePath', () => {
+    test('resolves a stored path in the workspace folder of its name', () => {
+        expect(workspacePaths.toAbsolutePath("src/app.js", "web", FOLDERS)).toBe("/home/dev/shop/web/src/app.js");
+        expect(workspacePaths.toAbsolutePath("src/app.js", "mobile", FOLDERS)).toBeNull();
+    });
+
+    test('resolves a stored path in the only workspace folder, whatever the clone is called', () => {
+        expect(workspacePaths.toAbsolutePath("src/app.js", "web", [{ name: "web-fork", fsPath: "/tmp/web-fork" }])).toBe("/tmp/web-fork/src/app.js");
+    });
+
+    test('round-trips the paths of every workspace folder', () => {
+        ["/home/dev/shop/api/routes/orders.js", "/home/dev/shop/api/shared/util.js", "/home/dev/shop/web/index.html"].forEach(absolutePath => {
+            const { filePath, workspaceFolder } = workspacePaths.toPortablePath(absolutePath, FOLDERS);
+            expect(workspacePaths.toAbsolutePath(filePath, workspaceFolder, FOLDERS)).toBe(absolutePath);
+        });
+    });
+
+    test('keeps absolute paths only when they lie in the workspace', () => {
+        expect(workspacePaths.toAbsolutePath("/home/dev/shop/api/app.js", "", FOLDERS)).toBe("/home/dev/shop/api/app.js");
+        expect(workspacePaths.toAbsolutePath("/home/other/app.js", "", FOLDERS)).toBeNull();
+        expect(workspacePaths.toAbsolutePath("C:\\Users\\dev\\shop\\api\\app.js", "api", FOLDERS)).toBeNull();
+        expect(workspacePaths.toAbsolutePath("", "api", FOLDERS)).toBeNull();
+    });
+});
+
+describe('isAbsolutePath', () => {
+    test('recognizes absolute paths written on Windows', () => {
+        expect(workspacePaths.isAbsolutePath("C:\\Users\\dev\\app.js")).toBe(true);
+        expect(workspacePaths.isAbsolutePath("d:/work/app.js")).toBe(true);
+        expect(workspacePaths.isAbsolutePath("\\\\server\\share\\app.js")).toBe(true);
+        expect(workspacePaths.isAbsolutePath("/home/dev/app.js")).toBe(true);
+        expect(workspacePaths.isAbsolutePath("src/app.js")).toBe(false);
+    });
+});
+
+describe('globToRegExp', () => {
+    test('matches paths below a folder with ** and single segments with *', () => {
+        const regex = workspacePaths.globToRegExp("src/**/*.js");
+        expect(regex.test("src/app.js")).toBe(true);
+        expect(regex.test("src/lib/deep/app.js")).toBe(true);
+        expect(regex.test("src/app.ts")).toBe(false);
+        expect(regex.test("test/src/app.js")).toBe(false);
+        expect(workspacePaths.globToRegExp("src/*.js").test("src/lib/app.js")).toBe(false);
+    });
+
+    test('supports braces, character classes and ?', () => {
+        expect(workspacePaths.globToRegExp("packages/{api,web}/**").test("packages/web/index.js")).toBe(true);
+        expect(workspacePaths.globToRegExp("packages/{api,web}/**").test("packages/cli/index.js")).toBe(false);
+        expect(workspacePaths.globToRegExp("v[0-9]/?.md").test("v2/a.md")).toBe(true);
+        expect(workspacePaths.globToRegExp("v[!0-9]/a.md").test("v2/a.md")).toBe(false);
+    });
+
+    test('covers the files of a folder and accepts globs written with Windows separators', () => {
+        expect(workspacePaths.globToRegExp("packages\\api").test("packages/api/src/app.js")).toBe(true);
+        expect(workspacePaths.globToRegExp("./docs").test("docs/guide.md")).toBe(true);
+        expect(workspacePaths.globToRegExp("docs").test("docs-old/guide.md")).toBe(false);
+    });
+
+    test('matches dots literally', () => {
+        expect(workspacePaths.globToRegExp("*.min.js").test("appxminxjs")).toBe(false);
+    });
+});
@@ -0,0 +1,13 @@
+#!/usr/bin/env node
+/**
+ * Entry point of the todo-to-notion command line; see src/cli.js.
+ */
+
+var cli = require('../src/cli.js');
+
+cli.main(process.argv.slice(2)).then(exitCode => {
+    process.exitCode = exitCode;
+}, error => {
+    console.error("error: " + (error && error.stack || error));
+    process.exitCode = 1;
+});
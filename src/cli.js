@@ -0,0 +1,481 @@
+/**
+ * The todo-to-notion command line of the TODOtoNOTION extension, for syncing TODOs without VSCode, e.g. in CI.
+ * Settings come from .todo-to-notion.json at the repository root, holding the TODOtoNOTION settings with
+ * or without their "TODOtoNOTION." prefix; the token comes from the NOTION_TOKEN environment variable.
+ * The repository is the only workspace folder, named after its directory unless --folder names it.
+ */
+
+var fs = require('fs');
+var path = require('path');
+var childProcess = require('child_process');
+var host = require('./host.js');
+var config = require('./config.js');
+var commentSyntax = require('./commentSyntax.js');
+var todoParser = require('./todoParser.js');
+var notionTodo = require('./notionTodo.js');
+var notionRoutes = require('./notionRoutes.js');
+var workspacePaths = require('./workspacePaths.js');
+var syncPlan = require('./syncPlan.js');
+var syncHistory = require('./syncHistory.js');
+
+var CONFIG_FILE = '.todo-to-notion.json';
+var SETTING_PREFIX = 'TODOtoNOTION.';
+var TOKEN_VARIABLE = 'NOTION_TOKEN';
+var DATABASE_VARIABLE = 'NOTION_DATABASE_ID';
+var STATE_TODOS_KEY = 'TODOtoNOTION.cliTodos';
+var MAX_FILES = 10000;
+var MAX_FILE_SIZE = 1024 * 1024;
+var SKIPPED_DIRECTORIES = ['.git', 'node_modules'];
+
+var USAGE = `Usage: todo-to-notion <command> [options]
+
+Commands:
+  scan               List the TODOs found in the repository
+  sync               Sync the TODOs of the repository to Notion
+  dry-run            Show what sync would change in Notion, without changing it
+
+Options:
+  --dry-run          With sync: only show what would change
+  --root <dir>       Repository root (default: the current directory)
+  --config <file>    Settings file (default: <root>/${CONFIG_FILE})
+  --state <file>     File keeping the last synced TODOs between runs, so unchanged TODOs are not rewritten
+                     and TODOs removed from the code are found
+  --folder <name>    Workspace folder name written to Notion and matched by databaseRoutes
+                     (default: the name of the root directory)
+  --json             Print JSON instead of text
+  --verbose          Print debug output
+  --help             Show this help
+
+Environment:
+  ${TOKEN_VARIABLE}                  Notion integration token
+  ${TOKEN_VARIABLE}_<database ID>    Token of one database of databaseRoutes, ID without dashes
+  ${DATABASE_VARIABLE}             Database ID, instead of databaseId in the settings file`;
+
+/**
+ * Parses the command line arguments.
+ * @param {Array<string>} args - The arguments after the script name.
+ * @returns {Object} The command, dryRun, root, configFile, stateFile, folderName, json, verbose and help options.
+ * @throws {Error} If an option is unknown or misses its value.
+ */
+function parseArguments(args) {
+    const options = { command: undefined, dryRun: false, root: process.cwd(), configFile: undefined, stateFile: undefined, folderName: undefined, json: false, verbose: false, help: false };
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        const value = () => {
+            if (i + 1 >= args.length) {
+                throw new Error(`${arg} needs a value.`);
+            }
+            return args[++i];
+        };
+        if (arg === '--dry-run') {
+            options.dryRun = true;
+        } else if (arg === '--root') {
+            options.root = path.resolve(value());
+        } else if (arg === '--config') {
+            options.configFile = path.resolve(value());
+        } else if (arg === '--state') {
+            options.stateFile = path.resolve(value());
+        } else if (arg === '--folder') {
+            options.folderName = value();
+        } else if (arg === '--json') {
+            options.json = true;
+        } else if (arg === '--verbose') {
+            options.verbose = true;
+        } else if (arg === '--help' || arg === '-h') {
+            options.help = true;
+        } else if (!arg.startsWith('-') && !options.command) {
+            options.command = arg;
+        } else {
+            throw new Error(`Unknown argument: ${arg}`);
+        }
+    }
+    if (options.command === 'dry-run') {
+        options.command = 'sync';
+        options.dryRun = true;
+    }
+    return options;
+}
+
+/**
+ * Reads the settings file. Keys may carry the "TODOtoNOTION." prefix, as in VSCode settings.
+ * @param {string} configFile - The settings file.
+ * @param {boolean} required - Whether a missing file is an error rather than no settings.
+ * @returns {Object} The settings, keyed without prefix.
+ * @throws {Error} If the file cannot be read or is not a JSON object.
+ */
+function readSettings(configFile, required) {
+    if (!fs.existsSync(configFile) && !required) {
+        return {};
+    }
+    const parsed = JSON.parse(fs.readFileSync(configFile, 'utf8'));
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+        throw new Error(`${configFile} must hold a JSON object of settings.`);
+    }
+    const settings = {};
+    Object.keys(parsed).forEach(key => {
+        settings[key.startsWith(SETTING_PREFIX) ? key.slice(SETTING_PREFIX.length) : key] = parsed[key];
+    });
+    return settings;
+}
+
+/**
+ * Builds the host the sync core runs in on the command line: settings from the settings file and
+ * messages on the standard streams. Messages offering actions cannot be answered, so none is chosen.
+ * @param {Object} settings - The settings, keyed without prefix.
+ * @param {Object} folder - The workspace folder as { name, fsPath }.
+ * @returns {Object} The host, for host.init.
+ */
+function createCommandLineHost(settings, folder) {
+    return {
+        getConfiguration: () => ({
+            get: (key, defaultValue) => {
+                if (key === 'databaseId' && process.env[DATABASE_VARIABLE]) {
+                    return process.env[DATABASE_VARIABLE];
+                }
+                return settings[key] !== undefined ? settings[key] : defaultValue;
+            }
+        }),
+        getWorkspaceFolders: () => [folder],
+        showInformationMessage: message => {
+            console.log(message);
+            return undefined;
+        },
+        showWarningMessage: message => {
+            console.error("warning: " + message);
+            return undefined;
+        },
+        showErrorMessage: message => {
+            console.error("error: " + message);
+            return undefined;
+        },
+        executeCommand: () => undefined
+    };
+}
+
+/**
+ * Creates the workspace state the sync core keeps its text baselines and sync history in, saved to the state file if one is given.
+ * @param {string} [stateFile] - The state file; without one the state only lasts for this run.
+ * @returns {Object} The state, with get(key, defaultValue), update(key, value) and save().
+ */
+function createWorkspaceState(stateFile) {
+    const values = stateFile && fs.existsSync(stateFile) ? JSON.parse(fs.readFileSync(stateFile, 'utf8')) : {};
+    return {
+        get: (key, defaultValue) => values[key] !== undefined ? values[key] : defaultValue,
+        update: async (key, value) => {
+            values[key] = value;
+        },
+        save: () => {
+            if (stateFile) {
+                fs.mkdirSync(path.dirname(stateFile), { recursive: true });
+                fs.writeFileSync(stateFile, JSON.stringify(values, null, 2) + "\n");
+            }
+        }
+    };
+}
+
+/**
+ * Lists the files of the repository: those git tracks or would track, or every file outside .git
+ * and node_modules when the root is not a git repository.
+ * @param {string} root - The repository root.
+ * @param {Function} debug - Debug logging function.
+ * @returns {Array<string>} The paths relative to the root, with forward slashes.
+ */
+function listFiles(root, debug) {
+    try {
+        const output = childProcess.execFileSync('git', ['ls-files', '--cached', '--others', '--exclude-standard', '-z'], {
+            cwd: root,
+            maxBuffer: 64 * 1024 * 1024,
+            stdio: ['ignore', 'pipe', 'ignore']
+        });
+        return output.toString('utf8').split('\0').filter(file => file);
+    } catch (error) {
+        debug(`Not listing files with git, walking ${root} instead: ${error.message}`);
+    }
+    const files = [];
+    const walk = directory => {
+        fs.readdirSync(path.join(root, directory), { withFileTypes: true }).forEach(entry => {
+            const relativePath = directory ? `${directory}/${entry.name}` : entry.name;
+            if (entry.isDirectory() && !SKIPPED_DIRECTORIES.includes(entry.name)) {
+                walk(relativePath);
+            } else if (entry.isFile()) {
+                files.push(relativePath);
+            }
+        });
+    };
+    walk("");
+    return files;
+}
+
+/**
+ * Scans the repository for TODOs. Files matched by TODOtoNOTION.exclude are skipped, as are large and binary files.
+ * @param {Object} folder - The workspace folder as { name, fsPath }.
+ * @param {Function} debug - Debug logging function.
+ * @returns {Object} The TODOs found, with their portable filePath and workspaceFolder, whether every file was scanned,
+ * and the paths of the files whose TODOs may be missing: skipped, or cut at the limit of TODOs per file. As { todos, complete, skippedPaths }.
+ */
+function scanRepository(folder, debug) {
+    const excludes = config.getExcludeGlobs().map(glob => workspacePaths.globToRegExp(glob));
+    const listed = listFiles(folder.fsPath, debug).filter(file => commentSyntax.getLanguageIdForPath(file));
+    const skippedPaths = new Set(listed.filter(file => excludes.some(exclude => exclude.test(file))));
+    const files = listed.filter(file => !skippedPaths.has(file));
+    if (files.length > MAX_FILES) {
+        debug(`Reached file limit of ${MAX_FILES} for the scan. Remaining files are skipped.`);
+    }
+
+    const todos = [];
+    files.slice(0, MAX_FILES).forEach(file => {
+        const absolutePath = path.join(folder.fsPath, ...file.split('/'));
+        try {
+            if (fs.statSync(absolutePath).size > MAX_FILE_SIZE) {
+                skippedPaths.add(file);
+                return;
+            }
+            const content = fs.readFileSync(absolutePath);
+            if (content.subarray(0, 8000).includes(0)) {
+                skippedPaths.add(file);
+                return;
+            }
+            const location = workspacePaths.toPortablePath(absolutePath, [folder]);
+            const fileTodos = todoParser.parseTodosInText(content.toString('utf8'), commentSyntax.getLanguageIdForPath(file), location, debug);
+            if (fileTodos.length >= todoParser.MAX_TODOS_PER_FILE) {
+                skippedPaths.add(file);
+            }
+            todos.push(...fileTodos);
+        } catch (error) {
+            skippedPaths.add(file);
+            debug(`Skipped ${file} during the scan: ${error.message}`);
+        }
+    });
+    debug(`Scan found ${todos.length} TODOs in ${files.length} files.`);
+    return { todos, complete: files.length <= MAX_FILES, skippedPaths };
+}
+
+/**
+ * Returns the token of a database: its own from NOTION_TOKEN_<database ID>, else NOTION_TOKEN.
+ * @param {string} databaseId - The database ID.
+ * @returns {string|undefined} The token, if set.
+ */
+function getToken(databaseId) {
+    const suffix = databaseId.replace(/-/g, '');
+    return process.env[`${TOKEN_VARIABLE}_${suffix}`] || process.env[`${TOKEN_VARIABLE}_${suffix.toUpperCase()}`] || process.env[TOKEN_VARIABLE];
+}
+
+/**
+ * Picks the TODOs a previous run synced that left the code, so the removal policy applies to them.
+ * Only TODOs kept in the state file are candidates, so the rows of other repositories sharing the database are
+ * never touched. TODOs of files the scan skipped are kept, and nothing is removed if the scan stopped at its file limit.
+ * @param {Object} previousTodos - The TODOs of the state file that sync to the database, keyed by TODO ID.
+ * @param {Set<string>} currentIds - The IDs of the TODOs in code that sync to the database.
+ * @param {Object} scan - The scan, as returned by scanRepository.
+ * @returns {Object} The removed TODOs as last synced, keyed by TODO ID.
+ */
+function getRemovedTodos(previousTodos, currentIds, scan) {
+    const removed = {};
+    if (!scan.complete) {
+        return removed;
+    }
+    Object.keys(previousTodos)
+        .filter(id => !currentIds.has(id) && !scan.skippedPaths.has(previousTodos[id].filePath))
+        .forEach(id => {
+            removed[id] = previousTodos[id];
+        });
+    return removed;
+}
+
+/**
+ * Formats the location of a TODO.
+ * @param {Object} todo - The TODO, with its filePath and lineNumber.
+ * @returns {string} The location as path:line.
+ */
+function formatLocation(todo) {
+    return todo.lineNumber !== undefined ? `${todo.filePath}:${todo.lineNumber}` : todo.filePath;
+}
+
+/**
+ * Prints the TODOs of the repository.
+ * @param {Array} todos - The TODOs found.
+ * @param {Object} options - The parsed arguments.
+ * @returns {number} The exit code.
+ */
+function printScan(todos, options) {
+    if (options.json) {
+        console.log(JSON.stringify(todos.map(todo => Object.assign(todoParser.toStoredTodo(todo), { id: todo.idGenerated ? null : todo.id })), null, 2));
+        return 0;
+    }
+    todos.forEach(todo => {
+        console.log(`${formatLocation(todo)}  ${todo.type}  ${todo.text}${todo.idGenerated ? "" : `  [id:${todo.id}]`}`);
+    });
+    const withoutId = todos.filter(todo => todo.idGenerated).length;
+    console.log(`${todos.length} TODO(s) found${withoutId > 0 ? `, ${withoutId} without an ID` : ""}.`);
+    return 0;
+}
+
+/**
+ * Syncs the TODOs of the repository to each database they are routed to, or shows what would change.
+ * TODOs without an [id:...] are skipped; they get one when saved in VSCode. Removed TODOs that could not
+ * be handled stay in the state file for the next run.
+ * @param {Object} context - The context of the sync core, holding the workspace state.
+ * @param {Object} scan - The scan, as returned by scanRepository.
+ * @param {Object} folder - The workspace folder as { name, fsPath }.
+ * @param {Object} options - The parsed arguments.
+ * @param {Function} debug - Debug logging function.
+ * @returns {Promise<number>} The exit code: 1 if a database could not be synced or a TODO failed.
+ */
+async function runSync(context, scan, folder, options, debug) {
+    const todos = scan.todos;
+    const databaseIds = notionRoutes.getDatabaseIds();
+    if (databaseIds.length === 0) {
+        console.error(`error: No Notion database set. Set databaseId in ${CONFIG_FILE} or ${DATABASE_VARIABLE}.`);
+        return 1;
+    }
+    const withId = todos.filter(todo => !todo.idGenerated);
+    if (withId.length < todos.length) {
+        console.log(`Skipping ${todos.length - withId.length} TODO(s) without an ID; they get one when saved in VSCode.`);
+    }
+    const unrouted = withId.filter(todo => !notionRoutes.getDatabaseIdForTodo(todo, [folder]));
+    if (unrouted.length > 0) {
+        console.error(`warning: Skipping ${unrouted.length} TODO(s) that match no database route; set databaseId to sync them to a default database.`);
+    }
+
+    const stateTodos = context.workspaceState.get(STATE_TODOS_KEY, {});
+    if (!scan.complete) {
+        console.error(`warning: The scan stopped at ${MAX_FILES} files, so no TODO is handled as removed from the code.`);
+    }
+    const syncedTodos = {};
+    // TODOs of a database that could not be synced keep their state, so the next run sends their changes again
+    const handledIds = new Set();
+    const report = [];
+    let exitCode = 0;
+    // The changes of a run are logged in the state file, next to the text baselines
+    const history = syncHistory.startSync("Command line");
+    for (const databaseId of databaseIds) {
+        const credentials = { token: getToken(databaseId), databaseId: databaseId };
+        const databaseTodos = withId.filter(todo => notionRoutes.getDatabaseIdForTodo(todo, [folder]) === databaseId);
+        if (!credentials.token) {
+            console.error(`error: No Notion token for database ${databaseId}. Set ${TOKEN_VARIABLE}.`);
+            exitCode = 1;
+            continue;
+        }
+        try {
+            const currentIds = new Set(databaseTodos.map(todo => todo.id));
+            const previousTodos = {};
+            Object.keys(stateTodos).filter(id => notionRoutes.getDatabaseIdForTodo(stateTodos[id], [folder]) === databaseId).forEach(id => {
+                previousTodos[id] = stateTodos[id];
+            });
+            const removedTodos = getRemovedTodos(previousTodos, currentIds, scan);
+            const cachedTodos = Object.assign({}, removedTodos, ...databaseTodos
+                .filter(todo => stateTodos[todo.id])
+                .map(todo => ({ [todo.id]: stateTodos[todo.id] })));
+            const result = await notionTodo.syncTodos(context, credentials, databaseTodos, cachedTodos, debug, { quiet: true, dryRun: options.dryRun, history });
+            if (result.error || result.offline) {
+                exitCode = 1;
+            }
+            if (result.failed.length > 0) {
+                exitCode = 1;
+                result.failed.forEach(failure => {
+                    console.error(`error: Could not ${failure.operation} ${formatLocation(failure.todo)} [id:${failure.todo.id}]: ${failure.error.message}`);
+                });
+            }
+            const failedIds = new Set(result.failed.map(failure => failure.todo.id));
+            if (!result.error && !result.offline) {
+                databaseTodos.filter(todo => !failedIds.has(todo.id)).forEach(todo => {
+                    syncedTodos[todo.id] = todoParser.toStoredTodo(todo);
+                    handledIds.add(todo.id);
+                });
+                Object.keys(removedTodos).filter(id => !failedIds.has(id)).forEach(id => handledIds.add(id));
+            }
+            report.push({ databaseId, result });
+        } catch (error) {
+            console.error(`error: Could not sync database ${databaseId}: ${error.message}`);
+            exitCode = 1;
+        }
+    }
+
+    if (!options.dryRun) {
+        Object.keys(stateTodos).filter(id => !handledIds.has(id)).forEach(id => {
+            syncedTodos[id] = stateTodos[id];
+        });
+        await context.workspaceState.update(STATE_TODOS_KEY, syncedTodos);
+        context.workspaceState.save();
+    }
+    printSync(report, options);
+    return exitCode;
+}
+
+/**
+ * Prints the outcome of a sync, or the plan of a dry run.
+ * @param {Array} report - Per database: { databaseId, result }, as returned by notionTodo.syncTodos.
+ * @param {Object} options - The parsed arguments.
+ */
+function printSync(report, options) {
+    if (options.json) {
+        console.log(JSON.stringify(report.map(({ databaseId, result }) => options.dryRun ?
+            { databaseId, plan: result.plan || [], conflicts: result.conflicts.map(conflict => ({ todoId: conflict.todo.id, codeText: conflict.codeText, notionText: conflict.notionText })) } :
+            { databaseId, created: result.created.length, updated: result.updated.length, archived: result.deleted.length, resolved: result.resolved.length, failed: result.failed.length }), null, 2));
+        return;
+    }
+    report.forEach(({ databaseId, result }) => {
+        if (options.dryRun) {
+            const plan = result.plan || [];
+            console.log(`Database ${databaseId}: ${plan.length > 0 ? syncPlan.summarize(plan) : "no changes"}.`);
+            plan.forEach(step => {
+                console.log(`  ${syncPlan.getKindLabel(step)}: ${formatLocation(step)}  ${step.text}`);
+                step.changes.forEach(change => {
+                    console.log(`    ${syncPlan.formatChange(change)}`);
+                });
+            });
+        } else {
+            console.log(`Database ${databaseId}: ${result.created.length} created, ${result.updated.length} updated, ` +
+                `${result.deleted.length} archived, ${result.resolved.length} resolved, ${result.failed.length} failed.`);
+        }
+        result.conflicts.forEach(conflict => {
+            console.log(`  conflict ${formatLocation(conflict.todo)}: code "${conflict.codeText}", Notion "${conflict.notionText}"; the Notion text is kept.`);
+        });
+    });
+}
+
+/**
+ * Runs the command line.
+ * @param {Array<string>} args - The arguments after the script name.
+ * @returns {Promise<number>} The exit code: 0 on success, 1 if the sync failed, 2 for wrong usage.
+ */
+async function main(args) {
+    let options;
+    try {
+        options = parseArguments(args);
+    } catch (error) {
+        console.error(`error: ${error.message}\n\n${USAGE}`);
+        return 2;
+    }
+    if (options.help || !options.command) {
+        console.log(USAGE);
+        return options.help ? 0 : 2;
+    }
+    if (!['scan', 'sync'].includes(options.command)) {
+        console.error(`error: Unknown command: ${options.command}\n\n${USAGE}`);
+        return 2;
+    }
+
+    const debug = options.verbose ? message => console.error("debug: " + message) : () => {};
+    const folder = { name: options.folderName || path.basename(options.root), fsPath: options.root };
+    let context;
+    try {
+        const settings = readSettings(options.configFile || path.join(options.root, CONFIG_FILE), Boolean(options.configFile));
+        host.init(createCommandLineHost(settings, folder));
+        context = { workspaceState: createWorkspaceState(options.stateFile) };
+    } catch (error) {
+        console.error(`error: ${error.message}`);
+        return 2;
+    }
+
+    const scan = scanRepository(folder, debug);
+    if (options.command === 'scan') {
+        return printScan(scan.todos, options);
+    }
+    return await runSync(context, scan, folder, options, debug);
+}
+
+module.exports = {
+    main,
+    getRemovedTodos
+};
@@ -6,14 +6,21 @@
 var vscode = require('vscode');
 var notion = require('./notion.js');
 var todoSync = require('./todoSync.js');
+var syncQueue = require('./syncQueue.js');
+var todoExplorer = require('./todoExplorer.js');
+var notionCache = require('./notionCache.js');
+var syncHistoryView = require('./syncHistoryView.js');
 
 /**
  * Registers commands for the TODOtoNOTION extension.
  * @param {Object} context - The VSCode extension context.
  * @param {Function} syncNotionToCodeFunc - Function to sync TODOs from Notion to code.
+ * @param {Function} syncWorkspaceFunc - Function to scan the whole workspace and sync all TODOs to Notion.
+ * @param {Function} syncTodoFunc - Function to sync the TODO at a document URI and zero-based line both ways.
+ * @param {Function} previewSyncFunc - Function to preview a sync of the open documents and apply the picked changes.
  * @param {Function} debug - Debug logging function.
  */
-function registerCommands(context, syncNotionToCodeFunc, debug) {
+function registerCommands(context, syncNotionToCodeFunc, syncWorkspaceFunc, syncTodoFunc, previewSyncFunc, debug) {
     context.subscriptions.push(vscode.commands.registerCommand('TODOtoNOTION.setCredentials', function() {
         debug("Executing command: TODOtoNOTION.setCredentials");
         notion.setCredentials(context);
@@ -29,6 +36,90 @@ function registerCommands(context, syncNotionToCodeFunc, debug) {
         syncNotionToCodeFunc();
     }));
 
+    context.subscriptions.push(vscode.commands.registerCommand('TODOtoNOTION.scanWorkspace', function() {
+        debug("Executing command: TODOtoNOTION.scanWorkspace");
+        return syncWorkspaceFunc();
+    }));
+
+    context.subscriptions.push(vscode.commands.registerCommand('TODOtoNOTION.previewSync', function() {
+        debug("Executing command: TODOtoNOTION.previewSync");
+        return previewSyncFunc();
+    }));
+
+    context.subscriptions.push(vscode.commands.registerCommand('TODOtoNOTION.syncTodo', function(uri, line) {
+        debug("Executing command: TODOtoNOTION.syncTodo");
+        // Without arguments, e.g. from the Command Palette, the TODO at the cursor is synced
+        const editor = vscode.window.activeTextEditor;
+        if (uri === undefined && !editor) {
+            vscode.window.showWarningMessage("Open a file and place the cursor on a TODO comment to sync it.");
+            return;
+        }
+        const targetUri = uri === undefined ? editor.document.uri : typeof uri === 'string' ? vscode.Uri.parse(uri) : uri;
+        const targetLine = line === undefined ? editor.selection.active.line : line;
+        return syncTodoFunc(targetUri, targetLine);
+    }));
+
+    context.subscriptions.push(vscode.commands.registerCommand('TODOtoNOTION.showPendingOperations', function() {
+        debug("Executing command: TODOtoNOTION.showPendingOperations");
+        return syncQueue.showPendingOperations(context, debug);
+    }));
+
+    context.subscriptions.push(vscode.commands.registerCommand('TODOtoNOTION.showSyncHistory', function() {
+        debug("Executing command: TODOtoNOTION.showSyncHistory");
+        return syncHistoryView.showSyncHistory(context, debug);
+    }));
+
+    context.subscriptions.push(vscode.commands.registerCommand('TODOtoNOTION.undoLastSync', function() {
+        debug("Executing command: TODOtoNOTION.undoLastSync");
+        // Undone pages and comments no longer match the cached Notion rows
+        return syncHistoryView.undoLastSync(context, debug).then(() => notionCache.invalidate());
+    }));
+
+    context.subscriptions.push(vscode.commands.registerCommand('TODOtoNOTION.refreshExplorer', function() {
+        debug("Executing command: TODOtoNOTION.refreshExplorer");
+        notionCache.invalidate();
+    }));
+
+    context.subscriptions.push(vscode.commands.registerCommand('TODOtoNOTION.groupExplorer', function() {
+        debug("Executing command: TODOtoNOTION.groupExplorer");
+        return todoExplorer.pickGrouping();
+    }));
+
+    context.subscriptions.push(vscode.commands.registerCommand('TODOtoNOTION.goToTodo', function(entry) {
+        debug("Executing command: TODOtoNOTION.goToTodo");
+        return todoExplorer.goToTodo(entry);
+    }));
+
+    context.subscriptions.push(vscode.commands.registerCommand('TODOtoNOTION.openInNotion', function(entry) {
+        debug("Executing command: TODOtoNOTION.openInNotion");
+        return todoExplorer.openInNotion(entry);
+    }));
+
+    context.subscriptions.push(vscode.commands.registerCommand('TODOtoNOTION.changeStatus', function(entry) {
+        debug("Executing command: TODOtoNOTION.changeStatus");
+        return todoExplorer.changeStatus(entry);
+    }));
+
+    context.subscriptions.push(vscode.commands.registerCommand('TODOtoNOTION.archiveTodo', function(entry) {
+        debug("Executing command: TODOtoNOTION.archiveTodo");
+        return todoExplorer.archiveTodo(entry);
+    }));
+
+    context.subscriptions.push(vscode.commands.registerCommand('TODOtoNOTION.createDatabase', function() {
+        debug("Executing command: TODOtoNOTION.createDatabase");
+        return notion.createTodoDatabase(context);
+    }));
+
+    context.subscriptions.push(vscode.commands.registerCommand('TODOtoNOTION.validateSchema', function() {
+        debug("Executing command: TODOtoNOTION.validateSchema");
+        return notion.validateDatabaseSchema(context);
+    }));
+
+    context.subscriptions.push(vscode.commands.registerCommand('TODOtoNOTION.configurePropertyMap', function() {
+        debug("Executing command: TODOtoNOTION.configurePropertyMap");
+        return notion.configurePropertyMap(context);
+    }));
+
     context.subscriptions.push(vscode.commands.registerCommand('TODOtoNOTION.listProperties', function() {
         debug("Executing command: TODOtoNOTION.listProperties");
         if (typeof notion.listDatabaseProperties === 'function') {
@@ -0,0 +1,450 @@
+/**
+ * Module describing comment syntax per language for the TODOtoNOTION extension.
+ * Provides a lightweight tokenizer that finds comments while skipping string literals.
+ */
+
+/**
+ * Comment syntax families shared by several languages.
+ * - line: openers of comments running to the end of the line.
+ * - block: [open, close] pairs of comments that may span lines.
+ * - docstrings: [open, close] pairs treated as comments when they start a line.
+ * - strings: string delimiters, longest first. Triple quotes and backticks may span lines.
+ * - fences: openers of fenced code blocks, skipped up to the closing fence (markdown only).
+ * - codeSpans: whether inline code between backticks is skipped (markdown only).
+ */
+const C_STYLE = { line: ['//'], block: [['/*', '*/']], docstrings: [], strings: ['"', "'", '`'] };
+const HASH = { line: ['#'], block: [], docstrings: [], strings: ['"', "'"] };
+const PYTHON = { line: ['#'], block: [], docstrings: [['"""', '"""'], ["'''", "'''"]], strings: ['"""', "'''", '"', "'"] };
+const SQL = { line: ['--'], block: [['/*', '*/']], docstrings: [], strings: ["'", '"'] };
+const LUA = { line: ['--'], block: [['--[[', ']]']], docstrings: [], strings: ['"', "'"] };
+const HASKELL = { line: ['--'], block: [['{-', '-}']], docstrings: [], strings: ['"'] };
+const DASH = { line: ['--'], block: [], docstrings: [], strings: ['"'] };
+const SEMICOLON = { line: [';'], block: [], docstrings: [], strings: ['"'] };
+const PERCENT = { line: ['%'], block: [], docstrings: [], strings: [] };
+const MARKUP = { line: [], block: [['<!--', '-->']], docstrings: [], strings: [] };
+const MARKDOWN = { line: [], block: [['<!--', '-->']], docstrings: [], strings: [], fences: ['```', '~~~'], codeSpans: true };
+
+/**
+ * Comment syntax registry keyed by VS Code language identifier.
+ */
+const COMMENT_SYNTAX = {
+    c: C_STYLE,
+    cpp: C_STYLE,
+    csharp: C_STYLE,
+    go: C_STYLE,
+    java: C_STYLE,
+    javascript: C_STYLE,
+    javascriptreact: C_STYLE,
+    typescript: C_STYLE,
+    typescriptreact: C_STYLE,
+    jsonc: C_STYLE,
+    kotlin: C_STYLE,
+    scala: C_STYLE,
+    swift: C_STYLE,
+    dart: C_STYLE,
+    groovy: C_STYLE,
+    'objective-c': C_STYLE,
+    'objective-cpp': C_STYLE,
+    rust: { line: ['//'], block: [['/*', '*/']], docstrings: [], strings: ['"'] },
+    php: { line: ['//', '#'], block: [['/*', '*/']], docstrings: [], strings: ['"', "'"] },
+    css: { line: [], block: [['/*', '*/']], docstrings: [], strings: ['"', "'"] },
+    scss: { line: ['//'], block: [['/*', '*/']], docstrings: [], strings: ['"', "'"] },
+    less: { line: ['//'], block: [['/*', '*/']], docstrings: [], strings: ['"', "'"] },
+    python: PYTHON,
+    shellscript: HASH,
+    yaml: HASH,
+    toml: HASH,
+    ruby: HASH,
+    perl: HASH,
+    r: HASH,
+    dockerfile: HASH,
+    makefile: HASH,
+    properties: HASH,
+    elixir: HASH,
+    graphql: HASH,
+    julia: { line: ['#'], block: [['#=', '=#']], docstrings: [], strings: ['"'] },
+    powershell: { line: ['#'], block: [['<#', '#>']], docstrings: [], strings: ['"', "'"] },
+    coffeescript: { line: ['#'], block: [['###', '###']], docstrings: [], strings: ['"', "'"] },
+    sql: SQL,
+    lua: LUA,
+    haskell: HASKELL,
+    elm: HASKELL,
+    ada: DASH,
+    vhdl: DASH,
+    clojure: SEMICOLON,
+    lisp: SEMICOLON,
+    scheme: SEMICOLON,
+    ini: { line: [';', '#'], block: [], docstrings: [], strings: ['"'] },
+    asm: SEMICOLON,
+    latex: PERCENT,
+    tex: PERCENT,
+    bibtex: PERCENT,
+    erlang: { line: ['%'], block: [], docstrings: [], strings: ['"'] },
+    matlab: { line: ['%'], block: [['%{', '%}']], docstrings: [], strings: ['"'] },
+    html: MARKUP,
+    xml: MARKUP,
+    xsl: MARKUP,
+    svg: MARKUP,
+    markdown: MARKDOWN,
+    vue: { line: ['//'], block: [['<!--', '-->'], ['/*', '*/']], docstrings: [], strings: ['"', "'", '`'] },
+    svelte: { line: ['//'], block: [['<!--', '-->'], ['/*', '*/']], docstrings: [], strings: ['"', "'", '`'] }
+};
+
+/**
+ * Language identifiers for files that are parsed without being opened in an editor, keyed by file extension.
+ */
+const LANGUAGE_BY_EXTENSION = {
+    '.c': 'c', '.h': 'c',
+    '.cc': 'cpp', '.cpp': 'cpp', '.cxx': 'cpp', '.hpp': 'cpp', '.hh': 'cpp',
+    '.cs': 'csharp',
+    '.go': 'go',
+    '.java': 'java',
+    '.js': 'javascript', '.mjs': 'javascript', '.cjs': 'javascript',
+    '.jsx': 'javascriptreact',
+    '.ts': 'typescript', '.mts': 'typescript', '.cts': 'typescript',
+    '.tsx': 'typescriptreact',
+    '.jsonc': 'jsonc',
+    '.kt': 'kotlin', '.kts': 'kotlin',
+    '.scala': 'scala',
+    '.swift': 'swift',
+    '.dart': 'dart',
+    '.groovy': 'groovy', '.gradle': 'groovy',
+    '.m': 'objective-c', '.mm': 'objective-cpp',
+    '.rs': 'rust',
+    '.php': 'php',
+    '.css': 'css', '.scss': 'scss', '.less': 'less',
+    '.py': 'python', '.pyi': 'python',
+    '.sh': 'shellscript', '.bash': 'shellscript', '.zsh': 'shellscript',
+    '.yml': 'yaml', '.yaml': 'yaml',
+    '.toml': 'toml',
+    '.rb': 'ruby', '.rake': 'ruby',
+    '.pl': 'perl', '.pm': 'perl',
+    '.r': 'r',
+    '.dockerfile': 'dockerfile',
+    '.mk': 'makefile',
+    '.properties': 'properties',
+    '.ex': 'elixir', '.exs': 'elixir',
+    '.graphql': 'graphql', '.gql': 'graphql',
+    '.jl': 'julia',
+    '.ps1': 'powershell', '.psm1': 'powershell',
+    '.coffee': 'coffeescript',
+    '.sql': 'sql',
+    '.lua': 'lua',
+    '.hs': 'haskell',
+    '.elm': 'elm',
+    '.adb': 'ada', '.ads': 'ada',
+    '.vhd': 'vhdl', '.vhdl': 'vhdl',
+    '.clj': 'clojure', '.cljs': 'clojure', '.edn': 'clojure',
+    '.lisp': 'lisp', '.el': 'lisp',
+    '.scm': 'scheme',
+    '.ini': 'ini', '.cfg': 'ini',
+    '.asm': 'asm', '.s': 'asm',
+    '.tex': 'latex', '.sty': 'latex', '.cls': 'latex',
+    '.bib': 'bibtex',
+    '.erl': 'erlang', '.hrl': 'erlang',
+    '.html': 'html', '.htm': 'html',
+    '.xml': 'xml', '.xsl': 'xsl', '.svg': 'svg',
+    '.md': 'markdown', '.markdown': 'markdown',
+    '.vue': 'vue',
+    '.svelte': 'svelte'
+};
+
+/**
+ * Language identifiers for well-known file names without a meaningful extension.
+ */
+const LANGUAGE_BY_FILE_NAME = {
+    'dockerfile': 'dockerfile',
+    'makefile': 'makefile',
+    'gnumakefile': 'makefile',
+    'rakefile': 'ruby',
+    'gemfile': 'ruby'
+};
+
+/**
+ * Guesses the VSCode language identifier of a file from its name, for files that are not open.
+ * @param {string} filePath - The file path.
+ * @returns {string|null} The language identifier, or null if the file type is unknown.
+ */
+function getLanguageIdForPath(filePath) {
+    const fileName = filePath.split(/[\\/]/).pop().toLowerCase();
+    if (LANGUAGE_BY_FILE_NAME[fileName]) {
+        return LANGUAGE_BY_FILE_NAME[fileName];
+    }
+    const dot = fileName.lastIndexOf('.');
+    return dot > 0 ? LANGUAGE_BY_EXTENSION[fileName.slice(dot)] || null : null;
+}
+
+/**
+ * Returns the comment syntax for a language, falling back to C-style comments.
+ * @param {string} languageId - The VSCode language identifier of the document.
+ * @returns {Object} The comment syntax description.
+ */
+function getCommentSyntax(languageId) {
+    return COMMENT_SYNTAX[languageId] || C_STYLE;
+}
+
+/**
+ * Finds the index where a string literal starting at the given offset ends.
+ * @param {string} text - The full document text.
+ * @param {number} start - Offset of the opening delimiter.
+ * @param {string} delimiter - The string delimiter.
+ * @returns {number} The offset just after the closing delimiter, or the end of the line or text.
+ */
+function skipString(text, start, delimiter) {
+    const multiline = delimiter.length === 3 || delimiter === '`';
+    let i = start + delimiter.length;
+    while (i < text.length) {
+        if (text[i] === '\\') {
+            i += 2;
+            continue;
+        }
+        if (text[i] === '\n' && !multiline) {
+            return i;
+        }
+        if (text.startsWith(delimiter, i)) {
+            return i + delimiter.length;
+        }
+        i++;
+    }
+    return text.length;
+}
+
+/**
+ * Returns the length of the run of a character starting at the given offset.
+ * @param {string} text - The full document text.
+ * @param {number} start - Offset of the run.
+ * @returns {number} The number of times the character repeats.
+ */
+function runLength(text, start) {
+    let end = start;
+    while (text[end] === text[start]) {
+        end++;
+    }
+    return end - start;
+}
+
+/**
+ * Finds the index where a markdown fenced code block starting at the given offset ends.
+ * The block is closed by a line holding only a fence of the same character and at least the same length.
+ * @param {string} text - The full document text.
+ * @param {number} start - Offset of the opening fence.
+ * @returns {number} The offset of the end of the closing fence line, or the end of the text.
+ */
+function skipFence(text, start) {
+    const length = runLength(text, start);
+    let lineStart = text.indexOf('\n', start);
+    while (lineStart !== -1) {
+        lineStart++;
+        const newline = text.indexOf('\n', lineStart);
+        const lineEnd = newline === -1 ? text.length : newline;
+        const line = text.slice(lineStart, lineEnd).trim();
+        if (line.length >= length && line[0] === text[start] && runLength(line, 0) === line.length) {
+            return lineEnd;
+        }
+        lineStart = newline;
+    }
+    return text.length;
+}
+
+/**
+ * Finds the index where a markdown code span starting at the given offset ends.
+ * The span is closed by a run of exactly as many backticks; without one the backticks are plain text.
+ * @param {string} text - The full document text.
+ * @param {number} start - Offset of the opening backticks.
+ * @returns {number} The offset just after the closing backticks, or just after the opening ones.
+ */
+function skipCodeSpan(text, start) {
+    const length = runLength(text, start);
+    let i = start + length;
+    while ((i = text.indexOf('`', i)) !== -1) {
+        const closeLength = runLength(text, i);
+        if (closeLength === length) {
+            return i + length;
+        }
+        i += closeLength;
+    }
+    return start + length;
+}
+
+/**
+ * Tokenizes the text and returns every comment it contains, skipping string literals.
+ * @param {string} text - The full document text.
+ * @param {Object} syntax - The comment syntax description.
+ * @returns {Array} Comments with offsets of the opener, content and end, plus the open/close tokens.
+ */
+function tokenizeComments(text, syntax) {
+    const comments = [];
+    let lineBlank = true;
+    let i = 0;
+
+    function blockComment(open, close) {
+        const closeIndex = text.indexOf(close, i + open.length);
+        const contentEnd = closeIndex === -1 ? text.length : closeIndex;
+        const comment = {
+            kind: 'block',
+            open: open,
+            close: close,
+            start: i,
+            contentStart: i + open.length,
+            contentEnd: contentEnd,
+            end: closeIndex === -1 ? text.length : closeIndex + close.length
+        };
+        comments.push(comment);
+        return comment.end;
+    }
+
+    while (i < text.length) {
+        if (text[i] === '\n') {
+            i++;
+            lineBlank = true;
+            continue;
+        }
+
+        let next = -1;
+        if (lineBlank && syntax.fences) {
+            for (const fence of syntax.fences) {
+                if (text.startsWith(fence, i)) {
+                    next = skipFence(text, i);
+                    break;
+                }
+            }
+        }
+        if (next === -1 && syntax.codeSpans && text[i] === '`') {
+            next = skipCodeSpan(text, i);
+        }
+        if (next === -1 && lineBlank) {
+            for (const [open, close] of syntax.docstrings) {
+                if (text.startsWith(open, i)) {
+                    next = blockComment(open, close);
+                    break;
+                }
+            }
+        }
+        if (next === -1) {
+            for (const [open, close] of syntax.block) {
+                if (text.startsWith(open, i)) {
+                    next = blockComment(open, close);
+                    break;
+                }
+            }
+        }
+        if (next === -1) {
+            for (const open of syntax.line) {
+                if (text.startsWith(open, i)) {
+                    const newline = text.indexOf('\n', i);
+                    const end = newline === -1 ? text.length : newline;
+                    comments.push({
+                        kind: 'line',
+                        open: open,
+                        close: null,
+                        start: i,
+                        contentStart: i + open.length,
+                        contentEnd: end,
+                        end: end
+                    });
+                    next = end;
+                    break;
+                }
+            }
+        }
+        if (next === -1) {
+            for (const delimiter of syntax.strings) {
+                if (text.startsWith(delimiter, i)) {
+                    next = skipString(text, i, delimiter);
+                    break;
+                }
+            }
+        }
+
+        if (next === -1) {
+            lineBlank = lineBlank && /\s/.test(text[i]);
+            i++;
+            continue;
+        }
+        i = next;
+        lineBlank = false;
+    }
+    return comments;
+}
+
+/**
+ * Splits the comments of a text into per-line segments with column offsets.
+ * Decoration such as repeated openers (`///`, `##`) and leading `*` in block comments is skipped.
+ * @param {string} text - The full document text.
+ * @param {string} languageId - The VSCode language identifier of the document.
+ * @returns {Array} Segments with line, commentStart, contentStart, contentEnd, open and close.
+ */
+function getCommentSegments(text, languageId) {
+    const syntax = getCommentSyntax(languageId);
+    const lineStarts = [0];
+    for (let i = 0; i < text.length; i++) {
+        if (text[i] === '\n') {
+            lineStarts.push(i + 1);
+        }
+    }
+
+    function lineOf(offset) {
+        let low = 0;
+        let high = lineStarts.length - 1;
+        while (low < high) {
+            const mid = (low + high + 1) >> 1;
+            if (lineStarts[mid] <= offset) {
+                low = mid;
+            } else {
+                high = mid - 1;
+            }
+        }
+        return low;
+    }
+
+    const segments = [];
+    tokenizeComments(text, syntax).forEach(comment => {
+        const firstLine = lineOf(comment.start);
+        const lastLine = lineOf(comment.contentEnd);
+        for (let line = firstLine; line <= lastLine; line++) {
+            const start = lineStarts[line];
+            const nextStart = line + 1 < lineStarts.length ? lineStarts[line + 1] - 1 : text.length;
+            const lineEnd = text[nextStart - 1] === '\r' ? nextStart - 1 : nextStart;
+            let contentStart = line === firstLine ? comment.contentStart : start;
+            const contentEnd = line === lastLine ? Math.min(comment.contentEnd, lineEnd) : lineEnd;
+
+            if (line === firstLine) {
+                const decoration = comment.open[comment.open.length - 1];
+                while (contentStart < contentEnd && (text[contentStart] === decoration || (comment.kind === 'line' && text[contentStart] === '!'))) {
+                    contentStart++;
+                }
+            } else {
+                while (contentStart < contentEnd && /\s/.test(text[contentStart])) {
+                    contentStart++;
+                }
+                if (comment.open.includes('*')) {
+                    while (contentStart < contentEnd && text[contentStart] === '*') {
+                        contentStart++;
+                    }
+                }
+            }
+
+            let trimmedEnd = contentEnd;
+            while (trimmedEnd > contentStart && /\s/.test(text[trimmedEnd - 1])) {
+                trimmedEnd--;
+            }
+
+            segments.push({
+                line: line,
+                commentStart: (line === firstLine ? comment.start : contentStart) - start,
+                contentStart: contentStart - start,
+                contentEnd: trimmedEnd - start,
+                open: line === firstLine ? comment.open : null,
+                close: line === lastLine ? comment.close : null,
+                kind: comment.kind
+            });
+        }
+    });
+    return segments;
+}
+
+module.exports = {
+    getCommentSyntax,
+    getCommentSegments,
+    getLanguageIdForPath
+};
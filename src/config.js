@@ -0,0 +1,311 @@
+/**
+ * Module for reading TODOtoNOTION extension settings.
+ * Settings are read on every call so changes take effect without reloading the window.
+ */
+
+var host = require('./host.js');
+
+var DEFAULT_STATUS = "Not started";
+var DONE_STATUS = "Done";
+
+var REMOVAL_POLICIES = ["archive", "done", "ignore"];
+
+var DEFAULT_STATUSES = [
+    { status: DEFAULT_STATUS },
+    { status: "In progress", marker: "wip", onNotion: "mark" },
+    { status: DONE_STATUS, marker: "done", tag: "DONE", onNotion: "remove" },
+    { status: "Won't fix", marker: "wontfix", onNotion: "remove" },
+    { status: "Archived", onNotion: "remove" }
+];
+var NOTION_STATUS_ACTIONS = ["keep", "mark", "remove"];
+
+// Priority markers written in a TODO annotation, e.g. TODO(p1), and the Notion priority each stands for
+var DEFAULT_PRIORITY_MARKERS = { p1: "High", p2: "Medium", p3: "Low" };
+
+// Editor decoration per Notion state of a TODO comment
+var DECORATION_STATES = ["unsynced", "notStarted", "inProgress", "done", "missing"];
+var DEFAULT_DECORATIONS = {
+    unsynced: { color: "#9e9e9e", gutterIcon: true, overviewRuler: false },
+    notStarted: { color: "#3b82f6", gutterIcon: true, overviewRuler: true },
+    inProgress: { color: "#f59e0b", gutterIcon: true, overviewRuler: true },
+    done: { color: "#22c55e", gutterIcon: true, overviewRuler: false },
+    missing: { color: "#ef4444", gutterIcon: true, overviewRuler: true }
+};
+
+var DEFAULT_TAGS = [
+    { tag: "TODO", type: "TODO", status: DEFAULT_STATUS, severity: "information" },
+    { tag: "FIXME", type: "FIXME", status: DEFAULT_STATUS, severity: "warning" },
+    { tag: "BUG", type: "BUG", status: DEFAULT_STATUS, severity: "warning" },
+    { tag: "HACK", type: "HACK", status: DEFAULT_STATUS, severity: "information" },
+    { tag: "XXX", type: "XXX", status: DEFAULT_STATUS, severity: "information" }
+];
+var DIAGNOSTIC_SEVERITIES = ["error", "warning", "information", "hint"];
+
+var DEFAULT_PROPERTY_MAP = {
+    title: "Name",
+    type: "Type",
+    status: "Status",
+    filePath: "File Path",
+    workspaceFolder: "Workspace Folder",
+    lineNumber: "Line Number",
+    todoId: "TODO_ID",
+    priority: "Priority",
+    resolvedAt: "Resolved at",
+    assignee: "Assignee",
+    due: "Due",
+    labels: "Labels",
+    gitAuthor: "Author",
+    gitDate: "Authored",
+    gitBranch: "Branch",
+    gitCommit: "Commit",
+    permalink: "Permalink"
+};
+
+/**
+ * Returns the extension configuration section.
+ * @returns {Object} The TODOtoNOTION workspace configuration, or the config file of the command line.
+ */
+function getConfiguration() {
+    return host.getConfiguration();
+}
+
+/**
+ * Returns the configured TODO tag vocabulary with its Notion mapping.
+ * Entries may be plain tag names or objects with tag, type, status, priority and severity.
+ * @returns {Array} Normalized tag definitions: { tag, type, status, priority, severity }.
+ */
+function getTagDefinitions() {
+    const configured = getConfiguration().get('tags', DEFAULT_TAGS);
+    const definitions = [];
+    const seen = {};
+    (Array.isArray(configured) ? configured : []).forEach(entry => {
+        const definition = typeof entry === 'string' ? { tag: entry } : entry;
+        if (!definition || typeof definition.tag !== 'string' || !definition.tag.trim()) {
+            return;
+        }
+        const tag = definition.tag.trim().toUpperCase();
+        if (seen[tag]) {
+            return;
+        }
+        seen[tag] = true;
+        definitions.push({
+            tag: tag,
+            type: definition.type || tag,
+            status: definition.status || DEFAULT_STATUS,
+            priority: definition.priority || "",
+            severity: DIAGNOSTIC_SEVERITIES.includes(definition.severity) ? definition.severity : "information"
+        });
+    });
+    return definitions.length > 0 ? definitions : DEFAULT_TAGS.map(definition => Object.assign({ priority: "" }, definition));
+}
+
+/**
+ * Looks up the definition of a single tag, case-insensitively.
+ * @param {string} tag - The tag as written in the comment.
+ * @returns {Object|undefined} The tag definition, if the tag is configured.
+ */
+function getTagDefinition(tag) {
+    const upperTag = String(tag || '').toUpperCase();
+    return getTagDefinitions().find(definition => definition.tag === upperTag);
+}
+
+/**
+ * Returns the glob patterns excluded from workspace scans, on top of files.exclude and the root .gitignore.
+ * @returns {Array<string>} The configured exclude globs.
+ */
+function getExcludeGlobs() {
+    const configured = getConfiguration().get('exclude', []);
+    return Array.isArray(configured) ? configured.filter(glob => typeof glob === 'string' && glob.trim()) : [];
+}
+
+/**
+ * Returns the database routes from TODOtoNOTION.databaseRoutes, in order. Each route names a workspace
+ * folder, a glob of workspace-relative paths or both, and the database their TODOs sync to.
+ * @returns {Array} The routes as { folder, glob, databaseId }; routes without a database or a condition are left out.
+ */
+function getDatabaseRoutes() {
+    const configured = getConfiguration().get('databaseRoutes', []);
+    return (Array.isArray(configured) ? configured : [])
+        .filter(route => route && typeof route.databaseId === 'string' && route.databaseId.trim() && (route.folder || route.glob))
+        .map(route => ({
+            folder: typeof route.folder === 'string' ? route.folder : "",
+            glob: typeof route.glob === 'string' ? route.glob : "",
+            databaseId: route.databaseId.trim()
+        }));
+}
+
+/**
+ * Returns the assignee aliases from TODOtoNOTION.assigneeAliases, keyed by the lower-case handle
+ * without its "@", e.g. { alice: "alice.smith@corp.com" }. Targets are Notion user emails, names or IDs.
+ * @returns {Object} The alias target per handle.
+ */
+function getAssigneeAliases() {
+    const configured = getConfiguration().get('assigneeAliases', {}) || {};
+    const aliases = {};
+    Object.keys(configured).forEach(handle => {
+        if (typeof configured[handle] === 'string' && configured[handle].trim()) {
+            aliases[handle.replace(/^@/, '').toLowerCase()] = configured[handle].trim();
+        }
+    });
+    return aliases;
+}
+
+/**
+ * Returns the Notion column name used for each sync role, e.g. { title: "Task", todoId: "Key" }.
+ * Roles missing from the TODOtoNOTION.propertyMap setting keep their default column name;
+ * an empty name turns an optional role off.
+ * @returns {Object} The property name per role.
+ */
+function getPropertyMap() {
+    const configured = getConfiguration().get('propertyMap', {}) || {};
+    const propertyMap = Object.assign({}, DEFAULT_PROPERTY_MAP);
+    Object.keys(configured).forEach(role => {
+        if (typeof configured[role] === 'string') {
+            propertyMap[role] = configured[role].trim();
+        }
+    });
+    return propertyMap;
+}
+
+/**
+ * Returns the configured status workflow between code and Notion.
+ * Each status may have an in-code marker (TODO[wip]), a tag that stands for the status (DONE:)
+ * and what happens to the comment when the status is set in Notion.
+ * @returns {Array} Normalized status definitions: { status, marker, tag, onNotion }.
+ */
+function getStatusDefinitions() {
+    const configured = getConfiguration().get('statuses', DEFAULT_STATUSES);
+    const definitions = [];
+    (Array.isArray(configured) ? configured : []).forEach(entry => {
+        if (!entry || typeof entry.status !== 'string' || !entry.status.trim()) {
+            return;
+        }
+        definitions.push({
+            status: entry.status.trim(),
+            marker: typeof entry.marker === 'string' ? entry.marker.trim().toLowerCase() : "",
+            tag: typeof entry.tag === 'string' ? entry.tag.trim().toUpperCase() : "",
+            onNotion: NOTION_STATUS_ACTIONS.includes(entry.onNotion) ? entry.onNotion : "keep"
+        });
+    });
+    return definitions.length > 0 ? definitions : getDefaultStatusDefinitions();
+}
+
+/**
+ * Returns the built-in status workflow, normalized like the setting.
+ * @returns {Array} The default status definitions.
+ */
+function getDefaultStatusDefinitions() {
+    return DEFAULT_STATUSES.map(entry => ({
+        status: entry.status,
+        marker: entry.marker || "",
+        tag: entry.tag || "",
+        onNotion: entry.onNotion || "keep"
+    }));
+}
+
+/**
+ * Looks up the status written in code as TODO[marker] or as a status tag such as DONE:.
+ * @param {string} marker - The marker or tag, case-insensitive.
+ * @returns {Object|undefined} The status definition, if the marker is configured.
+ */
+function getStatusForMarker(marker) {
+    const value = String(marker || '').trim();
+    if (!value) {
+        return undefined;
+    }
+    return getStatusDefinitions().find(definition => definition.marker === value.toLowerCase() || definition.tag === value.toUpperCase());
+}
+
+/**
+ * Looks up the definition of a Notion status, case-insensitively.
+ * @param {string} status - The Notion status name.
+ * @returns {Object|undefined} The status definition, if the status is configured.
+ */
+function getStatusDefinition(status) {
+    const lowerStatus = String(status || '').toLowerCase();
+    return getStatusDefinitions().find(definition => definition.status.toLowerCase() === lowerStatus);
+}
+
+/**
+ * Returns the priority markers from TODOtoNOTION.priorityMarkers, or the built-in p1, p2 and p3.
+ * @returns {Object} The Notion priority per lower-case marker.
+ */
+function getPriorityMarkers() {
+    const configured = getConfiguration().get('priorityMarkers', DEFAULT_PRIORITY_MARKERS) || {};
+    const markers = {};
+    Object.keys(configured).forEach(marker => {
+        if (typeof configured[marker] === 'string' && configured[marker].trim() && /^[\w-]+$/.test(marker)) {
+            markers[marker.toLowerCase()] = configured[marker].trim();
+        }
+    });
+    return Object.keys(markers).length > 0 ? markers : Object.assign({}, DEFAULT_PRIORITY_MARKERS);
+}
+
+/**
+ * Looks up the Notion priority written in code as a marker such as p1.
+ * @param {string} marker - The marker, case-insensitive.
+ * @returns {string|undefined} The Notion priority, if the marker is configured.
+ */
+function getPriorityForMarker(marker) {
+    return getPriorityMarkers()[String(marker || '').toLowerCase()];
+}
+
+/**
+ * Looks up the marker written in code for a Notion priority, case-insensitively.
+ * @param {string} priority - The Notion priority name.
+ * @returns {string|undefined} The marker, if one is configured for the priority.
+ */
+function getMarkerForPriority(priority) {
+    const markers = getPriorityMarkers();
+    const lowerPriority = String(priority || '').toLowerCase();
+    return Object.keys(markers).find(marker => markers[marker].toLowerCase() === lowerPriority);
+}
+
+/**
+ * Returns what to do with the Notion page of a TODO removed from the code.
+ * @returns {string} "archive", "done" or "ignore".
+ */
+function getRemovalPolicy() {
+    const policy = getConfiguration().get('onRemovedFromCode', "archive");
+    return REMOVAL_POLICIES.includes(policy) ? policy : "archive";
+}
+
+/**
+ * Returns the editor decoration of each TODO state, the configured values over the defaults.
+ * A state set to false is not decorated.
+ * @returns {Object} Per state ("unsynced", "notStarted", "inProgress", "done", "missing"): { color, gutterIcon, overviewRuler }.
+ */
+function getDecorationStyles() {
+    const configured = getConfiguration().get('decorations', {}) || {};
+    const styles = {};
+    DECORATION_STATES.forEach(state => {
+        const entry = configured[state];
+        if (entry === false) {
+            styles[state] = Object.assign({}, DEFAULT_DECORATIONS[state], { gutterIcon: false, overviewRuler: false });
+            return;
+        }
+        styles[state] = Object.assign({}, DEFAULT_DECORATIONS[state], entry && typeof entry === 'object' ? entry : {});
+    });
+    return styles;
+}
+
+module.exports = {
+    DEFAULT_STATUS,
+    DONE_STATUS,
+    DEFAULT_PROPERTY_MAP,
+    getConfiguration,
+    getPropertyMap,
+    getTagDefinitions,
+    getTagDefinition,
+    getExcludeGlobs,
+    getDatabaseRoutes,
+    getAssigneeAliases,
+    getRemovalPolicy,
+    getStatusDefinitions,
+    getStatusDefinition,
+    getStatusForMarker,
+    getPriorityMarkers,
+    getPriorityForMarker,
+    getMarkerForPriority,
+    getDecorationStyles
+};
@@ -9,6 +9,13 @@ var path = require('path');
 var notion = require('./notion.js');
 var commandHandler = require('./commandHandler.js');
 var todoSync = require('./todoSync.js');
+var syncQueue = require('./syncQueue.js');
+var todoConflicts = require('./todoConflicts.js');
+var todoExplorer = require('./todoExplorer.js');
+var todoHover = require('./todoHover.js');
+var todoDecorations = require('./todoDecorations.js');
+var todoDiagnostics = require('./todoDiagnostics.js');
+var notionCache = require('./notionCache.js');
 
 var openDocuments = {};
 var notionStatusBarIndicator;
@@ -26,6 +33,9 @@ function activate(context) {
 
     debug("Starting TODOtoNOTION extension activation process.");
 
+    // Restore the TODOs seen at the last sync, so removals are detected across restarts
+    todoCache = todoSync.loadTodoCache(context);
+
     try {
         notion.init(debug);
         debug("Notion integration initialized successfully.");
@@ -53,7 +63,7 @@ function activate(context) {
 
     try {
         // Perform initial sync from Notion to code on activation
-        todoSync.syncNotionToCode(context, openDocuments, notionStatusBarIndicator, debug);
+        todoSync.syncNotionToCode(context, openDocuments, todoCache, notionStatusBarIndicator, debug);
         debug("Initial Notion sync triggered successfully.");
         vscode.window.showInformationMessage("TODOtoNOTION: Initial Notion sync started.");
     } catch (error) {
@@ -67,8 +77,29 @@ function activate(context) {
     notionStatusBarIndicator.show();
     context.subscriptions.push(notionStatusBarIndicator);
 
+    // Serve the documents of the conflict diff view
+    todoConflicts.init(context);
+
+    // Show operations left over from an offline session and send them to Notion
+    syncQueue.init(context, debug);
+
+    // Keep a cached copy of the Notion rows for views that must not query Notion on their own
+    notionCache.init(context, debug);
+
+    // List the synced TODOs in the activity bar, refreshed after every sync
+    todoExplorer.init(context, todoCache, debug);
+
+    // Show Notion details on synced TODO comments
+    todoHover.init(context, debug);
+
+    // Badge TODO comments in the gutter and overview ruler by their Notion state
+    todoDecorations.init(context, debug);
+
+    // Report TODOs and sync problems in the Problems panel, if enabled
+    todoDiagnostics.init(context, todoCache, debug);
+
     // Register commands and event listeners
-    commandHandler.registerCommands(context, () => todoSync.syncNotionToCode(context, openDocuments, notionStatusBarIndicator, debug), debug);
+    commandHandler.registerCommands(context, () => todoSync.syncNotionToCode(context, openDocuments, todoCache, notionStatusBarIndicator, debug), () => todoSync.syncWorkspace(context, todoCache, debug), (uri, line) => todoSync.syncTodo(context, todoCache, uri, line, debug), () => todoSync.previewSync(context, openDocuments, todoCache, debug), debug);
     commandHandler.registerEventListeners(context, openDocuments, todoCache, debug);
 
     // Initialize output channel for debugging
@@ -0,0 +1,202 @@
+/**
+ * Module reading git details of TODO lines for the TODOtoNOTION extension.
+ * Details come from the git command line in the TODO's repository, so no network access is needed:
+ * the author and date of the line from git blame, the current branch and commit, and a permalink
+ * to the line on GitHub, GitLab or Bitbucket derived from the remote set in TODOtoNOTION.gitRemote.
+ */
+
+var childProcess = require('child_process');
+var path = require('path');
+var config = require('./config.js');
+var workspacePaths = require('./workspacePaths.js');
+
+var GIT_TIMEOUT_MS = 10000;
+var GIT_MAX_BUFFER = 10 * 1024 * 1024;
+var UNCOMMITTED_SHA_REGEX = /^0+$/;
+var BLAME_HEADER_REGEX = /^([0-9a-f]{40}) \d+ (\d+)/;
+
+// Line anchors of each source host, which also decide how a permalink is built
+var SOURCE_HOSTS = {
+    github: (base, commit, filePath, lineNumber) => `${base}/blob/${commit}/${filePath}#L${lineNumber}`,
+    gitlab: (base, commit, filePath, lineNumber) => `${base}/-/blob/${commit}/${filePath}#L${lineNumber}`,
+    bitbucket: (base, commit, filePath, lineNumber) => `${base}/src/${commit}/${filePath}#lines-${lineNumber}`
+};
+
+/**
+ * Runs a git command.
+ * @param {string} cwd - The directory to run it in.
+ * @param {Array<string>} args - The git arguments.
+ * @returns {Promise<string>} The standard output.
+ */
+function runGit(cwd, args) {
+    return new Promise((resolve, reject) => {
+        childProcess.execFile('git', args, { cwd: cwd, timeout: GIT_TIMEOUT_MS, maxBuffer: GIT_MAX_BUFFER }, (error, stdout) => {
+            if (error) {
+                reject(error);
+            } else {
+                resolve(stdout);
+            }
+        });
+    });
+}
+
+/**
+ * Reads the repository holding a directory: its root, branch, commit and remote URL.
+ * @param {string} directory - A directory inside the repository.
+ * @param {Function} debug - Debug logging function.
+ * @returns {Promise<Object|null>} The repository as { root, branch, commit, remoteUrl }, or null if the directory is not in one.
+ */
+async function readRepository(directory, debug) {
+    try {
+        const root = (await runGit(directory, ['rev-parse', '--show-toplevel'])).trim();
+        const commit = (await runGit(root, ['rev-parse', 'HEAD'])).trim();
+        const branch = (await runGit(root, ['rev-parse', '--abbrev-ref', 'HEAD'])).trim();
+        let remoteUrl = null;
+        try {
+            remoteUrl = (await runGit(root, ['remote', 'get-url', config.getConfiguration().get('gitRemote', 'origin')])).trim();
+        } catch (error) {
+            debug(`No git remote for permalinks in ${root}: ${error.message}`);
+        }
+        // A detached HEAD has no branch
+        return { root, commit, branch: branch !== 'HEAD' ? branch : undefined, remoteUrl };
+    } catch (error) {
+        debug(`No git details for ${directory}: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Parses the output of git blame --line-porcelain.
+ * @param {string} output - The blame output.
+ * @returns {Object} Per line number: { author, email, date }, without lines that are not committed yet.
+ */
+function parseBlame(output) {
+    const blame = {};
+    let current = null;
+    output.split('\n').forEach(line => {
+        const header = line.match(BLAME_HEADER_REGEX);
+        if (header && !current) {
+            current = { sha: header[1], lineNumber: Number(header[2]) };
+        } else if (current && line.startsWith('\t')) {
+            if (!UNCOMMITTED_SHA_REGEX.test(current.sha)) {
+                blame[current.lineNumber] = { author: current.author, email: current.email, date: current.date };
+            }
+            current = null;
+        } else if (current && line.startsWith('author ')) {
+            current.author = line.slice('author '.length);
+        } else if (current && line.startsWith('author-mail ')) {
+            current.email = line.slice('author-mail '.length).replace(/^<|>$/g, '');
+        } else if (current && line.startsWith('author-time ')) {
+            current.date = new Date(Number(line.slice('author-time '.length)) * 1000).toISOString();
+        }
+    });
+    return blame;
+}
+
+/**
+ * Blames lines of a file.
+ * @param {Object} repository - The repository, as returned by readRepository.
+ * @param {string} relativePath - The path of the file in the repository.
+ * @param {Array<number>} lineNumbers - The one-based lines to blame.
+ * @param {Function} debug - Debug logging function.
+ * @returns {Promise<Object>} Per line number: { author, email, date }, without lines that are not committed yet.
+ */
+async function blameLines(repository, relativePath, lineNumbers, debug) {
+    const args = ['blame', '--line-porcelain'];
+    lineNumbers.forEach(lineNumber => args.push('-L', `${lineNumber},${lineNumber}`));
+    let output;
+    try {
+        output = await runGit(repository.root, args.concat(['--', relativePath]));
+    } catch (error) {
+        debug(`Could not blame ${relativePath}: ${error.message}`);
+        return {};
+    }
+    return parseBlame(output);
+}
+
+/**
+ * Builds the web URL of a line on its source host from a git remote URL.
+ * Remotes on hosts other than GitHub, GitLab and Bitbucket, including their self-hosted editions named so, get no permalink.
+ * @param {string} remoteUrl - The remote URL, e.g. git@github.com:owner/repo.git or https://gitlab.com/group/repo.
+ * @param {string} commit - The commit the permalink points to.
+ * @param {string} relativePath - The path of the file in the repository, with forward slashes.
+ * @param {number} lineNumber - The one-based line.
+ * @returns {string|undefined} The permalink, if the host is known.
+ */
+function buildPermalink(remoteUrl, commit, relativePath, lineNumber) {
+    let host;
+    let repositoryPath;
+    const scpMatch = remoteUrl.match(/^(?:[\w.-]+@)?([^:/]+):(?!\/)(.+)$/);
+    if (scpMatch) {
+        host = scpMatch[1];
+        repositoryPath = scpMatch[2];
+    } else {
+        try {
+            const url = new URL(remoteUrl);
+            host = url.hostname;
+            repositoryPath = url.pathname;
+        } catch (error) {
+            return undefined;
+        }
+    }
+    const kind = Object.keys(SOURCE_HOSTS).find(name => host.toLowerCase().includes(name));
+    if (!kind) {
+        return undefined;
+    }
+    const base = `https://${host}/${repositoryPath.replace(/^\/+|\/+$/g, '').replace(/\.git$/, '')}`;
+    const encodedPath = relativePath.split('/').map(encodeURIComponent).join('/');
+    return SOURCE_HOSTS[kind](base, commit, encodedPath, lineNumber);
+}
+
+/**
+ * Reads the git details of TODOs, with one blame per file.
+ * TODOs outside a git repository, or on lines not committed yet, get only the details that apply.
+ * @param {Array} todos - The TODOs, with their filePath, workspaceFolder and one-based lineNumber.
+ * @param {Array} folders - The workspace folders as { name, fsPath }, to find the files of the TODOs.
+ * @param {Function} debug - Debug logging function.
+ * @returns {Promise<Object>} Per TODO ID: { gitAuthor, gitAuthorEmail, gitDate, gitBranch, gitCommit, permalink }.
+ */
+async function describeTodos(todos, folders, debug) {
+    const byFile = {};
+    todos.filter(todo => todo.id).forEach(todo => {
+        const filePath = workspacePaths.toAbsolutePath(todo.filePath, todo.workspaceFolder, folders);
+        if (filePath) {
+            byFile[filePath] = (byFile[filePath] || []).concat([todo]);
+        }
+    });
+
+    const repositories = {};
+    const details = {};
+    for (const filePath of Object.keys(byFile)) {
+        const directory = path.dirname(filePath);
+        if (!(directory in repositories)) {
+            repositories[directory] = await readRepository(directory, debug);
+        }
+        const repository = repositories[directory];
+        if (!repository) {
+            continue;
+        }
+        const relativePath = path.relative(repository.root, filePath).split(path.sep).join('/');
+        const fileTodos = byFile[filePath];
+        const blame = await blameLines(repository, relativePath, fileTodos.map(todo => todo.lineNumber), debug);
+        fileTodos.forEach(todo => {
+            const line = blame[todo.lineNumber] || {};
+            details[todo.id] = {
+                gitAuthor: line.author,
+                gitAuthorEmail: line.email,
+                gitDate: line.date,
+                gitBranch: repository.branch,
+                gitCommit: repository.commit,
+                permalink: repository.remoteUrl ? buildPermalink(repository.remoteUrl, repository.commit, relativePath, todo.lineNumber) : undefined
+            };
+        });
+    }
+    debug(`Read git details of ${Object.keys(details).length} TODO(s).`);
+    return details;
+}
+
+module.exports = {
+    parseBlame,
+    buildPermalink,
+    describeTodos
+};
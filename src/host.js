@@ -0,0 +1,111 @@
+/**
+ * Module connecting the sync core of the TODOtoNOTION extension to the environment it runs in.
+ * Parsing, reconciliation and Notion requests read settings, workspace folders and report messages through
+ * the host, so they run in VSCode and in the todo-to-notion command line alike. VSCode is the host unless
+ * init installs another one; it is loaded on first use, so the command line never needs it.
+ */
+
+var current = null;
+
+/**
+ * Builds the host backed by the VSCode API.
+ * @returns {Object} The VSCode host.
+ */
+function createEditorHost() {
+    const vscode = require('vscode');
+    return {
+        getConfiguration: () => vscode.workspace.getConfiguration('TODOtoNOTION'),
+        getWorkspaceFolders: () => (vscode.workspace.workspaceFolders || []).map(folder => ({ name: folder.name, fsPath: folder.uri.fsPath })),
+        showInformationMessage: (message, ...items) => vscode.window.showInformationMessage(message, ...items),
+        showWarningMessage: (message, ...items) => vscode.window.showWarningMessage(message, ...items),
+        showErrorMessage: (message, ...items) => vscode.window.showErrorMessage(message, ...items),
+        executeCommand: (command, ...args) => vscode.commands.executeCommand(command, ...args)
+    };
+}
+
+/**
+ * Installs the host the sync core runs in.
+ * @param {Object} host - The host: getConfiguration() returning an object with get(key, defaultValue),
+ * getWorkspaceFolders() returning { name, fsPath } entries, showInformationMessage, showWarningMessage and
+ * showErrorMessage(message, ...actions) resolving to the chosen action, and executeCommand(command, ...args).
+ */
+function init(host) {
+    current = host;
+}
+
+/**
+ * Returns the installed host, the VSCode one by default.
+ * @returns {Object} The host.
+ */
+function getHost() {
+    if (!current) {
+        current = createEditorHost();
+    }
+    return current;
+}
+
+/**
+ * Returns the TODOtoNOTION settings.
+ * @returns {Object} The settings, read with get(key, defaultValue).
+ */
+function getConfiguration() {
+    return getHost().getConfiguration();
+}
+
+/**
+ * Returns the folders of the workspace.
+ * @returns {Array} The folders as { name, fsPath }.
+ */
+function getWorkspaceFolders() {
+    return getHost().getWorkspaceFolders();
+}
+
+/**
+ * Shows an information message.
+ * @param {string} message - The message.
+ * @param {...string} items - Actions offered with it.
+ * @returns {Promise<string|undefined>} The chosen action, if any.
+ */
+function showInformationMessage(message, ...items) {
+    return Promise.resolve(getHost().showInformationMessage(message, ...items));
+}
+
+/**
+ * Shows a warning message.
+ * @param {string} message - The message.
+ * @param {...string} items - Actions offered with it.
+ * @returns {Promise<string|undefined>} The chosen action, if any.
+ */
+function showWarningMessage(message, ...items) {
+    return Promise.resolve(getHost().showWarningMessage(message, ...items));
+}
+
+/**
+ * Shows an error message.
+ * @param {string} message - The message.
+ * @param {...string} items - Actions offered with it.
+ * @returns {Promise<string|undefined>} The chosen action, if any.
+ */
+function showErrorMessage(message, ...items) {
+    return Promise.resolve(getHost().showErrorMessage(message, ...items));
+}
+
+/**
+ * Runs an editor command, such as the one behind an action of a message.
+ * @param {string} command - The command ID.
+ * @param {...*} args - The command arguments.
+ * @returns {Promise<*>} The result of the command.
+ */
+function executeCommand(command, ...args) {
+    return Promise.resolve(getHost().executeCommand(command, ...args));
+}
+
+module.exports = {
+    init,
+    getConfiguration,
+    getWorkspaceFolders,
+    showInformationMessage,
+    showWarningMessage,
+    showErrorMessage,
+    executeCommand
+};
@@ -8,6 +8,13 @@ var vscode = require('vscode');
 var notionCredentials = require('./notionCredentials.js');
 var notionDatabase = require('./notionDatabase.js');
 var notionTodo = require('./notionTodo.js');
+var notionPropertyMap = require('./notionPropertyMap.js');
+var notionSchema = require('./notionSchema.js');
+var notionUsers = require('./notionUsers.js');
+var notionBlocks = require('./notionBlocks.js');
+var config = require('./config.js');
+var notionRoutes = require('./notionRoutes.js');
+var utils = require('./utils.js');
 
 var debugFunc;
 
@@ -32,20 +39,67 @@ async function setCredentials(context) {
 /**
  * Retrieves the stored Notion credentials.
  * @param {Object} context - The VSCode extension context for accessing secrets.
+ * @param {string} [databaseId] - A database of TODOtoNOTION.databaseRoutes; the default database if omitted.
  * @returns {Promise<Object>} - An object containing the token and databaseId.
  */
-async function getCredentials(context) {
-    return await notionCredentials.getCredentials(context, debugFunc);
+async function getCredentials(context, databaseId) {
+    return await notionCredentials.getCredentials(context, debugFunc, databaseId);
 }
 
 /**
- * Fetches the current state of tasks from the Notion database.
+ * Retrieves the credentials of every database TODOs are routed to, the default database first.
+ * @param {Object} context - The VSCode extension context for accessing secrets.
+ * @returns {Promise<Array>} - The credentials per database; only the default ones if no database is set.
+ */
+async function getAllCredentials(context) {
+    const databaseIds = notionRoutes.getDatabaseIds();
+    if (databaseIds.length <= 1) {
+        return [await getCredentials(context)];
+    }
+    const targets = [];
+    for (const databaseId of databaseIds) {
+        targets.push(await getCredentials(context, databaseId));
+    }
+    return targets;
+}
+
+/**
+ * Fetches the current state of tasks from every Notion database TODOs are routed to, one query per database.
  * @param {Object} context - The VSCode extension context for accessing credentials.
- * @returns {Promise<Array>} - A promise resolving to an array of task objects from Notion.
+ * @param {Object} [options] - Optional server-side filters: withTodoId, filePathPrefix and todoIds; quiet skips the success message.
+ * @returns {Promise<Array>} - A promise resolving to an array of task objects from Notion, each with the databaseId it came from.
  */
-async function fetchNotionState(context) {
-    const credentials = await getCredentials(context);
-    return await notionDatabase.fetchNotionState(context, credentials, debugFunc);
+async function fetchNotionState(context, options = {}) {
+    return await readDatabases(context, credentials => notionDatabase.fetchNotionState(context, credentials, debugFunc, options));
+}
+
+/**
+ * Queries the TODO rows of every Notion database TODOs are routed to, like fetchNotionState, but rejects
+ * without a message if a database cannot be read, so an unreachable Notion is not taken for an empty one.
+ * @param {Object} context - The VSCode extension context for accessing credentials.
+ * @param {Object} [options] - Optional server-side filters, as for fetchNotionState.
+ * @returns {Promise<Array>} - A promise resolving to an array of task objects from Notion, each with the databaseId it came from.
+ */
+async function queryNotionState(context, options = {}) {
+    return await readDatabases(context, credentials => notionDatabase.queryNotionTasks(context, credentials, debugFunc, options));
+}
+
+/**
+ * Reads the tasks of every database TODOs are routed to, one database at a time.
+ * @param {Object} context - The VSCode extension context for accessing credentials.
+ * @param {Function} read - Reads the tasks of one database from its credentials.
+ * @returns {Promise<Array>} - The tasks, each with the databaseId it came from.
+ */
+async function readDatabases(context, read) {
+    const tasks = [];
+    for (const credentials of await getAllCredentials(context)) {
+        const databaseTasks = await read(credentials);
+        databaseTasks.forEach(task => {
+            task.databaseId = credentials.databaseId;
+        });
+        tasks.push(...databaseTasks);
+    }
+    return tasks;
 }
 
 /**
@@ -58,16 +112,152 @@ async function listDatabaseProperties(context) {
     return await notionDatabase.listDatabaseProperties(context, credentials, debugFunc);
 }
 
+/**
+ * Guides the user through mapping Notion database columns to sync roles.
+ * @param {Object} context - The VSCode extension context for accessing credentials.
+ * @returns {Promise<boolean>} - Returns true if a mapping was saved, false otherwise.
+ */
+async function configurePropertyMap(context) {
+    const credentials = await getCredentials(context);
+    return await notionPropertyMap.configurePropertyMap(context, credentials, debugFunc);
+}
+
+/**
+ * Creates a correctly typed TODO database under a Notion page chosen by the user.
+ * @param {Object} context - The VSCode extension context for accessing credentials.
+ * @returns {Promise<string|null>} - The new database ID, or null if nothing was created.
+ */
+async function createTodoDatabase(context) {
+    const credentials = await getCredentials(context);
+    return await notionSchema.createTodoDatabase(context, credentials, debugFunc);
+}
+
+/**
+ * Validates the Notion database schema and offers to fix missing properties and options.
+ * @param {Object} context - The VSCode extension context for accessing credentials.
+ * @returns {Promise<boolean>} - Returns true if the schema is valid or was fixed.
+ */
+async function validateDatabaseSchema(context) {
+    const credentials = await getCredentials(context);
+    return await notionSchema.validateDatabaseSchema(context, credentials, debugFunc);
+}
+
+/**
+ * Lists the people of the Notion workspace, for resolving TODO assignees.
+ * @param {Object} context - The VSCode extension context for accessing credentials.
+ * @param {string} [databaseId] - The database whose token to use; the default database if omitted.
+ * @returns {Promise<Array|null>} - The users as { id, name, email }, or null if they could not be listed.
+ */
+async function listUsers(context, databaseId) {
+    const credentials = await getCredentials(context, databaseId);
+    return await notionUsers.listUsers(credentials, debugFunc);
+}
+
+/**
+ * Reads the page body of Notion tasks into their description, when TODOtoNOTION.descriptionFromNotion is on.
+ * Tasks whose page could not be read are left without a description, so their comment lines are kept.
+ * @param {Object} context - The VSCode extension context for accessing credentials.
+ * @param {Array} tasks - The Notion tasks, as returned by fetchNotionState.
+ * @returns {Promise<void>}
+ */
+async function readDescriptions(context, tasks) {
+    if (tasks.length === 0 || !config.getConfiguration().get('descriptionFromNotion', false)) {
+        return;
+    }
+    const databaseIds = Array.from(new Set(tasks.map(task => task.databaseId)));
+    for (const databaseId of databaseIds) {
+        const credentials = await getCredentials(context, databaseId);
+        await notionBlocks.readDescriptions(credentials, tasks.filter(task => task.databaseId === databaseId), debugFunc);
+    }
+}
+
 /**
  * Synchronizes TODO items to Notion, handling creation, updates, and deletions.
+ * TODOs are split by the database TODOtoNOTION.databaseRoutes sends them to, and each database is synced on its own.
+ * Without a default database, TODOs matching no route are left unsynced with a warning.
  * @param {Object} context - The VSCode extension context for accessing credentials.
  * @param {Array} todos - The current list of TODO items to sync from the code.
  * @param {Object} cachedTodos - The previously cached TODO items for comparison.
- * @returns {Promise<Object>} - A promise resolving to an object with arrays of created, updated, and deleted TODOs.
+ * @param {Object} [options] - Optional cancellationToken and onProgress(done, total) callback, and dryRun or selectedKeys as for notionTodo.syncTodos.
+ * @returns {Promise<Object>} - A promise resolving to an object with arrays of created, updated, and deleted TODOs, and the plan steps of a dry run.
  */
-async function syncTodos(context, todos, cachedTodos = {}) {
-    const credentials = await getCredentials(context);
-    return await notionTodo.syncTodos(context, credentials, todos, cachedTodos, debugFunc);
+async function syncTodos(context, todos, cachedTodos = {}, options = {}) {
+    const groups = notionRoutes.groupByDatabase(todos, cachedTodos, utils.getWorkspaceFolders());
+    // Without a default database, TODOs matching no route have no database to go to
+    const unrouted = notionRoutes.getDatabaseIds().length > 0 ? groups[""] : undefined;
+    if (unrouted) {
+        delete groups[""];
+        if (unrouted.todos.length > 0) {
+            debugFunc(`${unrouted.todos.length} TODO(s) match no database route and no default database is set; they were not synced.`);
+            vscode.window.showWarningMessage(`${unrouted.todos.length} TODO(s) match no route of TODOtoNOTION.databaseRoutes and were not synced. Set a default database or add a route for them.`);
+        }
+    }
+    const databaseIds = Object.keys(groups);
+    if (databaseIds.length === 1 || (databaseIds.length === 0 && !unrouted)) {
+        const group = groups[databaseIds[0]] || { todos, cachedTodos };
+        const credentials = await getCredentials(context, databaseIds[0]);
+        return await notionTodo.syncTodos(context, credentials, group.todos, group.cachedTodos, debugFunc, options);
+    }
+
+    const result = { created: [], updated: [], deleted: [], resolved: [], failed: [], conflicts: [], outcomes: [], plan: [], cancelled: false, offline: false };
+    let doneBefore = 0;
+    for (const databaseId of databaseIds) {
+        const credentials = await getCredentials(context, databaseId);
+        const databaseOptions = Object.assign({}, options, {
+            onProgress: options.onProgress ? (done, total) => options.onProgress(doneBefore + done, doneBefore + total) : undefined
+        });
+        const databaseResult = await notionTodo.syncTodos(context, credentials, groups[databaseId].todos, groups[databaseId].cachedTodos, debugFunc, databaseOptions);
+        Object.keys(result).filter(key => Array.isArray(result[key])).forEach(key => {
+            result[key].push(...(databaseResult[key] || []));
+        });
+        result.cancelled = result.cancelled || databaseResult.cancelled;
+        result.offline = result.offline || databaseResult.offline;
+        result.error = result.error || databaseResult.error;
+        doneBefore += (databaseResult.outcomes || []).length;
+        if (result.cancelled) {
+            break;
+        }
+    }
+    return result;
+}
+
+/**
+ * Updates the Notion page of a TODO, e.g. after a text conflict was resolved.
+ * @param {Object} context - The VSCode extension context for accessing credentials.
+ * @param {string} pageId - The Notion page ID.
+ * @param {Object} updates - The values to write (text, type, status, filePath, lineNumber, id).
+ * @param {string} [databaseId] - The database holding the page; the default database if omitted.
+ * @returns {Promise<boolean>} - Returns true if the update succeeded.
+ */
+async function updateTodo(context, pageId, updates, databaseId) {
+    const credentials = await getCredentials(context, databaseId);
+    return await notionTodo.updateTodo(context, credentials, pageId, updates, debugFunc);
+}
+
+/**
+ * Archives the Notion page of a TODO.
+ * @param {Object} context - The VSCode extension context for accessing credentials.
+ * @param {string} pageId - The Notion page ID.
+ * @param {string} [databaseId] - The database holding the page; the default database if omitted.
+ * @returns {Promise<boolean>} - Returns true if the page was archived.
+ */
+async function archiveTodo(context, pageId, databaseId) {
+    const credentials = await getCredentials(context, databaseId);
+    return await notionTodo.deleteTodo(context, credentials, pageId, debugFunc);
+}
+
+/**
+ * Puts the Notion page of a logged sync step back as it was before the sync. Rejects if Notion could not be updated.
+ * @param {Object} context - The VSCode extension context for accessing credentials.
+ * @param {Object} step - The logged step, as kept by syncHistory.
+ * @returns {Promise<boolean>} - True if the page was reverted, false if the step changed nothing that can be reverted.
+ */
+async function revertTodo(context, step) {
+    const credentials = await getCredentials(context, step.databaseId);
+    if (!credentials.token) {
+        throw new Error("Notion integration not configured. Please set credentials first.");
+    }
+    return await notionTodo.revertTodoPage(context, credentials, step, debugFunc);
 }
 
 module.exports = {
@@ -75,6 +265,15 @@ module.exports = {
     setCredentials,
     getCredentials,
     fetchNotionState,
+    queryNotionState,
     listDatabaseProperties,
-    syncTodos
+    configurePropertyMap,
+    createTodoDatabase,
+    validateDatabaseSchema,
+    listUsers,
+    readDescriptions,
+    syncTodos,
+    updateTodo,
+    archiveTodo,
+    revertTodo
 };
@@ -0,0 +1,281 @@
+/**
+ * Module for the Notion page body of TODOs in the TODOtoNOTION extension.
+ * The description of a TODO, the comment lines that follow it, is kept as the paragraphs at the top
+ * of its page, one paragraph per line, followed by a code block with the source lines around the TODO.
+ * Anything after them belongs to the page and is left alone.
+ */
+
+var notionScheduler = require('./notionScheduler.js');
+var notionProperties = require('./notionProperties.js');
+var notionDatabase = require('./notionDatabase.js');
+
+// Notion accepts at most 100 blocks per request and 2000 characters per text object
+var MAX_BLOCKS_PER_REQUEST = 100;
+var MAX_TEXT_LENGTH = 2000;
+
+// Notion code block languages whose VSCode language identifier differs; others are used as they are if Notion knows them
+var CODE_LANGUAGES = {
+    cpp: "c++",
+    csharp: "c#",
+    fsharp: "f#",
+    "objective-cpp": "objective-c",
+    shellscript: "shell",
+    bat: "shell",
+    dockerfile: "docker",
+    javascriptreact: "javascript",
+    typescriptreact: "typescript",
+    jsonc: "json",
+    vb: "visual basic",
+    tex: "latex",
+    proto3: "protobuf",
+    proto: "protobuf",
+    terraform: "hcl",
+    vue: "html",
+    svelte: "html",
+    plaintext: "plain text"
+};
+var NOTION_LANGUAGES = ["bash", "c", "clojure", "coffeescript", "css", "dart", "diff", "elixir", "elm", "erlang", "fortran",
+    "go", "graphql", "groovy", "haskell", "html", "java", "javascript", "json", "julia", "kotlin", "latex", "less", "lisp",
+    "lua", "makefile", "markdown", "matlab", "nix", "objective-c", "ocaml", "pascal", "perl", "php", "powershell", "prolog",
+    "python", "r", "racket", "ruby", "rust", "sass", "scala", "scheme", "scss", "solidity", "sql", "swift", "toml",
+    "typescript", "verilog", "vhdl", "xml", "yaml"];
+
+/**
+ * Builds the rich text of a paragraph.
+ * @param {string} line - The text of the paragraph.
+ * @returns {Array} The Notion rich text array.
+ */
+function buildRichText(line) {
+    return [{ type: "text", text: { content: line.slice(0, MAX_TEXT_LENGTH) } }];
+}
+
+/**
+ * Builds the paragraph blocks of a TODO description.
+ * @param {string} description - The description, one paragraph per line.
+ * @returns {Array} The paragraph blocks, for pages.create or blocks.children.append.
+ */
+function buildParagraphs(description) {
+    return (description ? description.split('\n') : []).map(line => ({
+        object: "block",
+        type: "paragraph",
+        paragraph: { rich_text: buildRichText(line) }
+    }));
+}
+
+/**
+ * Builds the rich text of a code block, split in pieces Notion accepts.
+ * @param {string} code - The code.
+ * @returns {Array} The Notion rich text array.
+ */
+function buildCodeText(code) {
+    const pieces = [];
+    for (let start = 0; start < code.length && pieces.length < MAX_BLOCKS_PER_REQUEST; start += MAX_TEXT_LENGTH) {
+        pieces.push({ type: "text", text: { content: code.slice(start, start + MAX_TEXT_LENGTH) } });
+    }
+    return pieces;
+}
+
+/**
+ * Builds the code block holding the source lines around a TODO.
+ * @param {Object} codeContext - The lines around the TODO as { language, code }, with the VSCode language identifier.
+ * @returns {Object} The code block.
+ */
+function buildCodeBlock(codeContext) {
+    const language = CODE_LANGUAGES[codeContext.language] || codeContext.language;
+    return {
+        object: "block",
+        type: "code",
+        code: {
+            rich_text: buildCodeText(codeContext.code),
+            language: NOTION_LANGUAGES.includes(language) || Object.values(CODE_LANGUAGES).includes(language) ? language : "plain text"
+        }
+    };
+}
+
+/**
+ * Builds the page body of a new TODO page: its description followed by the code around it.
+ * @param {string} description - The description, one paragraph per line.
+ * @param {Object} [codeContext] - The lines around the TODO as { language, code }, if they are attached.
+ * @returns {Array} The blocks, for pages.create.
+ */
+function buildPageBody(description, codeContext) {
+    return buildParagraphs(description).concat(codeContext ? [buildCodeBlock(codeContext)] : []);
+}
+
+/**
+ * Lists the top-level blocks of a page, following pagination.
+ * @param {Object} notionClient - The Notion client instance.
+ * @param {string} pageId - The Notion page ID.
+ * @param {Function} debug - Debug logging function.
+ * @returns {Promise<Array>} The blocks, in page order.
+ */
+async function listBlocks(notionClient, pageId, debug) {
+    const blocks = [];
+    let cursor = undefined;
+    do {
+        const response = await notionScheduler.schedule(() => notionClient.blocks.children.list({
+            block_id: pageId,
+            start_cursor: cursor,
+            page_size: MAX_BLOCKS_PER_REQUEST
+        }), "blocks.children.list", debug);
+        blocks.push(...response.results);
+        cursor = response.has_more ? response.next_cursor : undefined;
+    } while (cursor);
+    return blocks;
+}
+
+/**
+ * Picks the description of a page: the paragraphs at its top, up to an empty paragraph or another kind of block.
+ * @param {Array} blocks - The top-level blocks of the page.
+ * @returns {Array} The description paragraphs as { id, text }.
+ */
+function getDescriptionBlocks(blocks) {
+    const paragraphs = [];
+    for (const block of blocks) {
+        const text = block.type === "paragraph" ? notionProperties.readPropertyValue({ type: "rich_text", rich_text: block.paragraph.rich_text }) : "";
+        if (!text.trim()) {
+            break;
+        }
+        paragraphs.push({ id: block.id, text: text });
+    }
+    return paragraphs;
+}
+
+/**
+ * Reads the text of a code block.
+ * @param {Object} block - The code block.
+ * @returns {string} The code.
+ */
+function readCode(block) {
+    return block.code.rich_text.map(text => text.plain_text !== undefined ? text.plain_text : text.text.content).join('');
+}
+
+/**
+ * Reads the description of a TODO from its page. Line breaks inside a paragraph start a new line.
+ * @param {Object} notionClient - The Notion client instance.
+ * @param {string} pageId - The Notion page ID.
+ * @param {Function} debug - Debug logging function.
+ * @returns {Promise<string>} The description, one line per paragraph.
+ */
+async function readDescription(notionClient, pageId, debug) {
+    const blocks = await listBlocks(notionClient, pageId, debug);
+    return getDescriptionBlocks(blocks).map(paragraph => paragraph.text.split('\n').map(line => line.trim()).filter(line => line).join('\n')).join('\n');
+}
+
+/**
+ * Reads the descriptions of Notion tasks from their pages into their description field.
+ * @param {Object} credentials - The Notion credentials (token and databaseId).
+ * @param {Array} tasks - The Notion tasks, with the page ID as id.
+ * @param {Function} debug - Debug logging function.
+ * @returns {Promise<void>}
+ */
+async function readDescriptions(credentials, tasks, debug) {
+    if (!credentials.token) {
+        return;
+    }
+    const notionClient = notionDatabase.getNotionClient(credentials.token);
+    for (const task of tasks) {
+        try {
+            task.description = await readDescription(notionClient, task.id, debug);
+        } catch (error) {
+            debug(`Could not read the description of page ${task.id}: ${error.message}`);
+        }
+    }
+}
+
+/**
+ * Writes the description of a TODO to its page, changing only the paragraphs that differ.
+ * Notion can only insert blocks after another block, so a description cannot be added to a page
+ * that starts with other content; it is left out and false is returned.
+ * @param {Object} notionClient - The Notion client instance.
+ * @param {string} pageId - The Notion page ID.
+ * @param {string} description - The description, one paragraph per line.
+ * @param {Function} debug - Debug logging function.
+ * @returns {Promise<boolean>} False if the description could not be placed at the top of the page.
+ */
+async function writeDescription(notionClient, pageId, description, debug) {
+    const blocks = await listBlocks(notionClient, pageId, debug);
+    const current = getDescriptionBlocks(blocks);
+    const paragraphs = buildParagraphs(description);
+
+    for (let i = 0; i < Math.min(current.length, paragraphs.length); i++) {
+        if (current[i].text !== paragraphs[i].paragraph.rich_text[0].text.content) {
+            await notionScheduler.schedule(() => notionClient.blocks.update({
+                block_id: current[i].id,
+                paragraph: paragraphs[i].paragraph
+            }), "blocks.update", debug);
+        }
+    }
+    for (const paragraph of current.slice(paragraphs.length)) {
+        await notionScheduler.schedule(() => notionClient.blocks.delete({ block_id: paragraph.id }), "blocks.delete", debug);
+    }
+
+    let added = paragraphs.slice(current.length);
+    if (added.length > 0 && current.length === 0 && blocks.length === 1 && blocks[0].type === "code") {
+        // The page holds nothing but the code around the TODO, which is moved below the description
+        await notionScheduler.schedule(() => notionClient.blocks.delete({ block_id: blocks[0].id }), "blocks.delete", debug);
+        added = added.concat([buildCodeBlock({ language: blocks[0].code.language, code: readCode(blocks[0]) })]);
+    } else if (added.length > 0 && current.length === 0 && blocks.length > 0) {
+        debug(`Page ${pageId} starts with other content, so the TODO description was not added to it.`);
+        return false;
+    }
+    let after = current.length > 0 ? current[current.length - 1].id : undefined;
+    while (added.length > 0) {
+        const chunk = added.slice(0, MAX_BLOCKS_PER_REQUEST);
+        const response = await notionScheduler.schedule(() => notionClient.blocks.children.append({
+            block_id: pageId,
+            children: chunk,
+            after: after
+        }), "blocks.children.append", debug);
+        after = response.results.length > 0 ? response.results[response.results.length - 1].id : after;
+        added = added.slice(MAX_BLOCKS_PER_REQUEST);
+    }
+    debug(`Updated the description of page ${pageId}.`);
+    return true;
+}
+
+/**
+ * Writes the source lines around a TODO to the code block after its description, adding the block if the page
+ * has none there. The block is only changed when the code or its language differ. Like the description, the block
+ * cannot be added to a page that starts with other content; it is left out and false is returned.
+ * @param {Object} notionClient - The Notion client instance.
+ * @param {string} pageId - The Notion page ID.
+ * @param {Object} codeContext - The lines around the TODO as { language, code }, with the VSCode language identifier.
+ * @param {Function} debug - Debug logging function.
+ * @returns {Promise<boolean>} False if the code block could not be placed after the description.
+ */
+async function writeCodeContext(notionClient, pageId, codeContext, debug) {
+    const blocks = await listBlocks(notionClient, pageId, debug);
+    const description = getDescriptionBlocks(blocks);
+    const existing = blocks[description.length];
+    const codeBlock = buildCodeBlock(codeContext);
+
+    if (existing && existing.type === "code") {
+        if (readCode(existing) === readCode(codeBlock) && existing.code.language === codeBlock.code.language) {
+            return true;
+        }
+        await notionScheduler.schedule(() => notionClient.blocks.update({
+            block_id: existing.id,
+            code: codeBlock.code
+        }), "blocks.update", debug);
+    } else if (description.length === 0 && blocks.length > 0) {
+        debug(`Page ${pageId} starts with other content, so the code around the TODO was not added to it.`);
+        return false;
+    } else {
+        await notionScheduler.schedule(() => notionClient.blocks.children.append({
+            block_id: pageId,
+            children: [codeBlock],
+            after: description.length > 0 ? description[description.length - 1].id : undefined
+        }), "blocks.children.append", debug);
+    }
+    debug(`Updated the code around the TODO of page ${pageId}.`);
+    return true;
+}
+
+module.exports = {
+    MAX_BLOCKS_PER_REQUEST,
+    buildPageBody,
+    readDescriptions,
+    writeDescription,
+    writeCodeContext
+};
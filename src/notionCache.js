@@ -0,0 +1,157 @@
+/**
+ * Module caching the TODO rows of the Notion database for the TODOtoNOTION extension.
+ * Hovers, CodeLenses and the TODO Explorer read Notion through this cache, so moving the mouse
+ * or scrolling does not query the API. After a sync, only the rows of the TODOs it wrote are read again.
+ */
+
+var vscode = require('vscode');
+var notion = require('./notion.js');
+var todoSync = require('./todoSync.js');
+
+var CACHE_TTL_MS = 5 * 60 * 1000;
+
+var changeEmitter = new vscode.EventEmitter();
+var tasksById = null;
+var fetchedAt = 0;
+var pendingFetch = null;
+var lastError = null;
+
+/**
+ * Fetches the TODO rows from Notion, sharing one request between concurrent callers.
+ * If Notion cannot be read, the cached rows are kept as they were and the error is remembered.
+ * @param {Object} context - The VSCode extension context for accessing credentials.
+ * @param {Function} debug - Debug logging function.
+ * @returns {Promise<Object|null>} - The Notion tasks keyed by TODO ID; the rows cached before, or null, if Notion could not be read.
+ */
+function fetchTasks(context, debug) {
+    if (!pendingFetch) {
+        pendingFetch = notion.queryNotionState(context, { withTodoId: true }).then(tasks => {
+            tasksById = {};
+            tasks.forEach(task => {
+                tasksById[task.customId] = task;
+            });
+            fetchedAt = Date.now();
+            lastError = null;
+            debug(`Cached ${tasks.length} Notion TODO rows.`);
+            changeEmitter.fire();
+            return tasksById;
+        }, error => {
+            // Without the rows, TODOs must show as unknown rather than missing from Notion
+            lastError = error;
+            debug("Error reading Notion TODO rows for the cache: " + error.message);
+            return tasksById;
+        }).finally(() => {
+            pendingFetch = null;
+        });
+    }
+    return pendingFetch;
+}
+
+/**
+ * Returns the cached Notion tasks. Stale data is returned at once and refreshed in the background;
+ * Notion is only awaited when nothing is cached yet or a refresh is forced.
+ * @param {Object} context - The VSCode extension context for accessing credentials.
+ * @param {Function} debug - Debug logging function.
+ * @param {Object} [options] - refresh: true to wait for fresh data from Notion.
+ * @returns {Promise<Object|null>} - The Notion tasks keyed by TODO ID, or null if credentials are not set or Notion could not be read yet.
+ */
+async function getTasks(context, debug, options = {}) {
+    const credentials = await notion.getCredentials(context);
+    if (!credentials.token || !credentials.databaseId) {
+        return null;
+    }
+    if (!tasksById || options.refresh) {
+        return await fetchTasks(context, debug);
+    }
+    if (Date.now() - fetchedAt > CACHE_TTL_MS) {
+        fetchTasks(context, debug);
+    }
+    return tasksById;
+}
+
+/**
+ * Returns the error of the last read of Notion, if it failed.
+ * @returns {Error|null} - The error, or null if the last read succeeded.
+ */
+function getLastError() {
+    return lastError;
+}
+
+/**
+ * Drops the cached rows, so the next read fetches them again.
+ */
+function invalidate() {
+    tasksById = null;
+    fetchedAt = 0;
+    changeEmitter.fire();
+}
+
+/**
+ * Reads the rows of some TODOs again and updates them in the cache; rows no longer in Notion are dropped.
+ * If Notion cannot be read, the whole cache is dropped, so the next read fetches every row.
+ * @param {Object} context - The VSCode extension context for accessing credentials.
+ * @param {Array<string>} ids - The TODO IDs to read again.
+ * @param {Function} debug - Debug logging function.
+ * @returns {Promise<void>}
+ */
+async function refreshTodos(context, ids, debug) {
+    const cached = tasksById;
+    if (!cached || ids.length === 0) {
+        return;
+    }
+    try {
+        const tasks = await notion.queryNotionState(context, { todoIds: ids, quiet: true });
+        if (tasksById !== cached) {
+            // Dropped or fetched in full meanwhile
+            return;
+        }
+        ids.forEach(id => {
+            delete tasksById[id];
+        });
+        tasks.forEach(task => {
+            tasksById[task.customId] = task;
+        });
+        debug(`Updated ${ids.length} cached Notion TODO rows.`);
+        changeEmitter.fire();
+    } catch (error) {
+        debug("Error updating the cached Notion TODO rows: " + error.message);
+        invalidate();
+    }
+}
+
+/**
+ * Returns the IDs of the TODOs a sync wrote to Notion.
+ * @param {Object} result - The sync result.
+ * @returns {Array<string>} The TODO IDs.
+ */
+function getSyncedIds(result) {
+    const ids = new Set();
+    [result.created, result.updated, result.deleted, result.resolved].forEach(todos => {
+        (todos || []).forEach(todo => ids.add(todo.id));
+    });
+    return Array.from(ids);
+}
+
+/**
+ * Updates the cache after every sync: the rows a sync to Notion wrote are read again,
+ * and the cache is dropped after a sync from Notion, which does not report what it changed.
+ * @param {Object} context - The VSCode extension context.
+ * @param {Function} debug - Debug logging function.
+ */
+function init(context, debug) {
+    context.subscriptions.push(todoSync.onDidSync(result => {
+        if (!result) {
+            invalidate();
+            return;
+        }
+        refreshTodos(context, getSyncedIds(result), debug);
+    }));
+}
+
+module.exports = {
+    init,
+    getTasks,
+    getLastError,
+    invalidate,
+    onDidChange: changeEmitter.event
+};
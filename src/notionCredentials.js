@@ -3,12 +3,65 @@
  */
 
 var vscode = require('vscode');
+var notionRoutes = require('./notionRoutes.js');
 
 var NOTION_TOKEN_KEY = 'notionIntegrationToken';
 
+/**
+ * Lets the user pick the database to set credentials for, when TODOtoNOTION.databaseRoutes adds databases
+ * to the default one.
+ * @returns {Promise<Object|undefined>} The pick: { databaseId, isDefault }, or undefined if cancelled.
+ */
+async function pickCredentialsTarget() {
+    const defaultDatabaseId = vscode.workspace.getConfiguration('TODOtoNOTION').get('databaseId', '');
+    const routedIds = notionRoutes.getDatabaseIds().filter(databaseId => databaseId !== defaultDatabaseId);
+    if (routedIds.length === 0) {
+        return { databaseId: defaultDatabaseId, isDefault: true };
+    }
+    const picked = await vscode.window.showQuickPick([
+        { label: "Default database", description: defaultDatabaseId || "not set", target: { databaseId: defaultDatabaseId, isDefault: true } }
+    ].concat(routedIds.map(databaseId => ({
+        label: "Routed database",
+        description: databaseId,
+        detail: "Leave the token empty to use the token of the default database.",
+        target: { databaseId, isDefault: false }
+    }))), { title: "Set Notion Credentials For" });
+    return picked ? picked.target : undefined;
+}
+
+/**
+ * Asks for and stores the token of a database reached through TODOtoNOTION.databaseRoutes.
+ * An empty token makes the database use the token of the default database again.
+ * @param {Object} context - The VSCode extension context for storing secrets.
+ * @param {string} databaseId - The routed database ID.
+ * @param {Function} debug - Debug logging function.
+ * @returns {Promise<boolean>} - Returns true unless the prompt was cancelled.
+ */
+async function setRouteToken(context, databaseId, debug) {
+    const tokenKey = getDatabaseTokenKey(context, databaseId);
+    const token = await vscode.window.showInputBox({
+        prompt: `Enter the Notion Integration Token for database ${databaseId}, or leave it empty to use the default token`,
+        placeHolder: "Token",
+        password: true
+    });
+    if (token === undefined) {
+        return false;
+    }
+    if (token) {
+        await context.secrets.store(tokenKey, token);
+        vscode.window.showInformationMessage(`Notion Integration Token saved securely for database ${databaseId}.`);
+    } else {
+        await context.secrets.delete(tokenKey);
+        vscode.window.showInformationMessage(`Database ${databaseId} now uses the default Notion Integration Token.`);
+    }
+    debug(`Notion token ${token ? "saved" : "cleared"} for routed database: ${databaseId}`);
+    return true;
+}
+
 /**
  * Prompts the user to set Notion integration credentials (API token and Database ID).
- * Stores the credentials securely and updates configuration.
+ * Stores the credentials securely and updates configuration. When TODOtoNOTION.databaseRoutes adds
+ * databases, the user first picks one; a routed database only takes an optional token of its own.
  * @param {Object} context - The VSCode extension context for storing secrets.
  * @param {Function} debug - Debug logging function.
  * @returns {Promise<boolean>} - Returns true if both token and database ID are provided, false otherwise.
@@ -16,6 +69,13 @@ var NOTION_TOKEN_KEY = 'notionIntegrationToken';
 async function setCredentials(context, debug) {
     try {
         debug("Setting Notion credentials...");
+        const target = await pickCredentialsTarget();
+        if (!target) {
+            return false;
+        }
+        if (!target.isDefault) {
+            return await setRouteToken(context, target.databaseId, debug);
+        }
         // Get a workspace-specific key for storing the token
         const workspaceKey = getWorkspaceKey(context);
         const tokenKey = `${NOTION_TOKEN_KEY}_${workspaceKey}`;
@@ -65,16 +125,18 @@ async function setCredentials(context, debug) {
 
 /**
  * Retrieves the stored Notion credentials (token and database ID).
+ * A database reached through TODOtoNOTION.databaseRoutes uses its own token if one was set, otherwise the default token.
  * @param {Object} context - The VSCode extension context for accessing secrets.
  * @param {Function} debug - Debug logging function.
+ * @param {string} [routedDatabaseId] - The database to get credentials for; the default database, or the first routed one, if omitted.
  * @returns {Promise<Object>} - An object containing the token and databaseId.
  */
-async function getCredentials(context, debug) {
+async function getCredentials(context, debug, routedDatabaseId) {
     try {
         const workspaceKey = getWorkspaceKey(context);
-        const tokenKey = `${NOTION_TOKEN_KEY}_${workspaceKey}`;
-        const token = await context.secrets.get(tokenKey);
-        const databaseId = vscode.workspace.getConfiguration('TODOtoNOTION').get('databaseId', '');
+        const databaseId = routedDatabaseId || notionRoutes.getDatabaseIds()[0] || '';
+        const routeToken = databaseId ? await context.secrets.get(getDatabaseTokenKey(context, databaseId)) : undefined;
+        const token = routeToken || await context.secrets.get(`${NOTION_TOKEN_KEY}_${workspaceKey}`) || await getLegacyToken(context);
         debug("Retrieved Notion credentials for workspace " + workspaceKey + " (token: " + (token ? "present" : "not set") + ", databaseId: " + (databaseId || "not set") + ")");
         return { token, databaseId };
     } catch (error) {
@@ -85,13 +147,37 @@ async function getCredentials(context, debug) {
 }
 
 /**
- * Gets a workspace-specific key for storing secrets.
+ * Gets a workspace-specific key for storing secrets: the workspace file of a multi-root workspace,
+ * otherwise the folder that is open.
  * @param {Object} context - The VSCode extension context.
  * @returns {string} - The workspace-specific key.
  */
 function getWorkspaceKey(context) {
-    const workspaceFolder = vscode.workspace.workspaceFolders && vscode.workspace.workspaceFolders.length > 0 ? vscode.workspace.workspaceFolders[0].uri.fsPath : "global";
-    return workspaceFolder;
+    const workspaceFile = vscode.workspace.workspaceFile;
+    if (workspaceFile && workspaceFile.scheme === 'file') {
+        return workspaceFile.fsPath;
+    }
+    return vscode.workspace.workspaceFolders && vscode.workspace.workspaceFolders.length > 0 ? vscode.workspace.workspaceFolders[0].uri.fsPath : "global";
+}
+
+/**
+ * Reads the token a multi-root workspace stored under its first folder, before tokens were keyed by workspace file.
+ * @param {Object} context - The VSCode extension context.
+ * @returns {Promise<string|undefined>} - The token, if one was stored.
+ */
+async function getLegacyToken(context) {
+    const folders = vscode.workspace.workspaceFolders || [];
+    return vscode.workspace.workspaceFile && folders.length > 0 ? await context.secrets.get(`${NOTION_TOKEN_KEY}_${folders[0].uri.fsPath}`) : undefined;
+}
+
+/**
+ * Gets the key of the token of a database reached through TODOtoNOTION.databaseRoutes.
+ * @param {Object} context - The VSCode extension context.
+ * @param {string} databaseId - The database ID, with or without dashes.
+ * @returns {string} - The secret key.
+ */
+function getDatabaseTokenKey(context, databaseId) {
+    return `${NOTION_TOKEN_KEY}_${getWorkspaceKey(context)}_${databaseId.replace(/-/g, '').toLowerCase()}`;
 }
 
 module.exports = {
@@ -2,94 +2,241 @@
  * Module for handling Notion database operations in the TODOtoNOTION extension.
  */
 
-var vscode = require('vscode');
+var host = require('./host.js');
 var { Client } = require('@notionhq/client');
-var notionClient;
+var config = require('./config.js');
+var notionProperties = require('./notionProperties.js');
+var notionScheduler = require('./notionScheduler.js');
+
+// One client per token, since databases routed through TODOtoNOTION.databaseRoutes may use their own
+var notionClients = {};
+
+/**
+ * Notion returns at most 100 rows per query and accepts at most 100 conditions in a compound filter.
+ */
+var PAGE_SIZE = 100;
+var MAX_FILTER_CONDITIONS = 100;
+
+/**
+ * Builds Notion database query filters from sync-level options.
+ * IDs are split into several filters because a compound filter holds at most 100 conditions.
+ * @param {Object} options - Filter options: withTodoId, filePathPrefix and todoIds.
+ * @param {Object} propertyMap - The Notion column name per sync role.
+ * @param {string} filePathType - The property type of the file path column ("rich_text" or "url").
+ * @returns {Array} Query filters to run one after the other; [undefined] means a single unfiltered query.
+ */
+function buildQueryFilters(options, propertyMap, filePathType) {
+    const conditions = [];
+    if (options.withTodoId) {
+        conditions.push({ property: propertyMap.todoId, rich_text: { is_not_empty: true } });
+    }
+    if (options.filePathPrefix) {
+        conditions.push({ property: propertyMap.filePath, [filePathType]: { starts_with: options.filePathPrefix } });
+    }
+
+    const combine = extra => {
+        const all = extra ? conditions.concat([extra]) : conditions;
+        if (all.length === 0) return undefined;
+        return all.length === 1 ? all[0] : { and: all };
+    };
+
+    if (!Array.isArray(options.todoIds)) {
+        return [combine(null)];
+    }
+    const filters = [];
+    const ids = Array.from(new Set(options.todoIds.filter(id => id)));
+    for (let i = 0; i < ids.length; i += MAX_FILTER_CONDITIONS) {
+        const chunk = ids.slice(i, i + MAX_FILTER_CONDITIONS);
+        filters.push(combine({ or: chunk.map(id => ({ property: propertyMap.todoId, rich_text: { equals: id } })) }));
+    }
+    return filters;
+}
+
+/**
+ * Queries a Notion database, following next_cursor until every matching row is fetched.
+ * @param {Object} notionClient - The Notion client instance.
+ * @param {string} databaseId - The ID of the database to query.
+ * @param {Object|undefined} filter - The Notion filter object, if any.
+ * @param {Function} debug - Debug logging function.
+ * @returns {Promise<Array>} - A promise resolving to all matching pages.
+ */
+async function queryAllPages(notionClient, databaseId, filter, debug) {
+    const pages = [];
+    let cursor = undefined;
+    do {
+        const response = await notionScheduler.schedule(() => notionClient.databases.query({
+            database_id: databaseId,
+            filter: filter,
+            start_cursor: cursor,
+            page_size: PAGE_SIZE
+        }), "databases.query", debug);
+        pages.push(...response.results);
+        cursor = response.has_more ? response.next_cursor : undefined;
+        if (cursor) {
+            debug("Fetched " + pages.length + " rows from Notion so far, requesting next page.");
+        }
+    } while (cursor);
+    return pages;
+}
+
+/**
+ * Maps a Notion page to the task object used by the sync.
+ * @param {Object} page - The Notion page returned by a database query.
+ * @param {Object} propertyMap - The Notion column name per sync role.
+ * @param {Function} debug - Debug logging function.
+ * @returns {Object} The task with id, url, lastEditedTime, customId, text, filePath, workspaceFolder, lineNumber, type, status,
+ * priority, assignees, due and labels (each undefined if the database has no column for it) and the values of the columns that have no sync role, keyed by column name, as extraProperties.
+ */
+function pageToTask(page, propertyMap, debug) {
+    let taskText = "Untitled Task";
+    let customId = "";
+    let filePath = "";
+    let workspaceFolder = undefined;
+    let lineNumber = undefined;
+    let type = "";
+    let status = "";
+    let priority = undefined;
+    let assignees = undefined;
+    let due = undefined;
+    let labels = undefined;
+    const extraProperties = {};
+    try {
+        const read = role => notionProperties.readPropertyValue(page.properties[propertyMap[role]]);
+        taskText = read("title") || taskText;
+        customId = read("todoId") || "";
+        filePath = read("filePath") || "";
+        if (page.properties[propertyMap.workspaceFolder]) {
+            workspaceFolder = read("workspaceFolder") || "";
+        }
+        const lineValue = read("lineNumber");
+        if (lineValue !== undefined && lineValue !== "" && Number.isFinite(Number(lineValue))) {
+            lineNumber = Number(lineValue);
+        }
+        const typeValue = read("type");
+        type = (Array.isArray(typeValue) ? typeValue[0] : typeValue) || "";
+        status = read("status") || "";
+        const assigneeValue = read("assignee");
+        assignees = Array.isArray(assigneeValue) ? assigneeValue : undefined;
+        if (page.properties[propertyMap.priority]) {
+            priority = read("priority") || "";
+        }
+        if (page.properties[propertyMap.due]) {
+            // Code holds dates only, so a time set in Notion is left out
+            due = (read("due") || "").slice(0, 10);
+        }
+        const labelsValue = read("labels");
+        labels = Array.isArray(labelsValue) ? labelsValue : undefined;
+
+        const mappedNames = Object.values(propertyMap);
+        Object.keys(page.properties || {}).filter(name => !mappedNames.includes(name)).forEach(name => {
+            const value = notionProperties.readPropertyValue(page.properties[name]);
+            if (value !== undefined && value !== null && value !== "" && !(Array.isArray(value) && value.length === 0)) {
+                extraProperties[name] = value;
+            }
+        });
+    } catch (error) {
+        debug("Error accessing task details for page " + page.id + ": " + error.message);
+    }
+    return {
+        id: page.id,
+        url: page.url,
+        lastEditedTime: page.last_edited_time,
+        customId: customId,
+        text: taskText,
+        filePath: filePath,
+        workspaceFolder: workspaceFolder,
+        lineNumber: lineNumber,
+        type: type,
+        status: status,
+        priority: priority,
+        assignees: assignees,
+        due: due,
+        labels: labels,
+        extraProperties: extraProperties
+    };
+}
+
+/**
+ * Queries the TODO rows of the Notion database. Unlike fetchNotionState, errors are thrown
+ * to the caller, so a sync can tell an unreachable Notion from an empty database.
+ * @param {Object} context - The VSCode extension context for accessing credentials.
+ * @param {Object} credentials - The Notion credentials (token and databaseId).
+ * @param {Function} debug - Debug logging function.
+ * @param {Object} [options] - Optional filters, as for fetchNotionState.
+ * @returns {Promise<Array>} - A promise resolving to an array of task objects from Notion.
+ */
+async function queryNotionTasks(context, credentials, debug, options = {}) {
+    const { token, databaseId } = credentials;
+    const notionClient = getNotionClient(token);
+
+    // The file path column may be text or URL; its filter has to match the column type
+    const propertyMap = config.getPropertyMap();
+    let filePathType = "rich_text";
+    if (options.filePathPrefix) {
+        const dbProperties = await listDatabaseProperties(context, credentials, debug);
+        if (dbProperties && dbProperties[propertyMap.filePath] === "url") {
+            filePathType = "url";
+        }
+    }
+
+    // Query the database, one paginated query per filter
+    const tasks = [];
+    const seen = {};
+    for (const filter of buildQueryFilters(options, propertyMap, filePathType)) {
+        const pages = await queryAllPages(notionClient, databaseId, filter, debug);
+        pages.forEach(page => {
+            if (!seen[page.id]) {
+                seen[page.id] = true;
+                tasks.push(pageToTask(page, propertyMap, debug));
+            }
+        });
+    }
+    return tasks;
+}
 
 /**
  * Fetches the current state of tasks from the Notion database.
+ * All result pages are fetched; options narrow the query on the server side.
  * @param {Object} context - The VSCode extension context for accessing credentials.
  * @param {Object} credentials - The Notion credentials (token and databaseId).
  * @param {Function} debug - Debug logging function.
+ * @param {Object} [options] - Optional filters: withTodoId (only rows with a TODO_ID), filePathPrefix (only rows whose File Path starts with it) and todoIds (only rows with one of these TODO_IDs).
+ * quiet skips the success message, for background refreshes.
  * @returns {Promise<Array>} - A promise resolving to an array of task objects from Notion with custom ID mapping.
  */
-async function fetchNotionState(context, credentials, debug) {
+async function fetchNotionState(context, credentials, debug, options = {}) {
     try {
         const { token, databaseId } = credentials;
         if (!token || !databaseId) {
-            vscode.window.showErrorMessage("Notion integration not configured. Please set credentials first.");
+            host.showErrorMessage("Notion integration not configured. Please set credentials first.");
             debug("Notion credentials not configured for fetchNotionState.");
             return [];
         }
 
-        // Initialize Notion client with the token
-        notionClient = new Client({ auth: token });
-        
-        // Query the database for all pages
-        const response = await notionClient.databases.query({
-            database_id: databaseId
-        });
-
-        const tasks = response.results.map(page => {
-            let taskText = "Untitled Task";
-            let customId = "";
-            let filePath = "";
-            let lineNumber = undefined;
-            let type = "";
-            let status = "";
-            try {
-                if (page.properties.Name && page.properties.Name.title && page.properties.Name.title.length > 0) {
-                    taskText = page.properties.Name.title[0].plain_text;
-                }
-                if (page.properties.TODO_ID && page.properties.TODO_ID.rich_text && page.properties.TODO_ID.rich_text.length > 0) {
-                    customId = page.properties.TODO_ID.rich_text[0].plain_text;
-                }
-                if (page.properties["File Path"] && page.properties["File Path"].rich_text && page.properties["File Path"].rich_text.length > 0) {
-                    filePath = page.properties["File Path"].rich_text[0].plain_text;
-                }
-                if (page.properties["Line Number"] && typeof page.properties["Line Number"].number === 'number') {
-                    lineNumber = page.properties["Line Number"].number;
-                }
-                if (page.properties.Type && page.properties.Type.select && page.properties.Type.select.name) {
-                    type = page.properties.Type.select.name;
-                }
-                if (page.properties.Status && page.properties.Status.select && page.properties.Status.select.name) {
-                    status = page.properties.Status.select.name;
-                }
-            } catch (error) {
-                debug("Error accessing task details for page " + page.id + ": " + error.message);
-            }
-            return {
-                id: page.id,
-                customId: customId,
-                text: taskText,
-                filePath: filePath,
-                lineNumber: lineNumber,
-                type: type,
-                status: status
-            };
-        });
+        const tasks = await queryNotionTasks(context, credentials, debug, options);
 
         debug("Fetched " + tasks.length + " tasks from Notion database.");
-        vscode.window.showInformationMessage("Fetched " + tasks.length + " tasks from Notion.");
+        if (!options.quiet) {
+            host.showInformationMessage("Fetched " + tasks.length + " tasks from Notion.");
+        }
         return tasks;
     } catch (error) {
         if (error.message.includes("Could not find database with ID")) {
-            vscode.window.showErrorMessage(`Failed to fetch Notion state: Database ID ${credentials.databaseId} not found. Ensure the database is shared with your integration.`, "Set Credentials").then(selection => {
+            host.showErrorMessage(`Failed to fetch Notion state: Database ID ${credentials.databaseId} not found. Ensure the database is shared with your integration.`, "Set Credentials").then(selection => {
                 if (selection === "Set Credentials") {
-                    vscode.commands.executeCommand('TODOtoNOTION.setCredentials');
+                    host.executeCommand('TODOtoNOTION.setCredentials');
                 }
             });
             debug("Error fetching Notion state: Database not found - " + error.message);
         } else if (error.message.includes("API token is invalid")) {
-            vscode.window.showErrorMessage("Failed to fetch Notion state: Invalid API token. Please update your credentials.", "Set Credentials").then(selection => {
+            host.showErrorMessage("Failed to fetch Notion state: Invalid API token. Please update your credentials.", "Set Credentials").then(selection => {
                 if (selection === "Set Credentials") {
-                    vscode.commands.executeCommand('TODOtoNOTION.setCredentials');
+                    host.executeCommand('TODOtoNOTION.setCredentials');
                 }
             });
             debug("Error fetching Notion state: Invalid API token - " + error.message);
         } else {
-            vscode.window.showErrorMessage("Failed to fetch Notion state: " + error.message);
+            host.showErrorMessage("Failed to fetch Notion state: " + error.message);
             debug("Error fetching Notion state: " + error.message);
         }
         return [];
@@ -104,43 +251,54 @@ async function fetchNotionState(context, credentials, debug) {
  * @returns {Promise<Object>} - A promise resolving to an object mapping property names to their types.
  */
 async function listDatabaseProperties(context, credentials, debug) {
+    const properties = await retrieveDatabaseSchema(context, credentials, debug);
+    if (!properties) {
+        return null;
+    }
+
+    // Extract and return the properties schema
+    const propertySchema = {};
+    for (const [key, value] of Object.entries(properties)) {
+        propertySchema[key] = value.type;
+    }
+    return propertySchema;
+}
+
+/**
+ * Retrieves the full property definitions of the Notion database, including select options.
+ * @param {Object} context - The VSCode extension context for accessing credentials.
+ * @param {Object} credentials - The Notion credentials (token and databaseId).
+ * @param {Function} debug - Debug logging function.
+ * @returns {Promise<Object|null>} - A promise resolving to the database properties keyed by name, or null on failure.
+ */
+async function retrieveDatabaseSchema(context, credentials, debug) {
     try {
         const { token, databaseId } = credentials;
         if (!token || !databaseId) {
-            vscode.window.showErrorMessage("Notion integration not configured. Please set credentials first.");
+            host.showErrorMessage("Notion integration not configured. Please set credentials first.");
             debug("Notion credentials not configured for listDatabaseProperties.");
             return null;
         }
 
-        // Initialize Notion client if not already done
-        if (!notionClient) {
-            notionClient = new Client({ auth: token });
-        }
+        const notionClient = getNotionClient(token);
 
         // Retrieve the database information
-        const response = await notionClient.databases.retrieve({
+        const response = await notionScheduler.schedule(() => notionClient.databases.retrieve({
             database_id: databaseId
-        });
-
-        // Extract and return the properties schema
-        const properties = response.properties;
-        const propertySchema = {};
-        for (const [key, value] of Object.entries(properties)) {
-            propertySchema[key] = value.type;
-        }
+        }), "databases.retrieve", debug);
 
         debug("Retrieved database properties schema from Notion.");
-        return propertySchema;
+        return response.properties;
     } catch (error) {
         if (error.message.includes("API token is invalid")) {
-            vscode.window.showErrorMessage("Failed to retrieve database properties: Invalid API token. Please update your credentials.", "Set Credentials").then(selection => {
+            host.showErrorMessage("Failed to retrieve database properties: Invalid API token. Please update your credentials.", "Set Credentials").then(selection => {
                 if (selection === "Set Credentials") {
-                    vscode.commands.executeCommand('TODOtoNOTION.setCredentials');
+                    host.executeCommand('TODOtoNOTION.setCredentials');
                 }
             });
             debug("Error retrieving database properties: Invalid API token - " + error.message);
         } else {
-            vscode.window.showErrorMessage("Failed to retrieve database properties: " + error.message);
+            host.showErrorMessage("Failed to retrieve database properties: " + error.message);
             debug("Error retrieving database properties: " + error.message);
         }
         return null;
@@ -148,19 +306,21 @@ async function listDatabaseProperties(context, credentials, debug) {
 }
 
 /**
- * Gets the Notion client instance, initializing it if necessary.
+ * Gets the Notion client instance for a token, initializing it if necessary.
  * @param {string} token - The Notion API token.
  * @returns {Object} The Notion client instance.
  */
 function getNotionClient(token) {
-    if (!notionClient) {
-        notionClient = new Client({ auth: token });
+    if (!notionClients[token]) {
+        notionClients[token] = new Client({ auth: token });
     }
-    return notionClient;
+    return notionClients[token];
 }
 
 module.exports = {
     fetchNotionState,
+    queryNotionTasks,
     listDatabaseProperties,
+    retrieveDatabaseSchema,
     getNotionClient
 };
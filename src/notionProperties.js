@@ -0,0 +1,131 @@
+/**
+ * Module for reading and writing Notion property values in the TODOtoNOTION extension.
+ * Values are converted according to the property type in the database schema,
+ * so a role such as "Line Number" works whether the column is a number or text.
+ */
+
+/**
+ * The roles a Notion column can play in the sync, with the property types each role accepts.
+ * The first type listed is the one used when the schema is unknown.
+ */
+var PROPERTY_ROLES = [
+    { role: "title", label: "TODO text", types: ["title"], required: true },
+    { role: "type", label: "Type (tag)", types: ["select", "rich_text", "multi_select"], required: true },
+    { role: "status", label: "Status", types: ["select", "status", "rich_text"], required: true },
+    { role: "filePath", label: "File path", types: ["rich_text", "url"], required: true },
+    { role: "lineNumber", label: "Line number", types: ["number", "rich_text"], required: true },
+    { role: "todoId", label: "TODO ID", types: ["rich_text"], required: true },
+    { role: "workspaceFolder", label: "Workspace folder", types: ["rich_text", "select"], required: false },
+    { role: "priority", label: "Priority", types: ["select", "status", "rich_text"], required: false },
+    { role: "resolvedAt", label: "Resolved at", types: ["date"], required: false },
+    { role: "assignee", label: "Assignees", types: ["people"], required: false },
+    { role: "due", label: "Due date", types: ["date"], required: false },
+    { role: "labels", label: "Labels", types: ["multi_select"], required: false },
+    { role: "gitAuthor", label: "Git author", types: ["people", "rich_text"], required: false },
+    { role: "gitDate", label: "Git author date", types: ["date"], required: false },
+    { role: "gitBranch", label: "Git branch", types: ["rich_text", "select"], required: false },
+    { role: "gitCommit", label: "Git commit", types: ["rich_text"], required: false },
+    { role: "permalink", label: "Permalink", types: ["url", "rich_text"], required: false }
+];
+
+/**
+ * Joins the plain text of a rich text array.
+ * @param {Array} richText - A Notion rich text array.
+ * @returns {string} The concatenated plain text.
+ */
+function plainText(richText) {
+    return (richText || []).map(part => part.plain_text || (part.text && part.text.content) || "").join("");
+}
+
+/**
+ * Reads the value of a Notion page property as a plain JavaScript value.
+ * @param {Object} property - The property object from a Notion page.
+ * @returns {*} A string, number, boolean or array depending on the type, or undefined if empty.
+ */
+function readPropertyValue(property) {
+    if (!property) {
+        return undefined;
+    }
+    switch (property.type) {
+        case "title":
+        case "rich_text":
+            return plainText(property[property.type]);
+        case "select":
+        case "status":
+            return property[property.type] ? property[property.type].name : undefined;
+        case "multi_select":
+            return (property.multi_select || []).map(option => option.name);
+        case "number":
+            return typeof property.number === 'number' ? property.number : undefined;
+        case "checkbox":
+            return property.checkbox;
+        case "date":
+            return property.date ? property.date.start : undefined;
+        case "url":
+        case "email":
+        case "phone_number":
+            return property[property.type] || undefined;
+        case "people":
+            return (property.people || []).map(person => ({
+                id: person.id,
+                name: person.name,
+                email: person.person ? person.person.email : undefined
+            }));
+        case "formula":
+            return property.formula ? property.formula[property.formula.type] : undefined;
+        default:
+            return undefined;
+    }
+}
+
+/**
+ * Builds the value object for writing a property of the given type.
+ * @param {string} type - The Notion property type from the database schema.
+ * @param {*} value - The value to write.
+ * @returns {Object|null} The Notion property value, or null if the type is not writable.
+ */
+function buildPropertyValue(type, value) {
+    const isEmpty = value === undefined || value === null || value === "";
+    switch (type) {
+        case "title":
+        case "rich_text":
+            return { [type]: isEmpty ? [] : [{ text: { content: String(value) } }] };
+        case "select":
+        case "status":
+            return { [type]: isEmpty ? null : { name: String(value) } };
+        case "multi_select":
+            return { multi_select: (Array.isArray(value) ? value : isEmpty ? [] : [value]).map(name => ({ name: String(name) })) };
+        case "number": {
+            const number = Number(value);
+            return { number: isEmpty || !Number.isFinite(number) ? null : number };
+        }
+        case "checkbox":
+            return { checkbox: Boolean(value) };
+        case "date":
+            return { date: isEmpty ? null : { start: String(value) } };
+        case "url":
+        case "email":
+        case "phone_number":
+            return { [type]: isEmpty ? null : String(value) };
+        case "people":
+            return { people: (Array.isArray(value) ? value : isEmpty ? [] : [value]).map(id => ({ object: "user", id: typeof id === 'string' ? id : id.id })) };
+        default:
+            return null;
+    }
+}
+
+/**
+ * Returns the metadata of a property role.
+ * @param {string} role - The role name, e.g. "lineNumber".
+ * @returns {Object|undefined} The role with its label, accepted types and whether it is required.
+ */
+function getPropertyRole(role) {
+    return PROPERTY_ROLES.find(entry => entry.role === role);
+}
+
+module.exports = {
+    PROPERTY_ROLES,
+    readPropertyValue,
+    buildPropertyValue,
+    getPropertyRole
+};
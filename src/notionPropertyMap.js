@@ -0,0 +1,74 @@
+/**
+ * Module for mapping Notion database columns to sync roles in the TODOtoNOTION extension.
+ */
+
+var vscode = require('vscode');
+var config = require('./config.js');
+var notionDatabase = require('./notionDatabase.js');
+var notionProperties = require('./notionProperties.js');
+
+/**
+ * Guides the user through choosing which Notion column plays each sync role.
+ * Only columns of a compatible type are offered; the result is saved to TODOtoNOTION.propertyMap.
+ * @param {Object} context - The VSCode extension context for accessing credentials.
+ * @param {Object} credentials - The Notion credentials (token and databaseId).
+ * @param {Function} debug - Debug logging function.
+ * @returns {Promise<boolean>} - Returns true if a mapping was saved, false otherwise.
+ */
+async function configurePropertyMap(context, credentials, debug) {
+    try {
+        const dbProperties = await notionDatabase.listDatabaseProperties(context, credentials, debug);
+        if (!dbProperties) {
+            return false;
+        }
+
+        const current = config.getPropertyMap();
+        const propertyMap = {};
+        const roles = notionProperties.PROPERTY_ROLES;
+        for (let i = 0; i < roles.length; i++) {
+            const roleInfo = roles[i];
+            const candidates = Object.keys(dbProperties).filter(name => roleInfo.types.includes(dbProperties[name]));
+            if (candidates.length === 0 && roleInfo.required) {
+                vscode.window.showWarningMessage(`No ${roleInfo.types.join(" or ")} column found for "${roleInfo.label}". Keeping "${current[roleInfo.role]}".`);
+                debug(`No candidate column for property role ${roleInfo.role}; keeping ${current[roleInfo.role]}.`);
+                continue;
+            }
+
+            // Offer the current column first so Enter keeps the existing mapping
+            candidates.sort((a, b) => (b === current[roleInfo.role]) - (a === current[roleInfo.role]));
+            const items = candidates.map(name => ({
+                label: name,
+                description: dbProperties[name] + (name === current[roleInfo.role] ? " (current)" : ""),
+                propertyName: name
+            }));
+            if (!roleInfo.required) {
+                items.push({ label: "Not used", description: "Do not sync this value", propertyName: "" });
+            }
+
+            const picked = await vscode.window.showQuickPick(items, {
+                title: `Map Notion Properties (${i + 1}/${roles.length})`,
+                placeHolder: `Which column holds the ${roleInfo.label}?`,
+                ignoreFocusOut: true
+            });
+            if (!picked) {
+                vscode.window.showInformationMessage("Notion property mapping cancelled. No changes were saved.");
+                debug("Property mapping cancelled by user.");
+                return false;
+            }
+            propertyMap[roleInfo.role] = picked.propertyName;
+        }
+
+        await config.getConfiguration().update('propertyMap', propertyMap, vscode.ConfigurationTarget.Workspace);
+        vscode.window.showInformationMessage("Notion property mapping saved for this project.");
+        debug("Saved Notion property mapping: " + JSON.stringify(propertyMap));
+        return true;
+    } catch (error) {
+        vscode.window.showErrorMessage("Failed to map Notion properties: " + error.message);
+        debug("Error mapping Notion properties: " + error.message);
+        return false;
+    }
+}
+
+module.exports = {
+    configurePropertyMap
+};
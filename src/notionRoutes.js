@@ -0,0 +1,65 @@
+/**
+ * Module routing TODOs to Notion databases in the TODOtoNOTION extension.
+ * TODOtoNOTION.databaseRoutes maps workspace folders and globs of workspace-relative paths to databases;
+ * the first matching route wins and TODOs matching none sync to TODOtoNOTION.databaseId, if it is set.
+ */
+
+var config = require('./config.js');
+var workspacePaths = require('./workspacePaths.js');
+
+/**
+ * Returns the database a TODO syncs to.
+ * @param {Object} todo - The TODO, with its filePath and workspaceFolder.
+ * @param {Array} folders - The workspace folders as { name, fsPath }, for paths stored before they were portable.
+ * @returns {string} The database ID, or "" if none is configured.
+ */
+function getDatabaseIdForTodo(todo, folders) {
+    let location = { filePath: todo.filePath || "", workspaceFolder: todo.workspaceFolder || "" };
+    if (location.filePath && workspacePaths.isAbsolutePath(location.filePath)) {
+        location = workspacePaths.toPortablePath(location.filePath, folders);
+    }
+    const route = config.getDatabaseRoutes().find(candidate =>
+        (!candidate.folder || candidate.folder === location.workspaceFolder) &&
+        (!candidate.glob || (!workspacePaths.isAbsolutePath(location.filePath) && workspacePaths.globToRegExp(candidate.glob).test(location.filePath))));
+    return route ? route.databaseId : config.getConfiguration().get('databaseId', '');
+}
+
+/**
+ * Returns every database TODOs may sync to: the default database first, then those of the routes.
+ * @returns {Array<string>} The distinct database IDs.
+ */
+function getDatabaseIds() {
+    const databaseIds = [config.getConfiguration().get('databaseId', '')].concat(config.getDatabaseRoutes().map(route => route.databaseId));
+    return databaseIds.filter((databaseId, index) => databaseId && databaseIds.indexOf(databaseId) === index);
+}
+
+/**
+ * Splits the TODOs of a sync by the database they are routed to.
+ * @param {Array} todos - The current TODOs.
+ * @param {Object} cachedTodos - The TODOs at the last sync, keyed by TODO ID.
+ * @param {Array} folders - The workspace folders as { name, fsPath }.
+ * @returns {Object} Per database ID: { todos, cachedTodos }. A TODO whose route changed stays in the cache of its
+ * old database only, so its old page is handled as removed from code there and a page is created in the new one.
+ */
+function groupByDatabase(todos, cachedTodos, folders) {
+    const groups = {};
+    const getGroup = databaseId => {
+        if (!groups[databaseId]) {
+            groups[databaseId] = { todos: [], cachedTodos: {} };
+        }
+        return groups[databaseId];
+    };
+    todos.forEach(todo => {
+        getGroup(getDatabaseIdForTodo(todo, folders)).todos.push(todo);
+    });
+    Object.keys(cachedTodos).forEach(id => {
+        getGroup(getDatabaseIdForTodo(cachedTodos[id], folders)).cachedTodos[id] = cachedTodos[id];
+    });
+    return groups;
+}
+
+module.exports = {
+    getDatabaseIdForTodo,
+    getDatabaseIds,
+    groupByDatabase
+};
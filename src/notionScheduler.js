@@ -0,0 +1,206 @@
+/**
+ * Module scheduling Notion API requests for the TODOtoNOTION extension.
+ * Every Notion client call goes through this queue, which keeps to Notion's rate limit
+ * of about three requests per second, honours Retry-After and retries transient failures.
+ */
+
+var { APIErrorCode, ClientErrorCode } = require('@notionhq/client');
+
+var MAX_REQUESTS_PER_SECOND = 3;
+var MAX_CONCURRENT_REQUESTS = 3;
+var MAX_RETRIES = 5;
+var BASE_RETRY_DELAY_MS = 500;
+var MAX_RETRY_DELAY_MS = 30000;
+
+var TRANSIENT_API_CODES = [
+    APIErrorCode.RateLimited,
+    APIErrorCode.InternalServerError,
+    APIErrorCode.ServiceUnavailable,
+    APIErrorCode.ConflictError
+];
+var NETWORK_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'ENOTFOUND', 'ENETUNREACH', 'UND_ERR_SOCKET', 'UND_ERR_CONNECT_TIMEOUT'];
+
+var queue = [];
+var activeRequests = 0;
+var recentStarts = [];
+var pausedUntil = 0;
+var wakeTimer = null;
+
+/**
+ * Tells whether an error from the Notion client is worth retrying:
+ * rate limiting, 5xx responses, client timeouts and network failures.
+ * @param {Error} error - The error thrown by a Notion client call.
+ * @returns {boolean} True if the request may succeed when retried.
+ */
+function isTransientError(error) {
+    if (!error) {
+        return false;
+    }
+    if (error.code === ClientErrorCode.RequestTimeout || TRANSIENT_API_CODES.includes(error.code)) {
+        return true;
+    }
+    if (typeof error.status === 'number') {
+        return error.status === 429 || error.status >= 500;
+    }
+    const cause = error.cause || {};
+    return NETWORK_ERROR_CODES.includes(error.code) || NETWORK_ERROR_CODES.includes(cause.code) || (error.name === 'TypeError' && /fetch failed/i.test(error.message));
+}
+
+/**
+ * Reads the Retry-After header of a rate-limited response.
+ * @param {Error} error - The error thrown by a Notion client call.
+ * @returns {number|null} The delay requested by Notion in milliseconds, or null if absent.
+ */
+function getRetryAfterMs(error) {
+    const headers = error && error.headers;
+    if (!headers) {
+        return null;
+    }
+    const value = typeof headers.get === 'function' ? headers.get('retry-after') : headers['retry-after'];
+    const seconds = Number(value);
+    return value !== null && value !== undefined && Number.isFinite(seconds) ? seconds * 1000 : null;
+}
+
+/**
+ * Computes the delay before the next attempt: Retry-After when Notion sends it,
+ * otherwise exponential backoff with jitter.
+ * @param {Error} error - The error of the failed attempt.
+ * @param {number} attempt - The number of the failed attempt, starting at 1.
+ * @returns {number} The delay in milliseconds.
+ */
+function getRetryDelayMs(error, attempt) {
+    const retryAfter = getRetryAfterMs(error);
+    if (retryAfter !== null) {
+        return Math.min(retryAfter, MAX_RETRY_DELAY_MS);
+    }
+    const backoff = BASE_RETRY_DELAY_MS * Math.pow(2, attempt - 1);
+    return Math.min(backoff + Math.random() * BASE_RETRY_DELAY_MS, MAX_RETRY_DELAY_MS);
+}
+
+/**
+ * Wakes the queue up after the given delay, keeping a single pending timer.
+ * @param {number} delay - The delay in milliseconds.
+ */
+function wakeAfter(delay) {
+    if (wakeTimer) {
+        return;
+    }
+    wakeTimer = setTimeout(() => {
+        wakeTimer = null;
+        pump();
+    }, Math.max(delay, 0));
+}
+
+/**
+ * Starts as many queued requests as the concurrency and rate limits allow.
+ */
+function pump() {
+    while (queue.length > 0 && activeRequests < MAX_CONCURRENT_REQUESTS) {
+        const now = Date.now();
+        if (now < pausedUntil) {
+            wakeAfter(pausedUntil - now);
+            return;
+        }
+        recentStarts = recentStarts.filter(start => now - start < 1000);
+        if (recentStarts.length >= MAX_REQUESTS_PER_SECOND) {
+            wakeAfter(1000 - (now - recentStarts[0]));
+            return;
+        }
+        recentStarts.push(now);
+        activeRequests++;
+        runRequest(queue.shift());
+    }
+}
+
+/**
+ * Runs one queued request, requeueing it after a delay if it fails transiently.
+ * @param {Object} request - The queued request: { call, label, attempt, resolve, reject, debug }.
+ */
+function runRequest(request) {
+    request.attempt++;
+    Promise.resolve().then(request.call).then(result => {
+        activeRequests--;
+        request.resolve(result);
+        pump();
+    }, error => {
+        activeRequests--;
+        if (isTransientError(error) && request.attempt <= MAX_RETRIES) {
+            const delay = getRetryDelayMs(error, request.attempt);
+            if (error.status === 429 || error.code === APIErrorCode.RateLimited) {
+                // Rate limiting applies to the whole integration, so hold back every request
+                pausedUntil = Math.max(pausedUntil, Date.now() + delay);
+            }
+            request.debug(`Notion request "${request.label}" failed (${error.code || error.status || error.message}), retry ${request.attempt}/${MAX_RETRIES} in ${Math.round(delay)} ms.`);
+            setTimeout(() => {
+                queue.unshift(request);
+                pump();
+            }, delay);
+        } else {
+            request.reject(error);
+        }
+        pump();
+    });
+}
+
+/**
+ * Schedules a Notion client call. The call is started when the rate limit allows
+ * and retried on transient failures.
+ * @param {Function} call - Function performing the Notion client call and returning its promise.
+ * @param {string} label - Short description of the request for the debug log.
+ * @param {Function} [debug] - Debug logging function.
+ * @returns {Promise<*>} - Resolves with the call's result, or rejects with its last error.
+ */
+function schedule(call, label, debug = () => {}) {
+    return new Promise((resolve, reject) => {
+        queue.push({ call, label, attempt: 0, resolve, reject, debug });
+        pump();
+    });
+}
+
+/**
+ * Runs a worker for each item with bounded concurrency and reports a per-item outcome.
+ * Items not started when the cancellation token fires are reported as cancelled.
+ * @param {Array} items - The items to process.
+ * @param {Function} worker - Async function processing one item; its client calls should use schedule().
+ * @param {Object} [options] - Optional cancellationToken and onProgress(done, total) callback.
+ * @returns {Promise<Array>} - One outcome per item, in order: { item, ok, value, error, cancelled }.
+ */
+async function runAll(items, worker, options = {}) {
+    const { cancellationToken, onProgress } = options;
+    const outcomes = new Array(items.length);
+    let next = 0;
+    let done = 0;
+
+    async function lane() {
+        while (next < items.length) {
+            const index = next++;
+            const item = items[index];
+            if (cancellationToken && cancellationToken.isCancellationRequested) {
+                outcomes[index] = { item, ok: false, cancelled: true };
+                continue;
+            }
+            try {
+                outcomes[index] = { item, ok: true, value: await worker(item) };
+            } catch (error) {
+                outcomes[index] = { item, ok: false, error };
+            }
+            done++;
+            if (onProgress) {
+                onProgress(done, items.length);
+            }
+        }
+    }
+
+    const lanes = [];
+    for (let i = 0; i < Math.min(MAX_CONCURRENT_REQUESTS, items.length); i++) {
+        lanes.push(lane());
+    }
+    await Promise.all(lanes);
+    return outcomes;
+}
+
+module.exports = {
+    schedule,
+    runAll,
+    isTransientError
+};
@@ -0,0 +1,290 @@
+/**
+ * Module for creating and validating the Notion database schema in the TODOtoNOTION extension.
+ */
+
+var vscode = require('vscode');
+var config = require('./config.js');
+var notionDatabase = require('./notionDatabase.js');
+var notionProperties = require('./notionProperties.js');
+var notionScheduler = require('./notionScheduler.js');
+
+var DEFAULT_PRIORITIES = ["High", "Medium", "Low"];
+
+/**
+ * Returns the unique, non-empty values of a list, keeping their order.
+ * @param {Array<string>} values - The values to filter.
+ * @returns {Array<string>} The unique values.
+ */
+function unique(values) {
+    return Array.from(new Set(values.filter(value => value)));
+}
+
+/**
+ * Describes the columns the sync needs, derived from the property map and the tag settings.
+ * @returns {Array} One entry per mapped role: { role, label, name, type, types, required, options }.
+ */
+function getExpectedSchema() {
+    const propertyMap = config.getPropertyMap();
+    const tags = config.getTagDefinitions();
+    const priorities = unique(tags.map(tag => tag.priority).concat(Object.values(config.getPriorityMarkers())));
+    const options = {
+        type: unique(tags.map(tag => tag.type)),
+        status: unique(config.getStatusDefinitions().map(definition => definition.status).concat(tags.map(tag => tag.status))),
+        priority: priorities.length > 0 ? priorities : DEFAULT_PRIORITIES
+    };
+    return notionProperties.PROPERTY_ROLES.filter(roleInfo => propertyMap[roleInfo.role]).map(roleInfo => ({
+        role: roleInfo.role,
+        label: roleInfo.label,
+        name: propertyMap[roleInfo.role],
+        type: roleInfo.types[0],
+        types: roleInfo.types,
+        required: roleInfo.required,
+        options: options[roleInfo.role] || []
+    }));
+}
+
+/**
+ * Builds a property definition for databases.create or databases.update.
+ * @param {string} type - The Notion property type.
+ * @param {Array<string>} options - Option names for select and multi_select properties.
+ * @returns {Object} The property definition.
+ */
+function buildPropertyDefinition(type, options) {
+    if (type === "select" || type === "multi_select") {
+        return { [type]: { options: options.map(name => ({ name })) } };
+    }
+    return { [type]: {} };
+}
+
+/**
+ * Compares the database properties against what the sync needs.
+ * Missing columns and missing select options can be fixed through the API; wrong column types
+ * and Notion "status" options have to be fixed by hand.
+ * @param {Object} properties - The database properties keyed by name, as returned by databases.retrieve.
+ * @param {Array} expected - The expected schema from getExpectedSchema.
+ * @returns {Array} Problems with a message, whether they are fixable and the property update that fixes them.
+ */
+function findSchemaProblems(properties, expected) {
+    const problems = [];
+    expected.forEach(column => {
+        const existing = properties[column.name];
+        if (!existing) {
+            problems.push({
+                name: column.name,
+                required: column.required,
+                fixable: true,
+                message: `Missing ${column.type} column "${column.name}" (${column.label})`,
+                fix: buildPropertyDefinition(column.type, column.options)
+            });
+            return;
+        }
+        if (!column.types.includes(existing.type)) {
+            problems.push({
+                name: column.name,
+                required: column.required,
+                fixable: false,
+                message: `Column "${column.name}" is a ${existing.type} property but must be ${column.types.join(" or ")} (${column.label})`
+            });
+            return;
+        }
+        if (column.options.length > 0 && ["select", "multi_select", "status"].includes(existing.type)) {
+            const existingOptions = (existing[existing.type] && existing[existing.type].options) || [];
+            const names = existingOptions.map(option => option.name);
+            const missing = column.options.filter(name => !names.includes(name));
+            if (missing.length === 0) {
+                return;
+            }
+            if (existing.type === "status") {
+                problems.push({
+                    name: column.name,
+                    required: column.required,
+                    fixable: false,
+                    message: `Status column "${column.name}" is missing options ${missing.join(", ")}; Notion only allows adding status options in the app`
+                });
+                return;
+            }
+            problems.push({
+                name: column.name,
+                required: column.required,
+                fixable: true,
+                message: `Column "${column.name}" is missing options ${missing.join(", ")}`,
+                fix: {
+                    [existing.type]: {
+                        options: existingOptions.map(option => ({ id: option.id, name: option.name, color: option.color })).concat(missing.map(name => ({ name })))
+                    }
+                }
+            });
+        }
+    });
+    return problems;
+}
+
+/**
+ * Checks the Notion database schema and offers to add missing properties and select options.
+ * @param {Object} context - The VSCode extension context for accessing credentials.
+ * @param {Object} credentials - The Notion credentials (token and databaseId).
+ * @param {Function} debug - Debug logging function.
+ * @returns {Promise<boolean>} - Returns true if the schema is valid or was fixed, false otherwise.
+ */
+async function validateDatabaseSchema(context, credentials, debug) {
+    try {
+        const properties = await notionDatabase.retrieveDatabaseSchema(context, credentials, debug);
+        if (!properties) {
+            return false;
+        }
+
+        const problems = findSchemaProblems(properties, getExpectedSchema());
+        if (problems.length === 0) {
+            vscode.window.showInformationMessage("Notion database schema is valid for TODO sync.");
+            debug("Notion database schema validated: no problems found.");
+            return true;
+        }
+        problems.forEach(problem => debug("Schema problem: " + problem.message));
+
+        const manual = problems.filter(problem => !problem.fixable);
+        if (manual.length > 0) {
+            vscode.window.showWarningMessage("Fix in Notion: " + manual.map(problem => problem.message).join("; "));
+        }
+
+        const fixable = problems.filter(problem => problem.fixable);
+        if (fixable.length === 0) {
+            return false;
+        }
+        const picked = await vscode.window.showQuickPick(fixable.map(problem => ({
+            label: problem.message,
+            description: problem.required ? "required" : "optional",
+            picked: problem.required,
+            problem: problem
+        })), {
+            title: "Validate Database Schema",
+            placeHolder: "Select the fixes to apply to the Notion database",
+            canPickMany: true,
+            ignoreFocusOut: true
+        });
+        if (!picked || picked.length === 0) {
+            debug("No schema fixes selected.");
+            return false;
+        }
+
+        const update = {};
+        picked.forEach(item => {
+            update[item.problem.name] = item.problem.fix;
+        });
+        const notionClient = notionDatabase.getNotionClient(credentials.token);
+        await notionScheduler.schedule(() => notionClient.databases.update({
+            database_id: credentials.databaseId,
+            properties: update
+        }), "databases.update", debug);
+
+        vscode.window.showInformationMessage(`Updated the Notion database schema: ${picked.length} fix(es) applied.`);
+        debug("Applied schema fixes to columns: " + Object.keys(update).join(", "));
+        return manual.length === 0;
+    } catch (error) {
+        vscode.window.showErrorMessage("Failed to validate the Notion database schema: " + error.message);
+        debug("Error validating Notion database schema: " + error.message);
+        return false;
+    }
+}
+
+/**
+ * Asks the user for the Notion page that will hold a new database.
+ * Lists the pages shared with the integration and accepts a pasted page ID or URL.
+ * @param {Object} notionClient - The Notion client instance.
+ * @param {Function} debug - Debug logging function.
+ * @returns {Promise<string|null>} - The parent page ID, or null if cancelled.
+ */
+async function pickParentPage(notionClient, debug) {
+    const response = await notionScheduler.schedule(() => notionClient.search({
+        filter: { property: "object", value: "page" },
+        page_size: 100
+    }), "search", debug);
+    const items = response.results.map(page => {
+        const titleProperty = Object.values(page.properties || {}).find(property => property.type === "title");
+        return {
+            label: notionProperties.readPropertyValue(titleProperty) || "Untitled",
+            description: page.id,
+            pageId: page.id
+        };
+    });
+    items.push({ label: "Enter a page ID or URL...", pageId: null });
+
+    const picked = await vscode.window.showQuickPick(items, {
+        title: "Create TODO Database",
+        placeHolder: "Choose the Notion page that will contain the database (only pages shared with your integration are listed)",
+        ignoreFocusOut: true
+    });
+    if (!picked) {
+        return null;
+    }
+    if (picked.pageId) {
+        return picked.pageId;
+    }
+
+    const input = await vscode.window.showInputBox({
+        prompt: "Enter the Notion page ID or URL",
+        placeHolder: "https://www.notion.so/yourworkspace/Page-<page_id>",
+        ignoreFocusOut: true
+    });
+    const idMatch = input && input.replace(/-/g, '').match(/[0-9a-f]{32}/i);
+    return idMatch ? idMatch[0] : null;
+}
+
+/**
+ * Creates a Notion database with every column the sync needs, correctly typed,
+ * under a page chosen by the user, and makes it this project's TODO database.
+ * @param {Object} context - The VSCode extension context for accessing credentials.
+ * @param {Object} credentials - The Notion credentials (token).
+ * @param {Function} debug - Debug logging function.
+ * @returns {Promise<string|null>} - The new database ID, or null if nothing was created.
+ */
+async function createTodoDatabase(context, credentials, debug) {
+    try {
+        const { token } = credentials;
+        if (!token) {
+            vscode.window.showErrorMessage("Notion integration not configured. Please set credentials first.");
+            debug("Notion token not configured for createTodoDatabase.");
+            return null;
+        }
+
+        const notionClient = notionDatabase.getNotionClient(token);
+        const pageId = await pickParentPage(notionClient, debug);
+        if (!pageId) {
+            debug("Database creation cancelled: no parent page selected.");
+            return null;
+        }
+
+        const title = await vscode.window.showInputBox({
+            prompt: "Name of the new Notion database",
+            value: "TODOs",
+            ignoreFocusOut: true
+        });
+        if (!title) {
+            debug("Database creation cancelled: no title entered.");
+            return null;
+        }
+
+        const properties = {};
+        getExpectedSchema().forEach(column => {
+            properties[column.name] = buildPropertyDefinition(column.type, column.options);
+        });
+        const response = await notionScheduler.schedule(() => notionClient.databases.create({
+            parent: { type: "page_id", page_id: pageId },
+            title: [{ type: "text", text: { content: title } }],
+            properties: properties
+        }), "databases.create", debug);
+
+        await config.getConfiguration().update('databaseId', response.id, vscode.ConfigurationTarget.Workspace);
+        vscode.window.showInformationMessage(`Created Notion database "${title}" and set it as this project's TODO database.`);
+        debug("Created Notion database " + response.id + " under page " + pageId);
+        return response.id;
+    } catch (error) {
+        vscode.window.showErrorMessage("Failed to create the Notion database: " + error.message);
+        debug("Error creating Notion database: " + error.message);
+        return null;
+    }
+}
+
+module.exports = {
+    createTodoDatabase,
+    validateDatabaseSchema
+};
@@ -2,8 +2,249 @@
  * Module for managing TODO operations in Notion for the TODOtoNOTION extension.
  */
 
-var vscode = require('vscode');
+var host = require('./host.js');
 var notionDatabase = require('./notionDatabase.js');
+var notionProperties = require('./notionProperties.js');
+var notionScheduler = require('./notionScheduler.js');
+var notionUsers = require('./notionUsers.js');
+var todoParser = require('./todoParser.js');
+var notionBlocks = require('./notionBlocks.js');
+var gitInfo = require('./gitInfo.js');
+var workspacePaths = require('./workspacePaths.js');
+var utils = require('./utils.js');
+var config = require('./config.js');
+var todoMerge = require('./todoMerge.js');
+var syncPlan = require('./syncPlan.js');
+var syncHistory = require('./syncHistory.js');
+
+// Above this many TODO IDs a single "has TODO_ID" query is cheaper than filtering by each ID
+var MAX_IDS_PER_QUERY = 200;
+
+// Roles written when the database schema cannot be read, using the default property types
+var ESSENTIAL_ROLES = ["title", "type", "status"];
+// Read from git for the TODOs a sync creates or updates anyway, so a new commit alone does not rewrite every page
+var GIT_ROLES = ["gitAuthor", "gitDate", "gitBranch", "gitCommit", "permalink"];
+// Roles written when a page is created or updated; an update only writes the values it is given
+var TODO_ROLES = ["title", "type", "status", "filePath", "workspaceFolder", "lineNumber", "todoId", "priority", "assignee", "due", "labels"].concat(GIT_ROLES);
+// Roles whose empty value is still written, clearing the column
+var CLEARABLE_ROLES = ["title", "due", "resolvedAt"];
+// Written when a TODO removed from code is marked done
+var RESOLVE_ROLES = ["status", "resolvedAt"];
+// Written when a logged update or resolve is undone
+var REVERT_ROLES = TODO_ROLES.filter(role => !GIT_ROLES.includes(role)).concat(["resolvedAt"]);
+// The fields of logged changes an undo writes back; the page body is not logged, so it is not restored
+var REVERTIBLE_FIELDS = ["text", "type", "status", "filePath", "workspaceFolder", "lineNumber", "priority", "assignees", "due", "labels"];
+
+// The operation applied to the page of a TODO removed from code, per removal policy
+var REMOVAL_OPERATIONS = { archive: "archive", done: "resolve" };
+
+/**
+ * Builds the Notion page properties for a TODO from the property map and the database schema.
+ * Each value is written in the format of the column it maps to.
+ * @param {Object} todo - The TODO values to write (text, type, status, filePath, workspaceFolder, lineNumber, id, priority, resolvedAt, due, labels,
+ * assigneeIds, the Notion user IDs of the assignees, and the git details of gitInfo.describeTodos with gitAuthorIds,
+ * the Notion user IDs of the git author).
+ * @param {Object|null} dbProperties - The database schema mapping property names to types, or null if unavailable.
+ * @param {Array<string>} roles - The property roles to write.
+ * @returns {Object} The properties to send and the names of required columns missing from the database.
+ */
+function buildTodoProperties(todo, dbProperties, roles) {
+    const propertyMap = config.getPropertyMap();
+    const values = {
+        title: todo.text,
+        type: todo.type,
+        status: todo.status,
+        filePath: todo.filePath,
+        workspaceFolder: todo.workspaceFolder,
+        lineNumber: todo.lineNumber,
+        todoId: todo.id,
+        priority: todo.priority,
+        resolvedAt: todo.resolvedAt,
+        assignee: todo.assigneeIds,
+        due: todo.due,
+        labels: todo.labels,
+        gitAuthor: todo.gitAuthor,
+        gitDate: todo.gitDate,
+        gitBranch: todo.gitBranch,
+        gitCommit: todo.gitCommit,
+        permalink: todo.permalink
+    };
+    const properties = {};
+    const missingProperties = [];
+
+    roles.forEach(role => {
+        const roleInfo = notionProperties.getPropertyRole(role);
+        const name = propertyMap[role];
+        let type = dbProperties ? dbProperties[name] : null;
+        if (!type) {
+            if (dbProperties || !ESSENTIAL_ROLES.includes(role)) {
+                if (roleInfo.required) {
+                    missingProperties.push(name);
+                }
+                return;
+            }
+            type = roleInfo.types[0];
+        }
+        // A People column names the git author by Notion user, a text column by name
+        const value = role === "gitAuthor" && type === "people" ? todo.gitAuthorIds : values[role];
+        // An empty title or due date is still written; a value left out, as the title in a status-only update, is not
+        if (value === undefined || value === null || (!CLEARABLE_ROLES.includes(role) && value === "")) {
+            return;
+        }
+        const propertyValue = notionProperties.buildPropertyValue(type, value);
+        if (propertyValue) {
+            properties[name] = propertyValue;
+        }
+    });
+    return { properties, missingProperties };
+}
+
+/**
+ * Creates the Notion page for a TODO, with its description and the code around it as the page content.
+ * Throws if a request fails after its retries.
+ * @param {Object} notionClient - The Notion client instance.
+ * @param {string} databaseId - The Notion database ID.
+ * @param {Object} todo - The TODO item to create in Notion.
+ * @param {Object|null} dbProperties - The database schema mapping property names to types, or null if unavailable.
+ * @param {Function} debug - Debug logging function.
+ * @returns {Promise<Object>} - The new page ID and the required columns missing from the database.
+ */
+async function createTodoPage(notionClient, databaseId, todo, dbProperties, debug) {
+    const values = Object.assign({}, todo, { type: todo.type || "TODO", status: todo.status || config.DEFAULT_STATUS, due: todo.due || undefined });
+    const { properties, missingProperties } = buildTodoProperties(values, dbProperties, TODO_ROLES);
+    const body = notionBlocks.buildPageBody(todo.description, todo.codeContext);
+    const response = await notionScheduler.schedule(() => notionClient.pages.create({
+        parent: { database_id: databaseId },
+        properties: properties,
+        children: body.slice(0, notionBlocks.MAX_BLOCKS_PER_REQUEST)
+    }), "pages.create", debug);
+    if (body.length > notionBlocks.MAX_BLOCKS_PER_REQUEST) {
+        await notionBlocks.writeDescription(notionClient, response.id, todo.description, debug);
+        if (todo.codeContext) {
+            await notionBlocks.writeCodeContext(notionClient, response.id, todo.codeContext, debug);
+        }
+    }
+    debug(`Created TODO in Notion with ID: ${response.id} for text: ${todo.text}`);
+    return { pageId: response.id, missingProperties };
+}
+
+/**
+ * Updates the Notion page of a TODO. Throws if the request fails after its retries.
+ * @param {Object} notionClient - The Notion client instance.
+ * @param {string} pageId - The Notion page ID.
+ * @param {Object} updates - The updates to apply to the TODO item.
+ * @param {Object|null} dbProperties - The database schema mapping property names to types, or null if unavailable.
+ * @param {Function} debug - Debug logging function.
+ * @returns {Promise<Object>} - The required columns missing from the database.
+ */
+async function updateTodoPage(notionClient, pageId, updates, dbProperties, debug) {
+    const { properties, missingProperties } = buildTodoProperties(updates, dbProperties, TODO_ROLES);
+    await notionScheduler.schedule(() => notionClient.pages.update({
+        page_id: pageId,
+        properties: properties
+    }), "pages.update", debug);
+    debug(`Updated TODO in Notion with ID: ${pageId}`);
+    return { missingProperties };
+}
+
+/**
+ * Archives the Notion page of a TODO. Throws if the request fails after its retries.
+ * @param {Object} notionClient - The Notion client instance.
+ * @param {string} pageId - The Notion page ID.
+ * @param {Function} debug - Debug logging function.
+ * @returns {Promise<void>}
+ */
+async function archiveTodoPage(notionClient, pageId, debug) {
+    await notionScheduler.schedule(() => notionClient.pages.update({
+        page_id: pageId,
+        archived: true
+    }), "pages.update (archive)", debug);
+    debug(`Archived TODO in Notion with ID: ${pageId}`);
+}
+
+/**
+ * Puts the Notion page of a TODO back as it was before a logged sync step: a page the sync created is archived,
+ * a page it archived is restored, and the properties an update or resolve changed get their previous values.
+ * Throws if a request fails after its retries.
+ * @param {Object} context - The VSCode extension context for accessing the property map.
+ * @param {Object} credentials - The Notion credentials (token and databaseId).
+ * @param {Object} step - The logged step, as kept by syncHistory.
+ * @param {Function} debug - Debug logging function.
+ * @returns {Promise<boolean>} - True if the page was reverted, false if the step changed nothing that can be reverted.
+ */
+async function revertTodoPage(context, credentials, step, debug) {
+    const notionClient = notionDatabase.getNotionClient(credentials.token);
+    if (step.kind === "create") {
+        await archiveTodoPage(notionClient, step.pageId, debug);
+        return true;
+    }
+    if (step.kind === "archive") {
+        await notionScheduler.schedule(() => notionClient.pages.update({
+            page_id: step.pageId,
+            archived: false
+        }), "pages.update (unarchive)", debug);
+        debug(`Restored archived TODO in Notion with ID: ${step.pageId}`);
+        return true;
+    }
+
+    const updates = {};
+    step.changes.filter(change => change.from !== undefined && REVERTIBLE_FIELDS.includes(change.field)).forEach(change => {
+        if (change.field === "assignees") {
+            updates.assigneeIds = (change.from || []).map(person => person.id);
+        } else {
+            updates[change.field] = change.from === null ? "" : change.from;
+        }
+    });
+    if (step.kind === "resolve") {
+        updates.resolvedAt = "";
+    }
+    if (Object.keys(updates).length === 0) {
+        return false;
+    }
+    const dbProperties = await notionDatabase.listDatabaseProperties(context, credentials, debug);
+    const { properties } = buildTodoProperties(updates, dbProperties, REVERT_ROLES);
+    await notionScheduler.schedule(() => notionClient.pages.update({
+        page_id: step.pageId,
+        properties: properties
+    }), "pages.update (revert)", debug);
+    debug(`Reverted ${Object.keys(updates).join(", ")} of TODO in Notion with ID: ${step.pageId}`);
+    return true;
+}
+
+/**
+ * Marks the Notion page of a TODO as done and records when it was resolved.
+ * Throws if the request fails after its retries.
+ * @param {Object} notionClient - The Notion client instance.
+ * @param {string} pageId - The Notion page ID.
+ * @param {Object|null} dbProperties - The database schema mapping property names to types, or null if unavailable.
+ * @param {Function} debug - Debug logging function.
+ * @returns {Promise<Object>} - The required columns missing from the database.
+ */
+async function resolveTodoPage(notionClient, pageId, dbProperties, debug) {
+    const { properties, missingProperties } = buildTodoProperties({
+        status: config.DONE_STATUS,
+        resolvedAt: new Date().toISOString()
+    }, dbProperties, RESOLVE_ROLES);
+    await notionScheduler.schedule(() => notionClient.pages.update({
+        page_id: pageId,
+        properties: properties
+    }), "pages.update (resolve)", debug);
+    debug(`Marked TODO in Notion with ID: ${pageId} as ${config.DONE_STATUS}`);
+    return { missingProperties };
+}
+
+/**
+ * Warns that some required columns were not written, offering to validate the schema.
+ * @param {string} action - What happened to the TODO(s), e.g. "TODO created".
+ * @param {Array<string>} missingProperties - The names of the missing columns.
+ */
+function warnMissingProperties(action, missingProperties) {
+    host.showWarningMessage(action + " without: " + missingProperties.join(", ") + ". Ensure these properties (especially 'Line Number') are defined in your Notion database schema to track TODO locations accurately.", "Validate Schema").then(selection => {
+        if (selection === "Validate Schema") {
+            host.executeCommand('TODOtoNOTION.validateSchema');
+        }
+    });
+}
 
 /**
  * Creates a new TODO item in Notion and returns the assigned ID.
@@ -17,7 +258,7 @@ async function createTodo(context, credentials, todo, debug) {
     try {
         const { token, databaseId } = credentials;
         if (!token || !databaseId) {
-            vscode.window.showErrorMessage("Notion integration not configured. Please set credentials first.");
+            host.showErrorMessage("Notion integration not configured. Please set credentials first.");
             debug("Notion credentials not configured for createTodo.");
             return null;
         }
@@ -25,110 +266,38 @@ async function createTodo(context, credentials, todo, debug) {
         // Initialize Notion client if not already done
         const notionClient = notionDatabase.getNotionClient(token);
 
-        // Start with essential properties for TODO creation
-        const properties = {
-            Name: {
-                title: [
-                    {
-                        text: {
-                            content: todo.text
-                        }
-                    }
-                ]
-            },
-            Type: {
-                select: {
-                    name: todo.type || "TODO"
-                }
-            },
-            Status: {
-                select: {
-                    name: todo.status || "Not started"
-                }
-            }
-        };
-
-        // Fetch database properties to check which ones exist
+        // Fetch database properties to check which ones exist, then map the TODO onto them
         const dbProperties = await notionDatabase.listDatabaseProperties(context, credentials, debug);
-        let missingProperties = [];
-        if (dbProperties) {
-            if (dbProperties["File Path"] && todo.filePath) {
-                properties["File Path"] = {
-                    rich_text: [
-                        {
-                            text: {
-                                content: todo.filePath || "Unknown"
-                            }
-                        }
-                    ]
-                };
-            } else if (!dbProperties["File Path"]) {
-                missingProperties.push("File Path");
-            }
-            if (dbProperties["Line Number"] && todo.lineNumber !== undefined) {
-                properties["Line Number"] = {
-                    rich_text: [
-                        {
-                            text: {
-                                content: String(todo.lineNumber)
-                            }
-                        }
-                    ]
-                };
-            } else if (!dbProperties["Line Number"]) {
-                missingProperties.push("Line Number");
-            }
-            if (dbProperties["TODO_ID"] && todo.id) {
-                properties["TODO_ID"] = {
-                    rich_text: [
-                        {
-                            text: {
-                                content: todo.id
-                            }
-                        }
-                    ]
-                };
-            } else if (!dbProperties["TODO_ID"]) {
-                missingProperties.push("TODO_ID");
-            }
-        } else {
+        if (!dbProperties) {
             debug("Could not fetch database properties, using only essential properties for TODO creation.");
-            vscode.window.showWarningMessage("Could not verify Notion database properties. Only essential fields will be set for the TODO.");
-            missingProperties = ["File Path", "Line Number", "ID"];
+            host.showWarningMessage("Could not verify Notion database properties. Only essential fields will be set for the TODO.");
         }
-
-        // Create a new page in the specified database with checked properties
-        const response = await notionClient.pages.create({
-            parent: { database_id: databaseId },
-            properties: properties
-        });
+        const { pageId: newId, missingProperties } = await createTodoPage(notionClient, databaseId, todo, dbProperties, debug);
 
         if (missingProperties.length > 0) {
             debug("Note: The following properties were not set for TODO creation due to schema mismatch: " + missingProperties.join(", ") + ". Available data - File Path: " + (todo.filePath || "Unknown") + ", Line Number: " + (todo.lineNumber || 0));
-            vscode.window.showWarningMessage("TODO created without: " + missingProperties.join(", ") + ". Ensure these properties (especially 'Line Number') are defined in your Notion database schema to track TODO locations accurately.");
+            warnMissingProperties("TODO created", missingProperties);
         }
 
-        const newId = response.id;
-        debug(`Created TODO in Notion with ID: ${newId} for text: ${todo.text}`);
-        vscode.window.showInformationMessage(`Created TODO in Notion: ${todo.text}`);
+        host.showInformationMessage(`Created TODO in Notion: ${todo.text}`);
         return newId;
     } catch (error) {
         if (error.message.includes("Could not find database with ID")) {
-            vscode.window.showErrorMessage(`Failed to create TODO in Notion: Database ID ${credentials.databaseId} not found. Ensure the database is shared with your integration.`, "Set Credentials").then(selection => {
+            host.showErrorMessage(`Failed to create TODO in Notion: Database ID ${credentials.databaseId} not found. Ensure the database is shared with your integration.`, "Set Credentials").then(selection => {
                 if (selection === "Set Credentials") {
-                    vscode.commands.executeCommand('TODOtoNOTION.setCredentials');
+                    host.executeCommand('TODOtoNOTION.setCredentials');
                 }
             });
             debug("Error creating TODO in Notion: Database not found - " + error.message);
         } else if (error.message.includes("API token is invalid")) {
-            vscode.window.showErrorMessage("Failed to create TODO in Notion: Invalid API token. Please update your credentials.", "Set Credentials").then(selection => {
+            host.showErrorMessage("Failed to create TODO in Notion: Invalid API token. Please update your credentials.", "Set Credentials").then(selection => {
                 if (selection === "Set Credentials") {
-                    vscode.commands.executeCommand('TODOtoNOTION.setCredentials');
+                    host.executeCommand('TODOtoNOTION.setCredentials');
                 }
             });
             debug("Error creating TODO in Notion: Invalid API token - " + error.message);
         } else {
-            vscode.window.showErrorMessage("Failed to create TODO in Notion: " + error.message);
+            host.showErrorMessage("Failed to create TODO in Notion: " + error.message);
             debug("Error creating TODO in Notion: " + error.message);
         }
         return null;
@@ -148,7 +317,7 @@ async function updateTodo(context, credentials, todoId, updates, debug) {
     try {
         const { token } = credentials;
         if (!token) {
-            vscode.window.showErrorMessage("Notion integration not configured. Please set credentials first.");
+            host.showErrorMessage("Notion integration not configured. Please set credentials first.");
             debug("Notion credentials not configured for updateTodo.");
             return false;
         }
@@ -156,102 +325,31 @@ async function updateTodo(context, credentials, todoId, updates, debug) {
         // Initialize Notion client if not already done
         const notionClient = notionDatabase.getNotionClient(token);
 
-        // Start with essential properties for TODO update
-        const properties = {
-            Name: {
-                title: [
-                    {
-                        text: {
-                            content: updates.text
-                        }
-                    }
-                ]
-            },
-            Type: {
-                select: {
-                    name: updates.type || "TODO"
-                }
-            },
-            Status: {
-                select: {
-                    name: updates.status || "Not started"
-                }
-            }
-        };
-
-        // Fetch database properties to check which ones exist
+        // Fetch database properties to check which ones exist, then map the TODO onto them
         const dbProperties = await notionDatabase.listDatabaseProperties(context, credentials, debug);
-        let missingProperties = [];
-        if (dbProperties) {
-            if (dbProperties["File Path"] && updates.filePath) {
-                properties["File Path"] = {
-                    rich_text: [
-                        {
-                            text: {
-                                content: updates.filePath || "Unknown"
-                            }
-                        }
-                    ]
-                };
-            } else if (!dbProperties["File Path"]) {
-                missingProperties.push("File Path");
-            }
-            if (dbProperties["Line Number"] && updates.lineNumber !== undefined) {
-                properties["Line Number"] = {
-                    rich_text: [
-                        {
-                            text: {
-                                content: String(updates.lineNumber)
-                            }
-                        }
-                    ]
-                };
-            } else if (!dbProperties["Line Number"]) {
-                missingProperties.push("Line Number");
-            }
-            if (dbProperties["TODO_ID"] && updates.id) {
-                properties["TODO_ID"] = {
-                    rich_text: [
-                        {
-                            text: {
-                                content: updates.id
-                            }
-                        }
-                    ]
-                };
-            } else if (!dbProperties["TODO_ID"]) {
-                missingProperties.push("TODO_ID");
-            }
-        } else {
+        if (!dbProperties) {
             debug("Could not fetch database properties, using only essential properties for TODO update.");
-            vscode.window.showWarningMessage("Could not verify Notion database properties. Only essential fields will be updated for the TODO.");
-            missingProperties = ["File Path", "Line Number", "TODO_ID"];
+            host.showWarningMessage("Could not verify Notion database properties. Only essential fields will be updated for the TODO.");
         }
-
-        // Update the page with the given ID with checked properties
-        const response = await notionClient.pages.update({
-            page_id: todoId,
-            properties: properties
-        });
+        const { missingProperties } = await updateTodoPage(notionClient, todoId, updates, dbProperties, debug);
 
         if (missingProperties.length > 0) {
             debug("Note: The following properties were not updated for TODO due to schema mismatch: " + missingProperties.join(", ") + ". Available data - File Path: " + (updates.filePath || "Unknown") + ", Line Number: " + (updates.lineNumber || 0));
-            vscode.window.showWarningMessage("TODO updated without: " + missingProperties.join(", ") + ". Ensure these properties (especially 'Line Number') are defined in your Notion database schema to track TODO locations accurately.");
+            warnMissingProperties("TODO updated", missingProperties);
         }
 
-        debug(`Updated TODO in Notion with ID: ${todoId}`);
-        vscode.window.showInformationMessage(`Updated TODO in Notion: ${updates.text}`);
+        host.showInformationMessage(`Updated TODO in Notion: ${updates.text || todoId}`);
         return true;
     } catch (error) {
         if (error.message.includes("API token is invalid")) {
-            vscode.window.showErrorMessage("Failed to update TODO in Notion: Invalid API token. Please update your credentials.", "Set Credentials").then(selection => {
+            host.showErrorMessage("Failed to update TODO in Notion: Invalid API token. Please update your credentials.", "Set Credentials").then(selection => {
                 if (selection === "Set Credentials") {
-                    vscode.commands.executeCommand('TODOtoNOTION.setCredentials');
+                    host.executeCommand('TODOtoNOTION.setCredentials');
                 }
             });
             debug("Error updating TODO in Notion: Invalid API token - " + error.message);
         } else {
-            vscode.window.showErrorMessage("Failed to update TODO in Notion: " + error.message);
+            host.showErrorMessage("Failed to update TODO in Notion: " + error.message);
             debug("Error updating TODO in Notion: " + error.message);
         }
         return false;
@@ -270,7 +368,7 @@ async function deleteTodo(context, credentials, todoId, debug) {
     try {
         const { token } = credentials;
         if (!token) {
-            vscode.window.showErrorMessage("Notion integration not configured. Please set credentials first.");
+            host.showErrorMessage("Notion integration not configured. Please set credentials first.");
             debug("Notion credentials not configured for deleteTodo.");
             return false;
         }
@@ -279,58 +377,240 @@ async function deleteTodo(context, credentials, todoId, debug) {
         const notionClient = notionDatabase.getNotionClient(token);
 
         // Archive the page in Notion to remove it from active view
-        const response = await notionClient.pages.update({
-            page_id: todoId,
-            archived: true
-        });
+        await archiveTodoPage(notionClient, todoId, debug);
 
-        debug(`Archived TODO in Notion with ID: ${todoId}`);
-        vscode.window.showInformationMessage(`Archived TODO in Notion with ID: ${todoId}`);
+        host.showInformationMessage(`Archived TODO in Notion with ID: ${todoId}`);
         return true;
     } catch (error) {
         if (error.message.includes("API token is invalid")) {
-            vscode.window.showErrorMessage("Failed to delete TODO in Notion: Invalid API token. Please update your credentials.", "Set Credentials").then(selection => {
+            host.showErrorMessage("Failed to delete TODO in Notion: Invalid API token. Please update your credentials.", "Set Credentials").then(selection => {
                 if (selection === "Set Credentials") {
-                    vscode.commands.executeCommand('TODOtoNOTION.setCredentials');
+                    host.executeCommand('TODOtoNOTION.setCredentials');
                 }
             });
             debug("Error deleting TODO in Notion: Invalid API token - " + error.message);
         } else {
-            vscode.window.showErrorMessage("Failed to delete TODO in Notion: " + error.message);
+            host.showErrorMessage("Failed to delete TODO in Notion: " + error.message);
             debug("Error deleting TODO in Notion: " + error.message);
         }
         return false;
     }
 }
 
+/**
+ * Tells whether the status of a TODO was set in code since the last sync, through a marker
+ * such as TODO[wip] or a status tag such as DONE:. Only such changes are pushed to Notion.
+ * @param {Object} todo - The TODO parsed from code.
+ * @param {Object} [previous] - The same TODO at the last sync, if known.
+ * @returns {boolean} True if the status in code should overwrite the Notion status.
+ */
+function isStatusChangedInCode(todo, previous) {
+    if (!todo.statusExplicit) {
+        return false;
+    }
+    return !(previous && previous.statusExplicit && previous.status === todo.status);
+}
+
+/**
+ * Tells whether the priority of a TODO was set in code since the last sync through a marker such as TODO(p1).
+ * The priority of a tag only seeds new pages; afterwards only a priority marker is pushed.
+ * @param {Object} todo - The TODO parsed from code.
+ * @param {Object} [previous] - The same TODO at the last sync, if known.
+ * @returns {boolean} True if the priority in code should overwrite the Notion priority.
+ */
+function isPriorityChangedInCode(todo, previous) {
+    if (!todo.priorityExplicit) {
+        return false;
+    }
+    return !(previous && previous.priorityExplicit && previous.priority === todo.priority);
+}
+
+/**
+ * Tells whether a Notion row and a cached TODO point to the same file, whether their paths are
+ * portable or absolute ones written before paths were portable.
+ * @param {Object} notionTask - The Notion task.
+ * @param {Object} todo - The cached TODO.
+ * @returns {boolean} True if both name the same file.
+ */
+function isSameFile(notionTask, todo) {
+    const folders = utils.getWorkspaceFolders();
+    const notionPath = workspacePaths.toAbsolutePath(notionTask.filePath, notionTask.workspaceFolder, folders) || notionTask.filePath;
+    const todoPath = workspacePaths.toAbsolutePath(todo.filePath, todo.workspaceFolder, folders) || todo.filePath;
+    return notionPath === todoPath;
+}
+
+/**
+ * Tells whether a value of the annotation of a TODO, such as TODO(@alice, due:2026-12-01, #backend), or its
+ * description was changed in code since the last sync. Only such changes are pushed to Notion, so values set
+ * in Notion are kept otherwise.
+ * @param {Object} todo - The TODO parsed from code.
+ * @param {Object} [previous] - The same TODO at the last sync, if known.
+ * @param {string} field - "assignees", "due", "labels" or "description".
+ * @returns {boolean} True if the value in code should overwrite the Notion value.
+ */
+function isValueChangedInCode(todo, previous, field) {
+    const value = [].concat(todo[field] || []).join(",");
+    if (!previous) {
+        return value !== "";
+    }
+    return value !== [].concat(previous[field] || []).join(",");
+}
+
+/**
+ * Tells whether two lists hold the same values, in any order.
+ * @param {Array<string>} values - The first list.
+ * @param {Array<string>} otherValues - The second list.
+ * @returns {boolean} True if both hold the same values.
+ */
+function sameValues(values, otherValues) {
+    const set = new Set(values);
+    return set.size === new Set(otherValues).size && otherValues.every(value => set.has(value));
+}
+
+/**
+ * Checks whether a TODO differs from the state cached at its last sync, including where it sits in the file.
+ * @param {Object} todo - The TODO parsed from code.
+ * @param {Object} [previous] - The TODO as cached at the last sync, if any.
+ * @returns {boolean} True if the TODO is new or any of its cached fields changed.
+ */
+function isChangedSinceSync(todo, previous) {
+    if (!previous) {
+        return true;
+    }
+    const current = todoParser.toStoredTodo(todo);
+    return Object.keys(current).some(key => JSON.stringify(current[key]) !== JSON.stringify(previous[key]));
+}
+
+/**
+ * Works out the annotation values of a TODO to write to its Notion page: those changed in code since the
+ * last sync that differ from Notion. Columns missing from the database are left out, and Notion labels
+ * that cannot be written as #label are kept.
+ * @param {Object} todo - The TODO parsed from code.
+ * @param {Object} [previous] - The same TODO at the last sync, if known.
+ * @param {Object} notionTask - The Notion task of the TODO.
+ * @param {Array<string>|undefined} assigneeIds - The Notion user IDs of the assignees to write, if they changed in code.
+ * @returns {Object} The priority, due, labels and assigneeIds to write; those to leave alone are absent.
+ */
+function getAnnotationUpdates(todo, previous, notionTask, assigneeIds) {
+    const updates = {};
+    if (notionTask.priority !== undefined && isPriorityChangedInCode(todo, previous) && notionTask.priority !== todo.priority) {
+        updates.priority = todo.priority;
+    }
+    if (notionTask.due !== undefined && isValueChangedInCode(todo, previous, "due") && notionTask.due !== (todo.due || "")) {
+        updates.due = todo.due || "";
+    }
+    if (notionTask.labels !== undefined && isValueChangedInCode(todo, previous, "labels")) {
+        const labels = (todo.labels || []).concat(notionTask.labels.filter(label => !todoParser.isWritableLabel(label)));
+        if (!sameValues(labels, notionTask.labels)) {
+            updates.labels = labels;
+        }
+    }
+    if (assigneeIds && !notionUsers.sameUsers(assigneeIds, (notionTask.assignees || []).map(person => person.id))) {
+        updates.assigneeIds = assigneeIds;
+    }
+    return updates;
+}
+
+/**
+ * Warns about assignees written in code that match no Notion user, offering to map them.
+ * @param {Array<string>} handles - The handles or emails that were not found.
+ */
+function warnUnknownAssignees(handles) {
+    host.showWarningMessage(`No single Notion user matches ${handles.join(", ")}, so the assignees of their TODOs were not synced. Map them to a Notion user in TODOtoNOTION.assigneeAliases.`, "Open Settings").then(selection => {
+        if (selection === "Open Settings") {
+            host.executeCommand('workbench.action.openSettings', 'TODOtoNOTION.assigneeAliases');
+        }
+    });
+}
+
 /**
  * Synchronizes TODO items to Notion, handling creation, updates, and deletions in a batch-like process.
  * This function ensures that TODO IDs from the code are the single source of truth and prevents duplicate entries in Notion.
+ * Requests go through the rate-limited scheduler; a failing TODO does not stop the others and is reported in "failed".
  * @param {Object} context - The VSCode extension context for accessing credentials.
  * @param {Object} credentials - The Notion credentials (token and databaseId).
  * @param {Array} todos - The current list of TODO items to sync from the code.
- * @param {Object} cachedTodos - The previously cached TODO items for comparison to detect changes.
+ * @param {Object} cachedTodos - The TODOs of the same files at the last sync, keyed by ID; those no longer in todos are handled by the TODOtoNOTION.onRemovedFromCode policy.
  * @param {Function} debug - Debug logging function.
- * @returns {Promise<Object>} - A promise resolving to an object with arrays of created, updated, and deleted TODOs.
+ * @param {Object} [options] - Optional cancellationToken and onProgress(done, total) callback for long-running syncs, quiet to suppress progress toasts,
+ * dryRun to only work out the operations, returned as plan steps (see syncPlan), without sending any, and selectedKeys,
+ * a Set of the keys of the plan steps to apply, leaving out the others, and history, the sync (see syncHistory.startSync) to log the
+ * applied operations under; a sync of its own if omitted.
+ * @returns {Promise<Object>} - A promise resolving to the created, updated, deleted (archived), resolved and failed TODOs, the text conflicts to resolve, the per-operation outcomes, whether the sync was cancelled, whether Notion was unreachable and the error that stopped the sync, if any.
  */
-async function syncTodos(context, credentials, todos, cachedTodos = {}, debug) {
+async function syncTodos(context, credentials, todos, cachedTodos = {}, debug, options = {}) {
+    const emptyResult = { created: [], updated: [], deleted: [], resolved: [], failed: [], conflicts: [], outcomes: [], cancelled: false, offline: false };
     try {
         const { token, databaseId } = credentials;
         if (!token || !databaseId) {
-            vscode.window.showErrorMessage("Notion integration not configured. Please set credentials first.");
+            host.showErrorMessage("Notion integration not configured. Please set credentials first.");
             debug("Notion credentials not configured for syncTodos.");
-            return { created: [], updated: [], deleted: [] };
+            return Object.assign({}, emptyResult, { error: new Error("Notion integration not configured.") });
         }
 
+        const notionClient = notionDatabase.getNotionClient(token);
         const created = [];
         const updated = [];
         const deleted = [];
+        const resolved = [];
+        const failed = [];
+        const conflicts = [];
+        const agreedTexts = {}; // Texts code and Notion agree on after this sync, keyed by TODO ID
 
         debug("Starting batch TODO sync with Notion...");
-        vscode.window.showInformationMessage("Starting batch TODO sync with Notion...");
+        if (!options.quiet) {
+            host.showInformationMessage("Starting batch TODO sync with Notion...");
+        }
+
+        // TODOs that were in the code at the last sync but are gone now
+        const currentIds = new Set(todos.map(todo => todo.id));
+        const removedIds = Object.keys(cachedTodos).filter(cachedId => !currentIds.has(cachedId));
+        const removalPolicy = config.getRemovalPolicy();
+        const removalOperation = REMOVAL_OPERATIONS[removalPolicy];
+
+        // Fetch current state from Notion to determine which TODOs already exist.
+        // Small syncs only ask for their own IDs; large ones fetch every row that has a TODO_ID.
+        const knownIds = Array.from(new Set(todos.map(todo => todo.id).concat(Object.keys(cachedTodos)).filter(id => id)));
+        const filter = knownIds.length <= MAX_IDS_PER_QUERY ? { todoIds: knownIds } : { withTodoId: true };
+        let notionTasks = [];
+        try {
+            notionTasks = knownIds.length > 0 ? await notionDatabase.queryNotionTasks(context, credentials, debug, filter) : [];
+        } catch (error) {
+            if (!notionScheduler.isTransientError(error)) {
+                throw error;
+            }
+            // Notion is unreachable: nothing can be decided, so every change since the last sync is reported as failed
+            debug("Notion is unreachable, no TODOs synced: " + error.message);
+            todos.filter(todo => todo.id && isChangedSinceSync(todo, cachedTodos[todo.id])).forEach(todo => {
+                failed.push({ operation: cachedTodos[todo.id] ? "update" : "create", todo, error });
+            });
+            if (removalOperation) {
+                removedIds.forEach(removedId => {
+                    failed.push({ operation: removalOperation, todo: cachedTodos[removedId], error });
+                });
+            }
+            return Object.assign({}, emptyResult, { failed, offline: true });
+        }
+        debug("Fetched " + notionTasks.length + " tasks from Notion database.");
+
+        // Fetch the schema once for the whole batch
+        const dbProperties = await notionDatabase.listDatabaseProperties(context, credentials, debug);
+        if (!dbProperties) {
+            debug("Could not fetch database properties, using only essential properties for TODO sync.");
+            host.showWarningMessage("Could not verify Notion database properties. Only essential fields will be set for the TODOs.");
+        }
 
-        // Fetch current state from Notion to determine which TODOs already exist
-        const notionTasks = await notionDatabase.fetchNotionState(context, credentials, debug);
+        // Users are only listed when assignees changed in code and the database has a People column for them
+        const propertyMap = config.getPropertyMap();
+        const assigneesChanged = todos.some(todo => isValueChangedInCode(todo, cachedTodos[todo.id], "assignees"));
+        let workspaceUsers = null;
+        if (assigneesChanged && dbProperties && dbProperties[propertyMap.assignee] === "people") {
+            workspaceUsers = await notionUsers.listUsers(credentials, debug);
+            if (!workspaceUsers) {
+                host.showWarningMessage("Could not list Notion users, so TODO assignees were not synced. Ensure your integration can read user information.");
+            }
+        }
+        const unknownAssignees = new Set();
         
         // Create mappings for efficient lookup
         const customIdToPageId = {}; // Maps code ID to Notion page ID
@@ -342,11 +622,23 @@ async function syncTodos(context, credentials, todos, cachedTodos = {}, debug) {
             }
         });
 
-        // Process current TODOs from code for creation or update
+        // The Notion user IDs to write for a TODO whose assignees changed in code, or undefined to leave them.
+        // TODOs naming someone who is not a Notion user keep their Notion assignees.
+        const getAssigneeIds = todo => {
+            if (!workspaceUsers || !isValueChangedInCode(todo, cachedTodos[todo.id], "assignees")) {
+                return undefined;
+            }
+            const { ids, unknown } = notionUsers.resolveAssignees(todo.assignees || [], workspaceUsers);
+            unknown.forEach(handle => unknownAssignees.add(handle));
+            return unknown.length > 0 ? undefined : ids;
+        };
+
+        // Work out the operation each current TODO needs: create, update or nothing
+        const operations = [];
         for (const todo of todos) {
             if (!todo.id) {
                 debug(`Unexpected: TODO without ID for text: "${todo.text}". IDs should be generated in code.`);
-                vscode.window.showErrorMessage(`Unexpected: TODO without ID for text: "${todo.text}". Please check the extension logic.`);
+                host.showErrorMessage(`Unexpected: TODO without ID for text: "${todo.text}". Please check the extension logic.`);
                 continue;
             }
 
@@ -355,81 +647,230 @@ async function syncTodos(context, credentials, todos, cachedTodos = {}, debug) {
                 const notionPageId = customIdToPageId[todo.id];
                 debug(`TODO exists in Notion with ID from code: ${todo.id} (page ID: ${notionPageId}), checking for updates`);
 
-                // Check if there are any changes to update (compare with Notion data, not cachedTodos)
+                // Check if there are any changes to update (compare with Notion data, not cachedTodos).
+                // The status is only pushed when a marker in code changed it, so Notion keeps its own status changes;
+                // the same goes for the priority, assignees, due date and labels of the annotation.
                 const notionTask = notionTaskByPageId[notionPageId];
-                let needsUpdate = false;
-                // Compare all relevant fields
-                if (
-                    notionTask.text !== todo.text ||
-                    notionTask.filePath !== todo.filePath ||
-                    notionTask.lineNumber !== todo.lineNumber ||
-                    notionTask.type !== todo.type ||
-                    notionTask.status !== todo.status
-                ) {
-                    needsUpdate = true;
+                const pushStatus = isStatusChangedInCode(todo, cachedTodos[todo.id]);
+                const annotation = getAnnotationUpdates(todo, cachedTodos[todo.id], notionTask, getAssigneeIds(todo));
+                const description = isValueChangedInCode(todo, cachedTodos[todo.id], "description") ? todo.description || "" : undefined;
+                const previous = cachedTodos[todo.id];
+                const codeContext = todo.codeContext && (!previous || previous.codeContextHash !== todoParser.hashCodeContext(todo.codeContext)) ? todo.codeContext : undefined;
+
+                // The text goes to Notion only if code changed it since the last sync; TODOs without
+                // a baseline yet keep the code text. Edits on both sides are left for the user to resolve.
+                const baseText = todoMerge.getBaseline(context, todo.id);
+                const textMerge = todoMerge.mergeText(baseText, todo.text, notionTask.text);
+                const text = textMerge === "code" || textMerge === "unknown" ? todo.text : notionTask.text;
+                if (textMerge === "same") {
+                    agreedTexts[todo.id] = todo.text;
+                } else if (textMerge === "conflict") {
+                    debug(`TODO with ID: ${todo.id} was edited in both code and Notion, keeping the Notion text until resolved.`);
+                    conflicts.push({ todo, pageId: notionPageId, databaseId: credentials.databaseId, baseText, codeText: todo.text, notionText: notionTask.text });
+                } else if (textMerge === "notion") {
+                    debug(`TODO with ID: ${todo.id} was edited in Notion only, keeping the Notion text.`);
                 }
 
-                if (needsUpdate) {
-                    debug(`Updating TODO with ID: ${todo.id}, Line Number: ${todo.lineNumber}`);
-                    const success = await updateTodo(context, credentials, notionPageId, {
-                        text: todo.text,
-                        type: todo.type,
-                        status: todo.status,
-                        filePath: todo.filePath,
-                        lineNumber: todo.lineNumber,
-                        id: todo.id
-                    }, debug);
-                    if (success) {
-                        updated.push(todo);
-                        debug(`Updated TODO with ID: ${todo.id} in Notion`);
-                    } else {
-                        debug(`Failed to update TODO with ID: ${todo.id} in Notion`);
-                    }
+                const changes = [];
+                if (notionTask.text !== text) {
+                    changes.push({ field: "text", from: notionTask.text, to: text });
+                }
+                // Rows holding an absolute path from before paths were portable are rewritten here
+                if (notionTask.filePath !== todo.filePath) {
+                    changes.push({ field: "filePath", from: notionTask.filePath, to: todo.filePath });
+                }
+                if (notionTask.workspaceFolder !== undefined && notionTask.workspaceFolder !== (todo.workspaceFolder || "")) {
+                    changes.push({ field: "workspaceFolder", from: notionTask.workspaceFolder, to: todo.workspaceFolder || "" });
+                }
+                if (notionTask.lineNumber !== todo.lineNumber) {
+                    changes.push({ field: "lineNumber", from: notionTask.lineNumber, to: todo.lineNumber });
+                }
+                if (todo.type && notionTask.type !== todo.type) {
+                    changes.push({ field: "type", from: notionTask.type, to: todo.type });
+                }
+                if (pushStatus && notionTask.status !== todo.status) {
+                    changes.push({ field: "status", from: notionTask.status, to: todo.status });
+                }
+                if (annotation.assigneeIds !== undefined) {
+                    changes.push({ field: "assignees", from: notionTask.assignees, to: todo.assignees });
+                }
+                ["priority", "due", "labels"].filter(field => annotation[field] !== undefined).forEach(field => {
+                    changes.push({ field: field, from: notionTask[field], to: annotation[field] });
+                });
+                // The page body is not read for a sync, so only its new content is known
+                if (description !== undefined) {
+                    changes.push({ field: "description", from: undefined, to: description });
+                }
+                if (codeContext !== undefined) {
+                    changes.push({ field: "codeContext", from: undefined, to: codeContext.code });
+                }
+                if (changes.length > 0) {
+                    operations.push({ kind: "update", todo, pageId: notionPageId, text, pushStatus, annotation, description, codeContext, changes });
                 } else {
                     debug(`No changes detected for TODO with ID: ${todo.id}, skipping update`);
                 }
             } else {
                 // TODO has an ID in code but not found in Notion. Create new TODO in Notion. [id:6d0dd779-1eb7-40a9-a0cc-a8cf9e0f59a2]
                 debug(`No TODO in Notion with ID: ${todo.id}. Creating new TODO in Notion.`);
-                const newPageId = await createTodo(context, credentials, todo, debug);
-                if (newPageId) {
-                    created.push(todo);
-                    debug(`Created TODO with ID: ${todo.id} and page ID: ${newPageId} in Notion`);
-                }
+                const assigneeIds = getAssigneeIds(todo);
+                operations.push({ kind: "create", todo, annotation: { assigneeIds: assigneeIds && assigneeIds.length > 0 ? assigneeIds : undefined } });
             }
         }
 
-        // Optionally handle deletions: TODOs present in cachedTodos but not in current todos
-        if (Object.keys(cachedTodos).length > 0) {
-            debug("Checking for TODOs to delete in Notion...");
-            const cachedIds = Object.keys(cachedTodos);
-            for (const cachedId of cachedIds) {
-                if (!customIdToPageId[cachedId]) {
-                    // TODO with this ID does not exist in current todos, mark for deletion [id:5536bc93-1078-49cb-b853-3df426ca0fcc]
-                    const notionPageId = cachedTodos[cachedId];
-                    deleted.push(notionPageId);
-                    debug(`Marked TODO for deletion in Notion: ${notionPageId} (ID from code: ${cachedId})`);
+        // Apply the removal policy to TODOs deleted from the code since the last sync
+        if (removedIds.length > 0 && !removalOperation) {
+            debug(`${removedIds.length} TODO(s) removed from code, leaving their Notion pages unchanged (policy: ${removalPolicy}).`);
+        } else if (removedIds.length > 0) {
+            debug(`Checking ${removedIds.length} TODO(s) removed from code (policy: ${removalPolicy})...`);
+            for (const removedId of removedIds) {
+                const removedTodo = cachedTodos[removedId];
+                const notionPageId = customIdToPageId[removedId];
+                if (!notionPageId) {
+                    debug(`Removed TODO with ID: ${removedId} has no active page in Notion, nothing to do.`);
+                    continue;
+                }
+                const notionTask = notionTaskByPageId[notionPageId];
+                if (removedTodo.filePath && notionTask.filePath && !isSameFile(notionTask, removedTodo)) {
+                    // The comment was moved and already synced from its new file
+                    debug(`Removed TODO with ID: ${removedId} now lives in ${notionTask.filePath}, keeping its Notion page.`);
+                    continue;
+                }
+                if (removalOperation === "resolve" && notionTask.status === config.DONE_STATUS) {
+                    debug(`Removed TODO with ID: ${removedId} is already ${config.DONE_STATUS} in Notion.`);
+                    continue;
                 }
+                const changes = removalOperation === "resolve" ? [{ field: "status", from: notionTask.status, to: config.DONE_STATUS }] : [];
+                operations.push({ kind: removalOperation, todo: removedTodo, pageId: notionPageId, changes });
+                debug(`TODO removed from code, will ${removalOperation} its Notion page: ${notionPageId} (ID from code: ${removedId})`);
             }
         }
 
-        // Perform deletion of marked TODOs in Notion
-        for (const todoId of deleted) {
-            const success = await deleteTodo(context, credentials, todoId, debug);
-            if (success) {
-                debug(`Deleted TODO in Notion with ID: ${todoId}`);
+        const plan = operations.map(operation => syncPlan.createStep("notion", operation.kind, operation.todo, {
+            text: operation.kind === "update" ? operation.text : undefined,
+            pageId: operation.pageId,
+            databaseId: databaseId,
+            changes: operation.changes
+        }));
+        if (options.dryRun) {
+            debug(`Dry run: ${operations.length} Notion operation(s) planned, none sent.`);
+            return Object.assign({}, emptyResult, { conflicts, plan });
+        }
+        const steps = new Map(operations.map((operation, index) => [operation, plan[index]]));
+        // Operations left out of a previewed plan are skipped; they are planned again on the next sync
+        if (options.selectedKeys) {
+            const skipped = operations.filter((operation, index) => !syncPlan.isSelected(plan[index], options.selectedKeys));
+            skipped.forEach(operation => operations.splice(operations.indexOf(operation), 1));
+            debug(`Skipping ${skipped.length} Notion operation(s) left out of the plan.`);
+        }
+
+        // Git details are only read when the database has a column for them
+        const gitRoles = GIT_ROLES.filter(role => dbProperties && dbProperties[propertyMap[role]]);
+        const written = operations.filter(operation => operation.kind === "create" || operation.kind === "update");
+        if (gitRoles.length > 0 && written.length > 0) {
+            const details = await gitInfo.describeTodos(written.map(operation => operation.todo), utils.getWorkspaceFolders(), debug);
+            let authorUsers = null;
+            if (gitRoles.includes("gitAuthor") && dbProperties[propertyMap.gitAuthor] === "people" && Object.values(details).some(detail => detail.gitAuthorEmail)) {
+                authorUsers = workspaceUsers || await notionUsers.listUsers(credentials, debug);
+            }
+            written.forEach(operation => {
+                const detail = details[operation.todo.id];
+                if (!detail) {
+                    return;
+                }
+                // A git author who is not a single Notion user leaves the People column as it is
+                const authorIds = authorUsers && detail.gitAuthorEmail ? notionUsers.resolveAssignees([detail.gitAuthorEmail], authorUsers) : null;
+                operation.git = Object.assign({}, detail, {
+                    gitAuthorIds: authorIds && authorIds.unknown.length === 0 ? authorIds.ids : undefined
+                });
+            });
+        }
+
+        const missingProperties = new Set();
+        const outcomes = await notionScheduler.runAll(operations, async operation => {
+            let result = { missingProperties: [] };
+            if (operation.kind === "create") {
+                result = await createTodoPage(notionClient, databaseId, Object.assign({}, operation.todo, operation.annotation, operation.git), dbProperties, debug);
+            } else if (operation.kind === "update") {
+                debug(`Updating TODO with ID: ${operation.todo.id}, Line Number: ${operation.todo.lineNumber}`);
+                result = await updateTodoPage(notionClient, operation.pageId, Object.assign({
+                    text: operation.text,
+                    type: operation.todo.type,
+                    status: operation.pushStatus ? operation.todo.status : undefined,
+                    filePath: operation.todo.filePath,
+                    workspaceFolder: operation.todo.workspaceFolder,
+                    lineNumber: operation.todo.lineNumber,
+                    id: operation.todo.id
+                }, operation.annotation, operation.git), dbProperties, debug);
+                if (operation.description !== undefined) {
+                    await notionBlocks.writeDescription(notionClient, operation.pageId, operation.description, debug);
+                }
+                if (operation.codeContext !== undefined) {
+                    await notionBlocks.writeCodeContext(notionClient, operation.pageId, operation.codeContext, debug);
+                }
+            } else if (operation.kind === "resolve") {
+                result = await resolveTodoPage(notionClient, operation.pageId, dbProperties, debug);
+            } else {
+                await archiveTodoPage(notionClient, operation.pageId, debug);
+            }
+            result.missingProperties.forEach(name => missingProperties.add(name));
+            return result;
+        }, options);
+
+        let cancelled = false;
+        outcomes.forEach(outcome => {
+            const operation = outcome.item;
+            if (outcome.cancelled) {
+                cancelled = true;
+            } else if (!outcome.ok) {
+                failed.push({ operation: operation.kind, todo: operation.todo, error: outcome.error });
+                debug(`Failed to ${operation.kind} TODO with ID: ${operation.todo.id || operation.pageId} in Notion: ${outcome.error.message}`);
+            } else if (operation.kind === "create") {
+                created.push(operation.todo);
+                agreedTexts[operation.todo.id] = operation.todo.text;
+            } else if (operation.kind === "update") {
+                updated.push(operation.todo);
+                if (operation.text === operation.todo.text) {
+                    agreedTexts[operation.todo.id] = operation.text;
+                }
+            } else if (operation.kind === "resolve") {
+                resolved.push(operation.todo);
             } else {
-                debug(`Failed to delete TODO in Notion with ID: ${todoId}`);
+                deleted.push(operation.todo);
             }
+        });
+        await todoMerge.setBaselines(context, agreedTexts);
+        await todoMerge.removeBaselines(context, deleted.map(todo => todo.id));
+        // Created pages are logged with their new ID, so undoing the sync can archive them
+        const applied = outcomes.filter(outcome => outcome.ok).map(outcome => Object.assign({}, steps.get(outcome.item), {
+            pageId: outcome.item.kind === "create" ? outcome.value.pageId : outcome.item.pageId
+        }));
+        await syncHistory.record(context, options.history || syncHistory.startSync("Sync to Notion"), applied);
+        if (cancelled) {
+            debug(`Sync cancelled after ${outcomes.filter(outcome => !outcome.cancelled).length} of ${operations.length} Notion operations.`);
+        }
+
+        if (unknownAssignees.size > 0) {
+            debug("No single Notion user matches assignees: " + Array.from(unknownAssignees).join(", "));
+            warnUnknownAssignees(Array.from(unknownAssignees));
+        }
+        if (missingProperties.size > 0) {
+            debug("Note: The following properties were not written due to schema mismatch: " + Array.from(missingProperties).join(", "));
+            warnMissingProperties("TODOs synced", Array.from(missingProperties));
+        }
+        const permanentFailures = failed.filter(failure => !notionScheduler.isTransientError(failure.error));
+        if (permanentFailures.length > 0 && !options.quiet) {
+            host.showWarningMessage(`${permanentFailures.length} TODO(s) could not be synced with Notion: ${permanentFailures[0].error.message}`);
         }
 
         debug("Batch TODO sync with Notion completed.");
-        vscode.window.showInformationMessage("Batch TODO sync with Notion completed.");
-        return { created, updated, deleted };
+        if (!options.quiet) {
+            host.showInformationMessage("Batch TODO sync with Notion completed.");
+        }
+        return { created, updated, deleted, resolved, failed, conflicts, outcomes, cancelled, offline: false };
     } catch (error) {
-        vscode.window.showErrorMessage("Failed to sync TODOs with Notion: " + error.message);
+        host.showErrorMessage("Failed to sync TODOs with Notion: " + error.message);
         debug("Error syncing TODOs with Notion: " + error.message);
-        return { created: [], updated: [], deleted: [] };
+        return Object.assign({}, emptyResult, { error });
     }
 }
 
@@ -437,5 +878,6 @@ module.exports = {
     createTodo,
     updateTodo,
     deleteTodo,
+    revertTodoPage,
     syncTodos
 };
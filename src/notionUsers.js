@@ -0,0 +1,175 @@
+/**
+ * Module resolving TODO assignees to Notion users in the TODOtoNOTION extension.
+ * Assignees are written in code as @handles or emails, e.g. TODO(@alice) or FIXME(bob@corp.com).
+ * A handle matches a user by alias (TODOtoNOTION.assigneeAliases), email, the part of the email
+ * before the "@", or name without spaces; matching ignores case. A handle matching several users
+ * resolves to none of them.
+ */
+
+var notionDatabase = require('./notionDatabase.js');
+var notionScheduler = require('./notionScheduler.js');
+var config = require('./config.js');
+
+var USERS_TTL_MS = 10 * 60 * 1000;
+var PAGE_SIZE = 100;
+
+// The people of each Notion workspace from the last users.list, shared by every sync and keyed by token
+var usersByToken = {};
+
+/**
+ * Lists the people of the Notion workspace, reusing the last list for a few minutes.
+ * Bots are left out, as they cannot be assigned. Requests go through the rate-limited scheduler.
+ * @param {Object} credentials - The Notion credentials (token and databaseId).
+ * @param {Function} debug - Debug logging function.
+ * @returns {Promise<Array|null>} The users as { id, name, email }, or null if they could not be listed.
+ */
+async function listUsers(credentials, debug) {
+    if (!credentials.token) {
+        return null;
+    }
+    const cached = usersByToken[credentials.token];
+    if (cached && Date.now() - cached.loadedAt < USERS_TTL_MS) {
+        return cached.users;
+    }
+    try {
+        const notionClient = notionDatabase.getNotionClient(credentials.token);
+        const people = [];
+        let cursor = undefined;
+        do {
+            const response = await notionScheduler.schedule(() => notionClient.users.list({
+                start_cursor: cursor,
+                page_size: PAGE_SIZE
+            }), "users.list", debug);
+            response.results.filter(user => user.type === "person").forEach(user => {
+                people.push({ id: user.id, name: user.name, email: user.person ? user.person.email : undefined });
+            });
+            cursor = response.has_more ? response.next_cursor : undefined;
+        } while (cursor);
+        usersByToken[credentials.token] = { users: people, loadedAt: Date.now() };
+        debug(`Listed ${people.length} Notion users for assignees.`);
+        return people;
+    } catch (error) {
+        debug("Could not list Notion users for assignees: " + error.message);
+        return null;
+    }
+}
+
+/**
+ * Normalizes a handle, alias target or user field for comparison.
+ * @param {string} value - The value to normalize.
+ * @returns {string} The value in lower case, without spaces, dashes or a leading "@".
+ */
+function normalize(value) {
+    return String(value || '').replace(/^@/, '').replace(/[\s-]+/g, '').toLowerCase();
+}
+
+/**
+ * Tells whether a handle, after alias lookup, designates a user.
+ * @param {string} target - The normalized handle or alias target.
+ * @param {Object} user - The user as { id, name, email }.
+ * @returns {boolean} True if the user matches.
+ */
+function matchesUser(target, user) {
+    const email = normalize(user.email);
+    return target === normalize(user.id) ||
+        (email !== "" && (target === email || target === email.split('@')[0])) ||
+        (user.name !== undefined && target === normalize(user.name));
+}
+
+/**
+ * Resolves an assignee written in code to a Notion user.
+ * @param {string} handle - The @handle or email written in code.
+ * @param {Array} candidates - The users to pick from, as { id, name, email }.
+ * @returns {Object|undefined} The only matching user, if exactly one matches.
+ */
+function resolveAssignee(handle, candidates) {
+    const aliases = config.getAssigneeAliases();
+    const name = handle.replace(/^@/, '').toLowerCase();
+    const target = normalize(aliases[name] || name);
+    const matches = candidates.filter(user => matchesUser(target, user));
+    return matches.length === 1 ? matches[0] : undefined;
+}
+
+/**
+ * Builds the handle written in code for a Notion user: its alias if one points to it,
+ * otherwise @ followed by the part of its email before the "@" when that is unambiguous,
+ * its email, or its name without spaces.
+ * @param {Object} user - The user as { id, name, email }.
+ * @param {Array} candidates - The users the handle must tell apart, as { id, name, email }.
+ * @returns {string} The handle.
+ */
+function formatAssignee(user, candidates) {
+    const aliases = config.getAssigneeAliases();
+    const alias = Object.keys(aliases).find(handle => matchesUser(normalize(aliases[handle]), user));
+    if (alias) {
+        return "@" + alias;
+    }
+    if (user.email) {
+        const handle = "@" + user.email.split('@')[0];
+        const match = resolveAssignee(handle, candidates);
+        return match && match.id === user.id ? handle : user.email;
+    }
+    return "@" + String(user.name || user.id).replace(/\s+/g, '');
+}
+
+/**
+ * Resolves the assignees of a TODO to Notion user IDs.
+ * @param {Array<string>} handles - The @handles or emails written in code.
+ * @param {Array} candidates - The users to pick from, as { id, name, email }.
+ * @returns {Object} The IDs of the resolved users and the handles that match no single user.
+ */
+function resolveAssignees(handles, candidates) {
+    const ids = [];
+    const unknown = [];
+    handles.forEach(handle => {
+        const user = resolveAssignee(handle, candidates);
+        if (!user) {
+            unknown.push(handle);
+        } else if (!ids.includes(user.id)) {
+            ids.push(user.id);
+        }
+    });
+    return { ids, unknown };
+}
+
+/**
+ * Tells whether two lists of user IDs hold the same users, in any order.
+ * @param {Array<string>} ids - The first list.
+ * @param {Array<string>} otherIds - The second list.
+ * @returns {boolean} True if both name the same users.
+ */
+function sameUsers(ids, otherIds) {
+    const set = new Set(ids.map(normalize));
+    const otherSet = new Set(otherIds.map(normalize));
+    return set.size === otherSet.size && Array.from(set).every(id => otherSet.has(id));
+}
+
+/**
+ * Works out the assignees to write in code for the people assigned in Notion.
+ * Handles that already point to an assigned user are kept as written, and handles matching
+ * no Notion user are left alone, since Notion cannot have changed them.
+ * @param {Array<string>} handles - The @handles or emails written in code.
+ * @param {Array} people - The users assigned in Notion, as { id, name, email }.
+ * @param {Array} candidates - The users of the workspace, as { id, name, email }.
+ * @returns {Array<string>|null} The handles to write, or null if code already matches Notion.
+ */
+function mergeAssignees(handles, people, candidates) {
+    const known = candidates.concat(people.filter(person => !candidates.some(user => normalize(user.id) === normalize(person.id))));
+    const { ids, unknown } = resolveAssignees(handles, known);
+    if (sameUsers(ids, people.map(person => person.id))) {
+        return null;
+    }
+    return people.map(person => {
+        return handles.find(handle => {
+            const user = resolveAssignee(handle, known);
+            return user && normalize(user.id) === normalize(person.id);
+        }) || formatAssignee(person, known);
+    }).concat(unknown);
+}
+
+module.exports = {
+    listUsers,
+    resolveAssignees,
+    sameUsers,
+    mergeAssignees
+};
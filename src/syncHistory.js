@@ -0,0 +1,121 @@
+/**
+ * Module keeping the audit log of syncs in the TODOtoNOTION extension.
+ * Every Notion page a sync creates, updates, archives or marks done and every comment it rewrites or deletes
+ * is logged in the workspace state as its plan step (see syncPlan) with a timestamp and the values before
+ * and after, so the history can be browsed and the last sync undone. Code edits also keep the lines they replaced.
+ * The log is kept by the command line as well, in its state file.
+ */
+
+var STORAGE_KEY = 'TODOtoNOTION.syncHistory';
+// The oldest syncs are dropped beyond either limit
+var MAX_SYNCS = 50;
+var MAX_ENTRIES = 2000;
+
+/**
+ * Starts a sync to log changes under; changes logged with the same sync are undone together.
+ * @param {string} source - What ran the sync, e.g. "Save" or "Sync from Notion".
+ * @returns {Object} The sync as { id, source, startedAt }.
+ */
+function startSync(source) {
+    const startedAt = new Date().toISOString();
+    return { id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`, source, startedAt };
+}
+
+/**
+ * Returns the logged syncs, oldest first.
+ * @param {Object} context - The VSCode extension context.
+ * @returns {Array} The syncs as { id, source, startedAt, entries, undoneAt }.
+ */
+function getSyncs(context) {
+    return context.workspaceState.get(STORAGE_KEY, []) || [];
+}
+
+/**
+ * Logs changes made by a sync, after those it already logged.
+ * @param {Object} context - The VSCode extension context.
+ * @param {Object} sync - The sync, as returned by startSync.
+ * @param {Array} steps - The plan steps applied, with the lines replaced in code as { uri, line, before, after } for code edits.
+ * @returns {Promise<void>}
+ */
+async function record(context, sync, steps) {
+    if (steps.length === 0) {
+        return;
+    }
+    const at = new Date().toISOString();
+    const syncs = getSyncs(context).slice();
+    let index = syncs.findIndex(logged => logged.id === sync.id);
+    if (index === -1) {
+        syncs.push({ id: sync.id, source: sync.source, startedAt: sync.startedAt, entries: [] });
+        index = syncs.length - 1;
+    }
+    syncs[index] = Object.assign({}, syncs[index], {
+        entries: syncs[index].entries.concat(steps.map(step => Object.assign({ at }, step)))
+    });
+    while (syncs.length > 1 && (syncs.length > MAX_SYNCS || countEntries(syncs) > MAX_ENTRIES)) {
+        syncs.shift();
+    }
+    await context.workspaceState.update(STORAGE_KEY, syncs);
+}
+
+/**
+ * Counts the changes logged across syncs.
+ * @param {Array} syncs - The syncs.
+ * @returns {number} The number of entries.
+ */
+function countEntries(syncs) {
+    return syncs.reduce((count, sync) => count + sync.entries.length, 0);
+}
+
+/**
+ * Returns the last sync that made changes and was not undone.
+ * @param {Object} context - The VSCode extension context.
+ * @returns {Object|undefined} The sync, if any.
+ */
+function getLastSync(context) {
+    return getSyncs(context).slice().reverse().find(sync => !sync.undoneAt);
+}
+
+/**
+ * Marks a sync as undone, with the entries that could not be reverted.
+ * @param {Object} context - The VSCode extension context.
+ * @param {string} syncId - The ID of the sync.
+ * @param {Array<number>} failedIndexes - The indexes of the entries left as the sync made them.
+ * @returns {Promise<void>}
+ */
+async function markUndone(context, syncId, failedIndexes) {
+    const undoneAt = new Date().toISOString();
+    const syncs = getSyncs(context).map(sync => sync.id !== syncId ? sync : Object.assign({}, sync, {
+        undoneAt,
+        entries: sync.entries.map((entry, index) => Object.assign({}, entry, { undone: !failedIndexes.includes(index) }))
+    }));
+    await context.workspaceState.update(STORAGE_KEY, syncs);
+}
+
+/**
+ * Works out the lines an edit replaced, from the text of a document before and after it.
+ * @param {string} beforeText - The text before the edit.
+ * @param {string} afterText - The text after the edit.
+ * @returns {Object} The zero-based first changed line and the lines there before and after the edit, as { line, before, after }.
+ */
+function diffLines(beforeText, afterText) {
+    const before = beforeText.split('\n');
+    const after = afterText.split('\n');
+    let start = 0;
+    while (start < before.length && start < after.length && before[start] === after[start]) {
+        start++;
+    }
+    let end = 0;
+    while (end < before.length - start && end < after.length - start && before[before.length - 1 - end] === after[after.length - 1 - end]) {
+        end++;
+    }
+    return { line: start, before: before.slice(start, before.length - end), after: after.slice(start, after.length - end) };
+}
+
+module.exports = {
+    startSync,
+    getSyncs,
+    record,
+    getLastSync,
+    markUndone,
+    diffLines
+};
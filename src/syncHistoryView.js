@@ -0,0 +1,191 @@
+/**
+ * Module showing the sync history and undoing the last sync in the TODOtoNOTION extension.
+ * Undoing archives the pages the sync created, restores those it archived, writes back the Notion
+ * properties it changed and puts back the comment lines it rewrote or deleted.
+ */
+
+var vscode = require('vscode');
+var notion = require('./notion.js');
+var syncHistory = require('./syncHistory.js');
+var syncPlan = require('./syncPlan.js');
+var todoMerge = require('./todoMerge.js');
+
+var KIND_ICONS = {
+    create: "$(add)",
+    update: "$(edit)",
+    archive: "$(archive)",
+    resolve: "$(pass)",
+    delete: "$(trash)"
+};
+
+/**
+ * Lists the logged syncs, newest first, with every change they made. Picking a change opens its
+ * Notion page or the edited line; the whole log can also be opened as JSON.
+ * @param {Object} context - The VSCode extension context.
+ * @param {Function} debug - Debug logging function.
+ * @returns {Promise<void>}
+ */
+async function showSyncHistory(context, debug) {
+    const syncs = syncHistory.getSyncs(context).slice().reverse();
+    if (syncs.length === 0) {
+        vscode.window.showInformationMessage("No sync has changed Notion or code yet.");
+        return;
+    }
+
+    const items = [
+        { label: "$(discard) Undo Last Sync", action: "undo" },
+        { label: "$(json) Open History as JSON", action: "json" }
+    ];
+    syncs.forEach(sync => {
+        items.push({ label: `${sync.source} · ${new Date(sync.startedAt).toLocaleString()}${sync.undoneAt ? " · undone" : ""}`, kind: vscode.QuickPickItemKind.Separator });
+        sync.entries.forEach(entry => {
+            items.push({
+                label: `${KIND_ICONS[entry.kind] || ""} ${syncPlan.getKindLabel(entry)}: ${entry.text}${entry.undone ? " (undone)" : ""}`,
+                description: `${entry.lineNumber !== undefined ? `${entry.filePath}:${entry.lineNumber}` : entry.filePath || ""} · ${new Date(entry.at).toLocaleTimeString()}`,
+                detail: entry.changes.map(change => syncPlan.formatChange(change)).join(" · ") || undefined,
+                entry: entry
+            });
+        });
+    });
+    const picked = await vscode.window.showQuickPick(items, {
+        title: `Sync History (${syncs.length} syncs)`,
+        placeHolder: "Filter by TODO text, file or value; select a change to open it",
+        matchOnDescription: true,
+        matchOnDetail: true
+    });
+    if (!picked) {
+        return;
+    }
+
+    if (picked.action === "undo") {
+        await vscode.commands.executeCommand('TODOtoNOTION.undoLastSync');
+    } else if (picked.action === "json") {
+        const document = await vscode.workspace.openTextDocument({ content: JSON.stringify(syncs, null, 2), language: 'json' });
+        await vscode.window.showTextDocument(document);
+    } else if (picked.entry.target === "code" && picked.entry.uri) {
+        const line = new vscode.Position(picked.entry.line, 0);
+        await vscode.window.showTextDocument(vscode.Uri.parse(picked.entry.uri), { selection: new vscode.Range(line, line) });
+    } else if (picked.entry.pageId) {
+        await vscode.env.openExternal(vscode.Uri.parse(`https://www.notion.so/${picked.entry.pageId.replace(/-/g, '')}`));
+    }
+}
+
+/**
+ * Undoes the changes of the last sync not yet undone, newest first, after confirmation.
+ * Changes that can no longer be reverted, e.g. a comment edited since, are reported and left as they are;
+ * page bodies are not restored, as their previous content is not logged.
+ * @param {Object} context - The VSCode extension context.
+ * @param {Function} debug - Debug logging function.
+ * @returns {Promise<void>}
+ */
+async function undoLastSync(context, debug) {
+    const sync = syncHistory.getLastSync(context);
+    if (!sync) {
+        vscode.window.showInformationMessage("No sync to undo.");
+        return;
+    }
+    const choice = await vscode.window.showWarningMessage(`Undo "${sync.source}" of ${new Date(sync.startedAt).toLocaleString()}? ${syncPlan.summarize(sync.entries)}.`, { modal: true }, "Undo");
+    if (choice !== "Undo") {
+        return;
+    }
+
+    const failedIndexes = [];
+    const errors = [];
+    let bodyOnly = 0;
+    const baselines = {};
+    const createdIds = [];
+    for (let index = sync.entries.length - 1; index >= 0; index--) {
+        const entry = sync.entries[index];
+        try {
+            if (entry.target === "code" && !await revertCodeEdit(entry)) {
+                failedIndexes.push(index);
+                errors.push(`${syncPlan.getKindLabel(entry)} of "${entry.text}": the edited lines are no longer in ${entry.filePath}`);
+                continue;
+            }
+            if (entry.target === "notion" && !await notion.revertTodo(context, entry)) {
+                bodyOnly++;
+                continue;
+            }
+            // Both sides agreed on the text the sync replaced, so it is again the base of the next merge
+            const textChange = entry.changes.find(change => change.field === "text");
+            if (textChange && textChange.from !== undefined) {
+                baselines[entry.todoId] = textChange.from;
+            }
+            if (entry.target === "notion" && entry.kind === "create") {
+                createdIds.push(entry.todoId);
+            }
+        } catch (error) {
+            failedIndexes.push(index);
+            errors.push(`${syncPlan.getKindLabel(entry)} of "${entry.text}": ${error.message}`);
+        }
+    }
+    await todoMerge.setBaselines(context, baselines);
+    await todoMerge.removeBaselines(context, createdIds);
+    await syncHistory.markUndone(context, sync.id, failedIndexes);
+
+    const undone = sync.entries.length - failedIndexes.length;
+    debug(`Undid ${undone} of ${sync.entries.length} change(s) of the sync "${sync.source}" (${sync.id}).`);
+    if (errors.length > 0) {
+        debug("Changes not undone: " + errors.join("; "));
+        vscode.window.showWarningMessage(`Undid ${undone} of ${sync.entries.length} changes of "${sync.source}". Not undone: ${errors[0]}${errors.length > 1 ? ` and ${errors.length - 1} more` : ""}.`);
+    } else {
+        const bodies = bodyOnly > 0 ? ` ${bodyOnly} page update(s) only changed the page body, which is not restored.` : "";
+        vscode.window.showInformationMessage(`Undid ${undone} changes of "${sync.source}".${bodies} Restored comments are left unsaved.`);
+    }
+}
+
+/**
+ * Puts back the lines a sync replaced in a file. The replacing lines are looked up where the sync left them,
+ * or nearby if lines were added or removed above them since.
+ * @param {Object} entry - The logged code edit, with its uri, line and the lines before and after it.
+ * @returns {Promise<boolean>} True if the lines were put back, false if the edited lines are gone.
+ */
+async function revertCodeEdit(entry) {
+    const document = await vscode.workspace.openTextDocument(vscode.Uri.parse(entry.uri));
+    const oldText = document.getText();
+    const lines = oldText.split('\n');
+    const line = findEditedLines(lines, entry);
+    if (line === -1) {
+        return false;
+    }
+
+    // Only the characters that differ are replaced, so the rest of the document keeps its state
+    const newText = lines.slice(0, line).concat(entry.before, lines.slice(line + entry.after.length)).join('\n');
+    let start = 0;
+    while (start < oldText.length && start < newText.length && oldText[start] === newText[start]) {
+        start++;
+    }
+    let end = 0;
+    while (end < oldText.length - start && end < newText.length - start && oldText[oldText.length - 1 - end] === newText[newText.length - 1 - end]) {
+        end++;
+    }
+    const workspaceEdit = new vscode.WorkspaceEdit();
+    workspaceEdit.replace(document.uri, new vscode.Range(document.positionAt(start), document.positionAt(oldText.length - end)), newText.slice(start, newText.length - end));
+    return await vscode.workspace.applyEdit(workspaceEdit);
+}
+
+/**
+ * Finds the lines a logged code edit left, nearest to where it made them.
+ * Lines removed entirely cannot be looked up, so they are put back where they were.
+ * @param {Array<string>} lines - The current lines of the file.
+ * @param {Object} entry - The logged code edit.
+ * @returns {number} The zero-based line they start at, or -1 if they are no longer in the file.
+ */
+function findEditedLines(lines, entry) {
+    if (entry.after.length === 0) {
+        return Math.min(entry.line, lines.length);
+    }
+    let found = -1;
+    for (let line = 0; line + entry.after.length <= lines.length; line++) {
+        const matches = entry.after.every((text, offset) => lines[line + offset] === text);
+        if (matches && (found === -1 || Math.abs(line - entry.line) < Math.abs(found - entry.line))) {
+            found = line;
+        }
+    }
+    return found;
+}
+
+module.exports = {
+    showSyncHistory,
+    undoLastSync
+};
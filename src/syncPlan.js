@@ -0,0 +1,119 @@
+/**
+ * Module describing the changes a sync would make in the TODOtoNOTION extension.
+ * Both directions of a sync describe their changes as plan steps, so they can be previewed together and
+ * applied in part: Notion pages to create, update, archive or mark done, and comments in code to rewrite or delete.
+ * A step is { key, target, kind, todoId, text, type, filePath, workspaceFolder, lineNumber, pageId, databaseId, changes },
+ * where target is "notion" or "code" and changes lists the values an update writes as { field, from, to }.
+ */
+
+var MAX_VALUE_LENGTH = 60;
+
+// What each kind of step does, per target
+var KIND_LABELS = {
+    notion: {
+        create: "Create page",
+        update: "Update page",
+        archive: "Archive page",
+        resolve: "Mark page done"
+    },
+    code: {
+        update: "Rewrite comment",
+        delete: "Delete comment"
+    }
+};
+
+/**
+ * Builds a plan step.
+ * @param {string} target - Where the step makes its change: "notion" or "code".
+ * @param {string} kind - What it does: create, update, archive or resolve for Notion, update or delete for code.
+ * @param {Object} todo - The TODO the step is about, with its id, text, type, filePath, workspaceFolder and lineNumber.
+ * @param {Object} [details] - Other fields of the step: text, pageId, databaseId and changes.
+ * @returns {Object} The step.
+ */
+function createStep(target, kind, todo, details = {}) {
+    return {
+        key: `${target}:${kind}:${todo.id}`,
+        target: target,
+        kind: kind,
+        todoId: todo.id,
+        text: details.text !== undefined ? details.text : todo.text,
+        type: todo.type,
+        filePath: todo.filePath,
+        workspaceFolder: todo.workspaceFolder,
+        lineNumber: todo.lineNumber,
+        pageId: details.pageId,
+        databaseId: details.databaseId,
+        changes: details.changes || []
+    };
+}
+
+/**
+ * Tells whether a step is to be applied.
+ * @param {Object} step - The step.
+ * @param {Set<string>} [selectedKeys] - The keys of the steps picked by the user; every step if omitted.
+ * @returns {boolean} True if the step is applied.
+ */
+function isSelected(step, selectedKeys) {
+    return !selectedKeys || selectedKeys.has(step.key);
+}
+
+/**
+ * Formats a value of a change for display, shortened to one line.
+ * @param {*} value - The value: a string, number, list of strings or of Notion users, or nothing.
+ * @returns {string} The value as text; "(none)" for an empty value.
+ */
+function formatValue(value) {
+    if (Array.isArray(value)) {
+        return value.length > 0 ? value.map(item => item && typeof item === 'object' ? item.name || item.email || item.id : item).join(", ") : "(none)";
+    }
+    if (value === undefined || value === null || value === "") {
+        return "(none)";
+    }
+    if (typeof value !== 'string') {
+        return String(value);
+    }
+    const line = value.replace(/\s*\n\s*/g, " ⏎ ");
+    return `"${line.length > MAX_VALUE_LENGTH ? line.slice(0, MAX_VALUE_LENGTH - 1) + "…" : line}"`;
+}
+
+/**
+ * Formats a change of a step, e.g. text: "Old" → "New". Values that were not read, such as a
+ * page body, only show the new value.
+ * @param {Object} change - The change as { field, from, to }.
+ * @returns {string} The change as text.
+ */
+function formatChange(change) {
+    return change.from === undefined ? `${change.field}: ${formatValue(change.to)}` : `${change.field}: ${formatValue(change.from)} → ${formatValue(change.to)}`;
+}
+
+/**
+ * Returns what a step does, e.g. "Create page" or "Delete comment".
+ * @param {Object} step - The step.
+ * @returns {string} The label of its kind.
+ */
+function getKindLabel(step) {
+    return (KIND_LABELS[step.target] || {})[step.kind] || step.kind;
+}
+
+/**
+ * Counts the steps of a plan per target and kind, e.g. "2 Create page, 1 Delete comment".
+ * @param {Array} plan - The steps.
+ * @returns {string} The summary, or "" for an empty plan.
+ */
+function summarize(plan) {
+    const counts = {};
+    plan.forEach(step => {
+        const label = getKindLabel(step);
+        counts[label] = (counts[label] || 0) + 1;
+    });
+    return Object.keys(counts).map(label => `${counts[label]} ${label}`).join(", ");
+}
+
+module.exports = {
+    createStep,
+    isSelected,
+    formatValue,
+    formatChange,
+    getKindLabel,
+    summarize
+};
@@ -0,0 +1,60 @@
+/**
+ * Module showing the plan of a sync before it is applied in the TODOtoNOTION extension.
+ * Every change to Notion and to code is listed with the values it changes and can be left out.
+ */
+
+var vscode = require('vscode');
+var syncPlan = require('./syncPlan.js');
+
+// Groups of the preview, in the order changes are applied
+var TARGET_TITLES = {
+    notion: "Code → Notion",
+    code: "Notion → Code"
+};
+var KIND_ICONS = {
+    create: "$(add)",
+    update: "$(edit)",
+    archive: "$(archive)",
+    resolve: "$(pass)",
+    delete: "$(trash)"
+};
+
+/**
+ * Lets the user pick the changes of a sync to apply, all picked at first.
+ * @param {Array} plan - The plan steps of both directions.
+ * @param {number} conflictCount - The number of TODOs edited on both sides, resolved once the changes are applied.
+ * @returns {Promise<Array|undefined>} The picked steps, or undefined if the preview was dismissed.
+ */
+async function pickPlanSteps(plan, conflictCount) {
+    const items = [];
+    Object.keys(TARGET_TITLES).forEach(target => {
+        const steps = plan.filter(step => step.target === target);
+        if (steps.length === 0) {
+            return;
+        }
+        items.push({ label: TARGET_TITLES[target], kind: vscode.QuickPickItemKind.Separator });
+        steps.forEach(step => {
+            items.push({
+                label: `${KIND_ICONS[step.kind] || ""} ${syncPlan.getKindLabel(step)}: ${step.text}`,
+                description: step.lineNumber !== undefined ? `${step.filePath}:${step.lineNumber}` : step.filePath,
+                detail: step.changes.map(change => syncPlan.formatChange(change)).join(" · ") || undefined,
+                picked: true,
+                step: step
+            });
+        });
+    });
+    const conflictNote = conflictCount > 0 ? `; ${conflictCount} TODO(s) edited on both sides are resolved afterwards` : "";
+    const picked = await vscode.window.showQuickPick(items, {
+        title: `Preview Sync: ${syncPlan.summarize(plan)}`,
+        placeHolder: `Uncheck the changes to leave out, then press Enter to apply the rest${conflictNote}`,
+        canPickMany: true,
+        matchOnDescription: true,
+        matchOnDetail: true,
+        ignoreFocusOut: true
+    });
+    return picked ? picked.filter(item => item.step).map(item => item.step) : undefined;
+}
+
+module.exports = {
+    pickPlanSteps
+};
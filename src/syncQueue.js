@@ -0,0 +1,328 @@
+/**
+ * Module keeping Notion operations that could not be sent, for the TODOtoNOTION extension.
+ * Failed creates, updates and archives are stored in the workspace state, one entry per TODO ID,
+ * and replayed when Notion is reachable again or on the next activation.
+ */
+
+var vscode = require('vscode');
+var path = require('path');
+var notion = require('./notion.js');
+var notionRoutes = require('./notionRoutes.js');
+var notionScheduler = require('./notionScheduler.js');
+var todoParser = require('./todoParser.js');
+var syncHistory = require('./syncHistory.js');
+var utils = require('./utils.js');
+
+var STORAGE_KEY = 'TODOtoNOTION.pendingOperations';
+var RETRY_INTERVAL_MS = 60000;
+var REMOVAL_KINDS = ["archive", "resolve"];
+
+var changeEmitter = new vscode.EventEmitter();
+var statusBarItem;
+var retryTimer = null;
+var replaying = false;
+
+/**
+ * Returns the pending operations keyed by TODO ID.
+ * @param {Object} context - The VSCode extension context.
+ * @returns {Object} The pending entries: { kind, todo, queuedAt, attempts, lastError }.
+ */
+function getPending(context) {
+    return context.workspaceState.get(STORAGE_KEY, {}) || {};
+}
+
+/**
+ * Stores the pending operations and refreshes the status bar indicator.
+ * @param {Object} context - The VSCode extension context.
+ * @param {Object} pending - The pending entries keyed by TODO ID.
+ * @returns {Promise<void>}
+ */
+async function setPending(context, pending) {
+    await context.workspaceState.update(STORAGE_KEY, pending);
+    updateIndicator(context);
+    changeEmitter.fire();
+}
+
+/**
+ * Tells whether two stored entries are the same, i.e. the TODO was not queued again in between.
+ * @param {Object} a - A pending entry.
+ * @param {Object} b - Another pending entry.
+ * @returns {boolean} True if both entries hold the same operation.
+ */
+function isSameEntry(a, b) {
+    return Boolean(a && b) && JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Updates the pending operations from a sync result: TODOs that synced are dropped from the queue,
+ * TODOs that failed because Notion was unreachable are queued, replacing any older entry for the same ID.
+ * @param {Object} context - The VSCode extension context.
+ * @param {Object} result - The result of notion.syncTodos.
+ * @param {Function} debug - Debug logging function.
+ * @returns {Promise<number>} - The number of operations queued from this result.
+ */
+async function recordSyncResult(context, result, debug) {
+    const pending = Object.assign({}, getPending(context));
+    const before = Object.keys(pending).length;
+
+    (result.outcomes || []).filter(outcome => outcome.ok).forEach(outcome => {
+        if (outcome.item.todo && outcome.item.todo.id) {
+            delete pending[outcome.item.todo.id];
+        }
+    });
+
+    let queued = 0;
+    (result.failed || []).forEach(failure => {
+        if (!failure.todo || !failure.todo.id || !notionScheduler.isTransientError(failure.error)) {
+            return;
+        }
+        const existing = pending[failure.todo.id];
+        // A create that never reached Notion stays a create when the TODO changes again
+        const kind = existing && existing.kind === "create" && failure.operation === "update" ? "create" : failure.operation;
+        pending[failure.todo.id] = {
+            kind: kind,
+            // The code around the TODO is only cached as a hash, so the queue keeps it to send on replay
+            todo: Object.assign(todoParser.toStoredTodo(failure.todo), { codeContext: failure.todo.codeContext }),
+            queuedAt: existing ? existing.queuedAt : new Date().toISOString(),
+            attempts: existing ? existing.attempts : 0,
+            lastError: failure.error.message
+        };
+        queued++;
+    });
+
+    if (queued > 0 || Object.keys(pending).length !== before) {
+        await setPending(context, pending);
+    }
+    if (queued > 0) {
+        debug(`Queued ${queued} Notion operation(s) for retry; ${Object.keys(pending).length} pending.`);
+        scheduleRetry(context, debug);
+    } else if (!result.offline && !result.error && Object.keys(pending).length > 0) {
+        // Notion answered, so this is a good moment to send what is still waiting
+        replay(context, debug);
+    }
+    return queued;
+}
+
+/**
+ * Sends the pending operations to Notion. Entries that succeed are removed, entries that fail
+ * again because Notion is unreachable stay queued, and entries Notion rejects are dropped.
+ * Entries routed to a database without credentials stay queued until it has them.
+ * @param {Object} context - The VSCode extension context.
+ * @param {Function} debug - Debug logging function.
+ * @returns {Promise<number>} - The number of operations still pending.
+ */
+async function replay(context, debug) {
+    const pending = getPending(context);
+    const entries = Object.values(pending);
+    if (replaying || entries.length === 0) {
+        return entries.length;
+    }
+    replaying = true;
+    try {
+        const ready = await getReplayableEntries(context, entries);
+        if (ready.length === 0) {
+            debug("Pending Notion operations not replayed: credentials are not set for their databases.");
+            return entries.length;
+        }
+
+        debug(`Replaying ${ready.length} of ${entries.length} pending Notion operation(s)...`);
+        // Removals are replayed as TODOs that left the code, so the current removal policy applies
+        const todos = ready.filter(entry => !REMOVAL_KINDS.includes(entry.kind)).map(entry => entry.todo);
+        const removed = {};
+        ready.filter(entry => REMOVAL_KINDS.includes(entry.kind)).forEach(entry => {
+            removed[entry.todo.id] = entry.todo;
+        });
+        const result = await notion.syncTodos(context, todos, removed, { quiet: true, history: syncHistory.startSync("Retry pending operations") });
+
+        // Operations queued by other syncs while this replay ran are kept as they are
+        const remaining = Object.assign({}, getPending(context));
+        if (!result.offline && !result.error) {
+            ready.forEach(entry => {
+                if (isSameEntry(remaining[entry.todo.id], entry)) {
+                    delete remaining[entry.todo.id];
+                }
+            });
+        }
+        const rejected = [];
+        result.failed.forEach(failure => {
+            const id = failure.todo && failure.todo.id;
+            const entry = pending[id];
+            if (!entry || (remaining[id] && !isSameEntry(remaining[id], entry))) {
+                return;
+            }
+            if (notionScheduler.isTransientError(failure.error)) {
+                remaining[id] = Object.assign({}, entry, { attempts: entry.attempts + 1, lastError: failure.error.message });
+            } else {
+                delete remaining[id];
+                rejected.push(failure);
+            }
+        });
+        await setPending(context, remaining);
+
+        const left = Object.keys(remaining).length;
+        debug(`Replay of pending Notion operations finished: ${entries.length - left} sent, ${rejected.length} rejected, ${left} pending.`);
+        if (rejected.length > 0) {
+            vscode.window.showWarningMessage(`Notion rejected ${rejected.length} pending TODO change(s): ${rejected[0].error.message}`);
+        }
+        if (left > 0) {
+            scheduleRetry(context, debug);
+        } else {
+            vscode.window.showInformationMessage("All pending TODO changes were sent to Notion.");
+        }
+        return left;
+    } catch (error) {
+        debug("Error replaying pending Notion operations: " + error.message);
+        scheduleRetry(context, debug);
+        return entries.length;
+    } finally {
+        replaying = false;
+    }
+}
+
+/**
+ * Returns the pending entries whose database has credentials, each entry checked against the database it is routed to.
+ * @param {Object} context - The VSCode extension context.
+ * @param {Array} entries - The pending entries.
+ * @returns {Promise<Array>} The entries that can be sent.
+ */
+async function getReplayableEntries(context, entries) {
+    const folders = utils.getWorkspaceFolders();
+    const credentialsByDatabase = {};
+    const ready = [];
+    for (const entry of entries) {
+        const databaseId = notionRoutes.getDatabaseIdForTodo(entry.todo, folders);
+        if (!databaseId) {
+            continue;
+        }
+        if (!credentialsByDatabase[databaseId]) {
+            credentialsByDatabase[databaseId] = await notion.getCredentials(context, databaseId);
+        }
+        if (credentialsByDatabase[databaseId].token) {
+            ready.push(entry);
+        }
+    }
+    return ready;
+}
+
+/**
+ * Schedules the next replay attempt, keeping a single pending timer.
+ * @param {Object} context - The VSCode extension context.
+ * @param {Function} debug - Debug logging function.
+ */
+function scheduleRetry(context, debug) {
+    if (retryTimer) {
+        return;
+    }
+    retryTimer = setTimeout(() => {
+        retryTimer = null;
+        replay(context, debug);
+    }, RETRY_INTERVAL_MS);
+}
+
+/**
+ * Shows or hides the "N pending" status bar indicator.
+ * @param {Object} context - The VSCode extension context.
+ */
+function updateIndicator(context) {
+    if (!statusBarItem) {
+        return;
+    }
+    const count = Object.keys(getPending(context)).length;
+    if (count === 0) {
+        statusBarItem.hide();
+        return;
+    }
+    statusBarItem.text = `$(cloud-upload) ${count} pending`;
+    statusBarItem.tooltip = `${count} TODO change(s) waiting to be sent to Notion. Click to inspect or discard.`;
+    statusBarItem.show();
+}
+
+/**
+ * Lists the pending operations and lets the user retry them now or discard them.
+ * @param {Object} context - The VSCode extension context.
+ * @param {Function} debug - Debug logging function.
+ * @returns {Promise<void>}
+ */
+async function showPendingOperations(context, debug) {
+    const entries = Object.values(getPending(context));
+    if (entries.length === 0) {
+        vscode.window.showInformationMessage("No TODO changes are waiting to be sent to Notion.");
+        return;
+    }
+
+    const items = [
+        { label: "$(sync) Retry now", action: "retry" },
+        { label: "$(trash) Discard all", action: "discardAll" },
+        { label: "", kind: vscode.QuickPickItemKind.Separator }
+    ].concat(entries.map(entry => ({
+        label: `${entry.kind}: ${entry.todo.text}`,
+        description: entry.todo.filePath ? `${path.basename(entry.todo.filePath)}:${entry.todo.lineNumber}` : "",
+        detail: `Queued ${new Date(entry.queuedAt).toLocaleString()}, ${entry.attempts} retries. Last error: ${entry.lastError}`,
+        entry: entry
+    })));
+    const picked = await vscode.window.showQuickPick(items, {
+        title: `Pending Notion Operations (${entries.length})`,
+        placeHolder: "Select an operation to discard it, or retry all now",
+        matchOnDetail: true
+    });
+    if (!picked) {
+        return;
+    }
+
+    if (picked.action === "retry") {
+        const left = await replay(context, debug);
+        if (left > 0) {
+            vscode.window.showWarningMessage(`${left} TODO change(s) are still waiting for Notion.`);
+        }
+    } else if (picked.action === "discardAll") {
+        const choice = await vscode.window.showWarningMessage(`Discard ${entries.length} pending TODO change(s)? They will not be sent to Notion.`, { modal: true }, "Discard");
+        if (choice === "Discard") {
+            await setPending(context, {});
+            debug(`Discarded ${entries.length} pending Notion operation(s).`);
+        }
+    } else if (picked.entry) {
+        const choice = await vscode.window.showWarningMessage(`Discard the pending ${picked.entry.kind} of "${picked.entry.todo.text}"?`, { modal: true }, "Discard");
+        if (choice === "Discard") {
+            const pending = Object.assign({}, getPending(context));
+            delete pending[picked.entry.todo.id];
+            await setPending(context, pending);
+            debug(`Discarded pending ${picked.entry.kind} for TODO ID: ${picked.entry.todo.id}`);
+        }
+    }
+}
+
+/**
+ * Creates the status bar indicator and replays operations left over from the last session.
+ * Pending operations are also retried when the window regains focus.
+ * @param {Object} context - The VSCode extension context.
+ * @param {Function} debug - Debug logging function.
+ */
+function init(context, debug) {
+    statusBarItem = vscode.window.createStatusBarItem(vscode.StatusBarAlignment.Left, -2);
+    statusBarItem.command = 'TODOtoNOTION.showPendingOperations';
+    context.subscriptions.push(statusBarItem);
+    updateIndicator(context);
+
+    context.subscriptions.push(vscode.window.onDidChangeWindowState(state => {
+        if (state.focused) {
+            replay(context, debug);
+        }
+    }));
+    context.subscriptions.push({
+        dispose: () => {
+            clearTimeout(retryTimer);
+            retryTimer = null;
+        }
+    });
+
+    replay(context, debug);
+}
+
+module.exports = {
+    init,
+    getPending,
+    recordSyncResult,
+    replay,
+    showPendingOperations,
+    onDidChangePending: changeEmitter.event
+};
@@ -0,0 +1,108 @@
+/**
+ * Module for resolving TODOs edited in both code and Notion in the TODOtoNOTION extension.
+ * Both versions are shown side by side in a diff view and the user picks the text both sides keep.
+ */
+
+var vscode = require('vscode');
+var todoMerge = require('./todoMerge.js');
+
+var DIFF_SCHEME = 'todotonotion-merge';
+
+var diffContents = {};
+
+/**
+ * Serves the read-only documents compared in the conflict diff view.
+ * @param {Object} context - The VSCode extension context.
+ */
+function init(context) {
+    context.subscriptions.push(vscode.workspace.registerTextDocumentContentProvider(DIFF_SCHEME, {
+        provideTextDocumentContent: uri => diffContents[uri.path] || ""
+    }));
+}
+
+/**
+ * Opens a diff of the code and Notion versions of a conflicting TODO.
+ * @param {Object} conflict - The conflict: { todo, baseText, codeText, notionText }.
+ * @returns {Thenable} Resolves when the diff editor is open.
+ */
+function showConflictDiff(conflict) {
+    const codePath = `/${conflict.todo.id}/Code`;
+    const notionPath = `/${conflict.todo.id}/Notion`;
+    diffContents[codePath] = conflict.codeText + "\n";
+    diffContents[notionPath] = conflict.notionText + "\n";
+    return vscode.commands.executeCommand('vscode.diff',
+        vscode.Uri.from({ scheme: DIFF_SCHEME, path: codePath }),
+        vscode.Uri.from({ scheme: DIFF_SCHEME, path: notionPath }),
+        `TODO ${conflict.todo.id}: Code ↔ Notion`,
+        { preview: true });
+}
+
+/**
+ * Asks the user how to resolve a TODO edited in both code and Notion since the last sync,
+ * showing both versions side by side, then applies the choice to both sides.
+ * @param {Object} context - The VSCode extension context.
+ * @param {Object} conflict - The conflict: { todo, baseText, codeText, notionText }.
+ * @param {Object} handlers - writeCode(text) and writeNotion(text), each returning a promise of success.
+ * @param {Function} debug - Debug logging function.
+ * @returns {Promise<string|null>} - The text both sides now hold, or null if the conflict was left open.
+ */
+async function resolveConflict(context, conflict, handlers, debug) {
+    await showConflictDiff(conflict);
+    const choice = await vscode.window.showWarningMessage(
+        `TODO "${conflict.codeText}" was edited in both code and Notion since the last sync (was: "${conflict.baseText}").`,
+        "Keep Code", "Keep Notion", "Edit Merged");
+    if (!choice) {
+        debug(`Conflict for TODO ID: ${conflict.todo.id} left unresolved.`);
+        return null;
+    }
+
+    let text = conflict.codeText;
+    if (choice === "Keep Notion") {
+        text = conflict.notionText;
+    } else if (choice === "Edit Merged") {
+        text = await vscode.window.showInputBox({
+            title: "Edit Merged TODO",
+            prompt: `Code: "${conflict.codeText}" | Notion: "${conflict.notionText}"`,
+            value: conflict.codeText,
+            ignoreFocusOut: true
+        });
+        if (!text || !text.trim()) {
+            debug(`Merge for TODO ID: ${conflict.todo.id} cancelled.`);
+            return null;
+        }
+        text = text.trim();
+    }
+
+    const codeWritten = text === conflict.codeText || await handlers.writeCode(text);
+    const notionWritten = text === conflict.notionText || await handlers.writeNotion(text);
+    if (!codeWritten || !notionWritten) {
+        debug(`Conflict for TODO ID: ${conflict.todo.id} could not be written to ${codeWritten ? "Notion" : "code"}.`);
+        return null;
+    }
+    await todoMerge.setBaselines(context, { [conflict.todo.id]: text });
+    debug(`Resolved conflict for TODO ID: ${conflict.todo.id} with "${choice}": ${text}`);
+    return text;
+}
+
+/**
+ * Resolves conflicts one after the other.
+ * @param {Object} context - The VSCode extension context.
+ * @param {Array} conflicts - The conflicts to resolve.
+ * @param {Function} getHandlers - Returns the writeCode and writeNotion handlers for a conflict.
+ * @param {Function} debug - Debug logging function.
+ * @returns {Promise<number>} - The number of conflicts resolved.
+ */
+async function resolveConflicts(context, conflicts, getHandlers, debug) {
+    let resolved = 0;
+    for (const conflict of conflicts) {
+        if (await resolveConflict(context, conflict, getHandlers(conflict), debug) !== null) {
+            resolved++;
+        }
+    }
+    return resolved;
+}
+
+module.exports = {
+    init,
+    resolveConflicts
+};
@@ -0,0 +1,180 @@
+/**
+ * Module decorating TODO comments in the editor according to their Notion state, for the TODOtoNOTION extension.
+ * Each comment gets a gutter badge and an overview ruler mark for one of five states: not yet synced,
+ * not started, in progress, done, or missing from Notion. Styles come from TODOtoNOTION.decorations.
+ */
+
+var vscode = require('vscode');
+var config = require('./config.js');
+var todoParser = require('./todoParser.js');
+var notionCache = require('./notionCache.js');
+
+var UPDATE_DELAY_MS = 300;
+
+// Gutter badge shapes per state, so states differ by more than colour; COLOR is replaced by the configured colour
+var GUTTER_SHAPES = {
+    unsynced: '<circle cx="8" cy="8" r="4" fill="none" stroke="COLOR" stroke-width="1.5" stroke-dasharray="2 1.5"/>',
+    notStarted: '<circle cx="8" cy="8" r="4" fill="none" stroke="COLOR" stroke-width="2"/>',
+    inProgress: '<circle cx="8" cy="8" r="4" fill="none" stroke="COLOR" stroke-width="1.5"/><path d="M8 4a4 4 0 0 1 0 8z" fill="COLOR"/>',
+    done: '<circle cx="8" cy="8" r="5" fill="COLOR"/><path d="M5.5 8l1.8 1.8 3.2-3.3" fill="none" stroke="#fff" stroke-width="1.5"/>',
+    missing: '<circle cx="8" cy="8" r="5" fill="COLOR"/><path d="M8 5v3.5M8 10.5v.5" stroke="#fff" stroke-width="1.5" stroke-linecap="round"/>'
+};
+
+var decorationTypes = {};
+var updateTimer = null;
+
+/**
+ * Builds the gutter badge of a state as an SVG data URI.
+ * @param {string} state - The TODO state.
+ * @param {string} color - The CSS colour of the badge.
+ * @returns {Object} The badge URI.
+ */
+function getGutterIcon(state, color) {
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 16 16">${GUTTER_SHAPES[state].replace(/COLOR/g, color)}</svg>`;
+    return vscode.Uri.parse('data:image/svg+xml;utf8,' + encodeURIComponent(svg));
+}
+
+/**
+ * Recreates the decoration types from the current settings.
+ */
+function createDecorationTypes() {
+    Object.values(decorationTypes).forEach(decorationType => decorationType.dispose());
+    decorationTypes = {};
+    const styles = config.getDecorationStyles();
+    Object.keys(styles).forEach(state => {
+        const style = styles[state];
+        if (!style.gutterIcon && !style.overviewRuler) {
+            return;
+        }
+        const options = {};
+        if (style.gutterIcon) {
+            options.gutterIconPath = getGutterIcon(state, style.color);
+            options.gutterIconSize = 'contain';
+        }
+        if (style.overviewRuler) {
+            options.overviewRulerColor = style.color;
+            options.overviewRulerLane = vscode.OverviewRulerLane.Right;
+        }
+        decorationTypes[state] = vscode.window.createTextEditorDecorationType(options);
+    });
+}
+
+/**
+ * Works out the Notion state of a TODO comment.
+ * Statuses whose comment is removed when set in Notion (Done, Won't fix, Archived) count as done;
+ * any other status than the default one counts as in progress.
+ * @param {Object} todoComment - The TODO comment as returned by findTodoComments.
+ * @param {Object|null} tasksById - The cached Notion tasks keyed by TODO ID, or null if unknown.
+ * @returns {string|null} The state, or null if it cannot be told without Notion.
+ */
+function getTodoState(todoComment, tasksById) {
+    if (!todoComment.id) {
+        return "unsynced";
+    }
+    if (!tasksById) {
+        return null;
+    }
+    const task = tasksById[todoComment.id];
+    if (!task) {
+        return "missing";
+    }
+    const status = (task.status || config.DEFAULT_STATUS).toLowerCase();
+    const definition = config.getStatusDefinition(status);
+    if (status === config.DEFAULT_STATUS.toLowerCase()) {
+        return "notStarted";
+    }
+    if (status === config.DONE_STATUS.toLowerCase() || (definition && definition.onNotion === "remove")) {
+        return "done";
+    }
+    return "inProgress";
+}
+
+/**
+ * Decorates the TODO comments of an editor.
+ * @param {Object} context - The VSCode extension context.
+ * @param {Object} editor - The TextEditor to decorate.
+ * @param {Function} debug - Debug logging function.
+ * @returns {Promise<void>}
+ */
+async function decorateEditor(context, editor, debug) {
+    const document = editor.document;
+    if (document.uri.scheme !== 'file' && document.uri.scheme !== 'untitled') {
+        return;
+    }
+    const todoComments = todoParser.findTodoComments(document.getText(), document.languageId);
+    const tasksById = todoComments.some(todoComment => todoComment.id) ? await notionCache.getTasks(context, debug) : null;
+
+    const rangesByState = {};
+    Object.keys(GUTTER_SHAPES).forEach(state => {
+        rangesByState[state] = [];
+    });
+    todoComments.forEach(todoComment => {
+        const state = getTodoState(todoComment, tasksById);
+        if (state) {
+            rangesByState[state].push(new vscode.Range(todoComment.line, todoComment.tagStart, todoComment.line, todoComment.tagEnd));
+        }
+    });
+    Object.keys(decorationTypes).forEach(state => {
+        editor.setDecorations(decorationTypes[state], rangesByState[state]);
+    });
+}
+
+/**
+ * Decorates every visible editor.
+ * @param {Object} context - The VSCode extension context.
+ * @param {Function} debug - Debug logging function.
+ */
+function updateVisibleEditors(context, debug) {
+    vscode.window.visibleTextEditors.forEach(editor => {
+        decorateEditor(context, editor, debug).catch(error => debug("Error decorating TODOs: " + error.message));
+    });
+}
+
+/**
+ * Updates the decorations shortly, so typing does not reparse the document on every keystroke.
+ * @param {Object} context - The VSCode extension context.
+ * @param {Function} debug - Debug logging function.
+ */
+function scheduleUpdate(context, debug) {
+    clearTimeout(updateTimer);
+    updateTimer = setTimeout(() => {
+        updateTimer = null;
+        updateVisibleEditors(context, debug);
+    }, UPDATE_DELAY_MS);
+}
+
+/**
+ * Decorates the visible editors and keeps the decorations up to date as documents change,
+ * after each sync and when TODOtoNOTION.decorations changes.
+ * @param {Object} context - The VSCode extension context.
+ * @param {Function} debug - Debug logging function.
+ */
+function init(context, debug) {
+    createDecorationTypes();
+    context.subscriptions.push(vscode.window.onDidChangeVisibleTextEditors(() => updateVisibleEditors(context, debug)));
+    context.subscriptions.push(vscode.workspace.onDidChangeTextDocument(event => {
+        if (vscode.window.visibleTextEditors.some(editor => editor.document === event.document)) {
+            scheduleUpdate(context, debug);
+        }
+    }));
+    // The cache changes after every sync, once it has been dropped and again when it is refilled
+    context.subscriptions.push(notionCache.onDidChange(() => scheduleUpdate(context, debug)));
+    context.subscriptions.push(vscode.workspace.onDidChangeConfiguration(event => {
+        if (event.affectsConfiguration('TODOtoNOTION.decorations') || event.affectsConfiguration('TODOtoNOTION.statuses') || event.affectsConfiguration('TODOtoNOTION.tags')) {
+            createDecorationTypes();
+            updateVisibleEditors(context, debug);
+        }
+    }));
+    context.subscriptions.push({
+        dispose: () => {
+            clearTimeout(updateTimer);
+            Object.values(decorationTypes).forEach(decorationType => decorationType.dispose());
+            decorationTypes = {};
+        }
+    });
+    updateVisibleEditors(context, debug);
+}
+
+module.exports = {
+    init
+};
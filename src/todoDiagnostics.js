@@ -0,0 +1,260 @@
+/**
+ * Module publishing TODOs and sync problems to the Problems panel for the TODOtoNOTION extension.
+ * When TODOtoNOTION.diagnostics is on, every TODO is reported with the severity of its tag, and
+ * duplicate IDs, failed syncs and IDs without a Notion page are reported with quick fixes.
+ * Open documents are parsed as they change; other files are reported as they were at their last sync.
+ */
+
+var vscode = require('vscode');
+var path = require('path');
+var config = require('./config.js');
+var utils = require('./utils.js');
+var todoParser = require('./todoParser.js');
+var todoSync = require('./todoSync.js');
+var syncQueue = require('./syncQueue.js');
+var notionCache = require('./notionCache.js');
+var notionScheduler = require('./notionScheduler.js');
+
+var SOURCE = "TODO to Notion";
+var UPDATE_DELAY_MS = 500;
+
+var SEVERITIES = {
+    error: vscode.DiagnosticSeverity.Error,
+    warning: vscode.DiagnosticSeverity.Warning,
+    information: vscode.DiagnosticSeverity.Information,
+    hint: vscode.DiagnosticSeverity.Hint
+};
+
+var collection;
+var updateTimer = null;
+// Errors of TODOs Notion rejected in their last sync, keyed by TODO ID
+var syncFailures = {};
+
+/**
+ * Remembers the TODOs Notion rejected in a sync and forgets those that synced since.
+ * TODOs that failed because Notion was unreachable are reported from the pending queue instead.
+ * @param {Object} result - The result of notion.syncTodos.
+ */
+function recordSyncFailures(result) {
+    (result.outcomes || []).filter(outcome => outcome.ok).forEach(outcome => {
+        if (outcome.item.todo) {
+            delete syncFailures[outcome.item.todo.id];
+        }
+    });
+    (result.failed || []).forEach(failure => {
+        if (failure.todo && failure.todo.id && !notionScheduler.isTransientError(failure.error)) {
+            syncFailures[failure.todo.id] = failure.error.message;
+        }
+    });
+}
+
+/**
+ * Collects the TODOs to report per file: open documents as they are now, other files from the cache.
+ * @param {Object} todoCache - Cache of TODOs per file URI.
+ * @returns {Object} Per file URI: { uri, todos: [{ line, range, tag, text, id }] }.
+ */
+function collectTodos(todoCache) {
+    const files = {};
+    vscode.workspace.textDocuments.forEach(document => {
+        if (document.uri.scheme !== 'file' && document.uri.scheme !== 'untitled') {
+            return;
+        }
+        files[document.uri.toString()] = {
+            uri: document.uri,
+            todos: todoParser.findTodoComments(document.getText(), document.languageId).map(todoComment => ({
+                line: todoComment.line,
+                range: new vscode.Range(todoComment.line, todoComment.tagStart, todoComment.line, todoComment.contentEnd),
+                tag: todoComment.tag,
+                text: todoComment.text,
+                id: todoComment.id
+            }))
+        };
+    });
+    Object.keys(todoCache).forEach(uriStr => {
+        if (files[uriStr]) {
+            return;
+        }
+        files[uriStr] = {
+            uri: vscode.Uri.parse(uriStr),
+            todos: Object.values(todoCache[uriStr]).map(todo => ({
+                line: todo.lineNumber - 1,
+                range: new vscode.Range(todo.lineNumber - 1, 0, todo.lineNumber - 1, Number.MAX_SAFE_INTEGER),
+                tag: todo.tag || todo.type,
+                text: todo.text,
+                id: todo.id
+            }))
+        };
+    });
+    return files;
+}
+
+/**
+ * Builds a diagnostic of this extension.
+ * @param {Object} range - The range to report.
+ * @param {string} message - The message.
+ * @param {number} severity - The DiagnosticSeverity.
+ * @param {string} code - "todo", "duplicate-id", "sync-failed", "pending" or "missing-page", for filtering.
+ * @returns {Object} The Diagnostic.
+ */
+function createDiagnostic(range, message, severity, code) {
+    const diagnostic = new vscode.Diagnostic(range, message, severity);
+    diagnostic.source = SOURCE;
+    diagnostic.code = code;
+    return diagnostic;
+}
+
+/**
+ * Recomputes every diagnostic, or clears them when TODOtoNOTION.diagnostics is off.
+ * @param {Object} context - The VSCode extension context.
+ * @param {Object} todoCache - Cache of TODOs per file URI.
+ * @param {Function} debug - Debug logging function.
+ * @returns {Promise<void>}
+ */
+async function updateDiagnostics(context, todoCache, debug) {
+    if (!config.getConfiguration().get('diagnostics', false)) {
+        collection.clear();
+        return;
+    }
+
+    const files = collectTodos(todoCache);
+    const locations = {};
+    Object.keys(files).forEach(uriStr => {
+        files[uriStr].todos.filter(todo => todo.id).forEach(todo => {
+            locations[todo.id] = (locations[todo.id] || []).concat([{ uriStr, line: todo.line }]);
+        });
+    });
+    const tasksById = Object.keys(locations).length > 0 ? await notionCache.getTasks(context, debug) : null;
+    const pending = syncQueue.getPending(context);
+
+    collection.clear();
+    Object.keys(files).forEach(uriStr => {
+        const diagnostics = [];
+        files[uriStr].todos.forEach(todo => {
+            const tagDefinition = config.getTagDefinition(todo.tag);
+            const severity = SEVERITIES[tagDefinition ? tagDefinition.severity : "information"];
+            diagnostics.push(createDiagnostic(todo.range, `${todo.tag}: ${todo.text}`, severity, "todo"));
+            if (!todo.id) {
+                return;
+            }
+
+            const others = locations[todo.id].filter(location => location.uriStr !== uriStr || location.line !== todo.line);
+            if (others.length > 0) {
+                const other = others[0];
+                diagnostics.push(createDiagnostic(todo.range,
+                    `TODO ID ${todo.id} is also used at ${path.basename(vscode.Uri.parse(other.uriStr).path)}:${other.line + 1}; both comments sync to the same Notion page.`,
+                    vscode.DiagnosticSeverity.Warning, "duplicate-id"));
+            }
+            if (syncFailures[todo.id]) {
+                diagnostics.push(createDiagnostic(todo.range, `TODO could not be synced with Notion: ${syncFailures[todo.id]}`, vscode.DiagnosticSeverity.Error, "sync-failed"));
+            } else if (pending[todo.id]) {
+                diagnostics.push(createDiagnostic(todo.range, `TODO change is waiting to be sent to Notion: ${pending[todo.id].lastError}`, vscode.DiagnosticSeverity.Warning, "pending"));
+            } else if (tasksById && !tasksById[todo.id]) {
+                diagnostics.push(createDiagnostic(todo.range, `No Notion page has TODO ID ${todo.id}.`, vscode.DiagnosticSeverity.Warning, "missing-page"));
+            }
+        });
+        collection.set(files[uriStr].uri, diagnostics);
+    });
+}
+
+/**
+ * Updates the diagnostics shortly, so bursts of changes cause a single update.
+ * @param {Object} context - The VSCode extension context.
+ * @param {Object} todoCache - Cache of TODOs per file URI.
+ * @param {Function} debug - Debug logging function.
+ */
+function scheduleUpdate(context, todoCache, debug) {
+    clearTimeout(updateTimer);
+    updateTimer = setTimeout(() => {
+        updateTimer = null;
+        updateDiagnostics(context, todoCache, debug).catch(error => debug("Error updating TODO diagnostics: " + error.message));
+    }, UPDATE_DELAY_MS);
+}
+
+/**
+ * Offers Sync Now, Regenerate ID and Open in Notion for the diagnostics of this extension.
+ * @param {Object} context - The VSCode extension context.
+ * @param {Function} debug - Debug logging function.
+ * @returns {Object} The CodeActionProvider.
+ */
+function createCodeActionProvider(context, debug) {
+    return {
+        async provideCodeActions(document, range, codeActionContext) {
+            const diagnostics = codeActionContext.diagnostics.filter(diagnostic => diagnostic.source === SOURCE);
+            if (diagnostics.length === 0) {
+                return [];
+            }
+            const line = diagnostics[0].range.start.line;
+            const todoComment = todoParser.findTodoComments(document.getText(), document.languageId).find(comment => comment.line === line);
+            if (!todoComment) {
+                return [];
+            }
+
+            const actions = [];
+            const syncAction = new vscode.CodeAction("Sync Now", vscode.CodeActionKind.QuickFix);
+            syncAction.command = { command: 'TODOtoNOTION.syncTodo', title: "Sync Now", arguments: [document.uri, line] };
+            syncAction.diagnostics = diagnostics;
+            actions.push(syncAction);
+
+            const duplicate = diagnostics.find(diagnostic => diagnostic.code === "duplicate-id");
+            if (duplicate) {
+                const newId = utils.generateRandomId();
+                const edit = todoParser.formatTodoBody(document.lineAt(line).text, todoComment, todoComment.text, newId);
+                const regenerateAction = new vscode.CodeAction("Regenerate ID", vscode.CodeActionKind.QuickFix);
+                regenerateAction.edit = new vscode.WorkspaceEdit();
+                regenerateAction.edit.replace(document.uri, new vscode.Range(line, edit.startColumn, line, edit.endColumn), edit.text);
+                regenerateAction.diagnostics = [duplicate];
+                regenerateAction.isPreferred = true;
+                actions.push(regenerateAction);
+            }
+
+            const tasksById = todoComment.id ? await notionCache.getTasks(context, debug) : null;
+            const task = tasksById && tasksById[todoComment.id];
+            if (task) {
+                const openAction = new vscode.CodeAction("Open in Notion", vscode.CodeActionKind.QuickFix);
+                openAction.command = { command: 'TODOtoNOTION.openInNotion', title: "Open in Notion", arguments: [{ notion: task }] };
+                actions.push(openAction);
+            }
+            return actions;
+        }
+    };
+}
+
+/**
+ * Creates the diagnostic collection and keeps it up to date as documents change, after every sync
+ * and when the pending queue, the Notion cache or the settings change.
+ * @param {Object} context - The VSCode extension context.
+ * @param {Object} todoCache - Cache of TODOs per file URI.
+ * @param {Function} debug - Debug logging function.
+ */
+function init(context, todoCache, debug) {
+    collection = vscode.languages.createDiagnosticCollection('TODOtoNOTION');
+    context.subscriptions.push(collection);
+    context.subscriptions.push(vscode.languages.registerCodeActionsProvider([{ scheme: 'file' }, { scheme: 'untitled' }],
+        createCodeActionProvider(context, debug), { providedCodeActionKinds: [vscode.CodeActionKind.QuickFix] }));
+
+    const update = () => scheduleUpdate(context, todoCache, debug);
+    context.subscriptions.push(vscode.workspace.onDidOpenTextDocument(update));
+    context.subscriptions.push(vscode.workspace.onDidCloseTextDocument(update));
+    context.subscriptions.push(vscode.workspace.onDidChangeTextDocument(update));
+    context.subscriptions.push(todoSync.onDidSync(result => {
+        if (result) {
+            recordSyncFailures(result);
+        }
+        update();
+    }));
+    context.subscriptions.push(syncQueue.onDidChangePending(update));
+    context.subscriptions.push(notionCache.onDidChange(update));
+    context.subscriptions.push(vscode.workspace.onDidChangeConfiguration(event => {
+        if (event.affectsConfiguration('TODOtoNOTION.diagnostics') || event.affectsConfiguration('TODOtoNOTION.tags')) {
+            update();
+        }
+    }));
+    context.subscriptions.push({
+        dispose: () => clearTimeout(updateTimer)
+    });
+    update();
+}
+
+module.exports = {
+    init
+};
@@ -0,0 +1,382 @@
+/**
+ * Module for the TODO Explorer view of the TODOtoNOTION extension.
+ * Lists the TODOs seen in code at their last sync next to the TODO rows of the Notion database,
+ * grouped by file, type or status, and flags TODOs that exist on one side only.
+ */
+
+var vscode = require('vscode');
+var path = require('path');
+var notion = require('./notion.js');
+var config = require('./config.js');
+var todoSync = require('./todoSync.js');
+var notionCache = require('./notionCache.js');
+var utils = require('./utils.js');
+var workspacePaths = require('./workspacePaths.js');
+
+var VIEW_ID = 'TODOtoNOTION.explorer';
+var GROUP_BY_KEY = 'TODOtoNOTION.explorerGroupBy';
+var REFRESH_DELAY_MS = 500;
+
+var GROUPINGS = [
+    { id: "file", label: "File" },
+    { id: "type", label: "Type" },
+    { id: "status", label: "Notion Status" }
+];
+
+// Codicons per status of the default workflow; other statuses get a plain circle
+var STATUS_ICONS = {
+    "not started": "circle-large-outline",
+    "in progress": "clock",
+    "done": "pass",
+    "won't fix": "circle-slash",
+    "archived": "archive"
+};
+
+var changeEmitter = new vscode.EventEmitter();
+var treeView;
+var explorerContext;
+var explorerTodoCache;
+var debugFunc;
+var groups = [];
+var loaded = false;
+var stale = true;
+var refreshTimer = null;
+
+/**
+ * Returns the codicon shown for a Notion status.
+ * @param {string} status - The status name.
+ * @returns {string} The codicon ID.
+ */
+function getStatusIcon(status) {
+    return STATUS_ICONS[(status || "").toLowerCase()] || "circle-outline";
+}
+
+/**
+ * Merges the cached code TODOs with the Notion rows, one entry per TODO ID.
+ * Notion rows whose file does not belong to the workspace are left out.
+ * @param {Object} todoCache - Cache of TODOs per file URI.
+ * @param {Array|null} notionTasks - The Notion tasks, or null if Notion was not queried.
+ * @returns {Array} Entries: { id, uriStr, code, notion, origin } with origin "synced", "codeOnly" or "notionOnly".
+ */
+function mergeTodos(todoCache, notionTasks) {
+    const entries = {};
+    Object.keys(todoCache).forEach(uriStr => {
+        Object.values(todoCache[uriStr]).forEach(todo => {
+            entries[todo.id] = { id: todo.id, uriStr: uriStr, code: todo, notion: null };
+        });
+    });
+
+    const folders = utils.getWorkspaceFolders();
+    (notionTasks || []).forEach(task => {
+        const localPath = workspacePaths.toAbsolutePath(task.filePath, task.workspaceFolder, folders);
+        if (entries[task.customId]) {
+            entries[task.customId].notion = task;
+        } else if (localPath) {
+            entries[task.customId] = { id: task.customId, uriStr: vscode.Uri.file(localPath).toString(), code: null, notion: task };
+        }
+    });
+
+    return Object.values(entries).map(entry => {
+        if (notionTasks) {
+            entry.origin = !entry.code ? "notionOnly" : !entry.notion ? "codeOnly" : "synced";
+        } else {
+            entry.origin = "synced";
+        }
+        return entry;
+    });
+}
+
+/**
+ * Returns the values shown for a TODO, preferring Notion for the status and code for the location.
+ * @param {Object} entry - A merged TODO entry.
+ * @returns {Object} The text, type, status, filePath and lineNumber of the TODO.
+ */
+function getTodoValues(entry) {
+    const code = entry.code || {};
+    const notionTask = entry.notion || {};
+    return {
+        text: code.text || notionTask.text || "",
+        type: notionTask.type || code.type || code.tag || "TODO",
+        status: notionTask.status || code.status || config.DEFAULT_STATUS,
+        filePath: code.filePath || notionTask.filePath || "",
+        lineNumber: code.lineNumber || notionTask.lineNumber || 1
+    };
+}
+
+/**
+ * Groups the TODO entries for the tree's top level.
+ * @param {Array} entries - The merged TODO entries.
+ * @param {string} groupBy - "file", "type" or "status".
+ * @returns {Array} Group elements: { kind: "group", label, entries }, sorted by label.
+ */
+function groupTodos(entries, groupBy) {
+    const byKey = {};
+    entries.forEach(entry => {
+        const values = getTodoValues(entry);
+        let key = values[groupBy];
+        if (groupBy === "file") {
+            key = values.filePath ? vscode.workspace.asRelativePath(vscode.Uri.parse(entry.uriStr)) : "(no file)";
+        }
+        if (!byKey[key]) {
+            byKey[key] = { kind: "group", label: key, entries: [] };
+        }
+        byKey[key].entries.push(Object.assign({ kind: "todo" }, entry));
+    });
+
+    const groupList = Object.values(byKey).sort((a, b) => a.label.localeCompare(b.label));
+    groupList.forEach(group => {
+        group.entries.sort((a, b) => {
+            const first = getTodoValues(a);
+            const second = getTodoValues(b);
+            return first.filePath.localeCompare(second.filePath) || first.lineNumber - second.lineNumber;
+        });
+    });
+    return groupList;
+}
+
+/**
+ * Builds the tree item of a TODO, with its status icon and a warning colour if it exists on one side only.
+ * @param {Object} entry - A merged TODO entry.
+ * @param {string} groupBy - The current grouping.
+ * @returns {Object} The TreeItem.
+ */
+function buildTodoItem(entry, groupBy) {
+    const values = getTodoValues(entry);
+    const item = new vscode.TreeItem(values.text, vscode.TreeItemCollapsibleState.None);
+    const location = values.filePath ? `${path.basename(values.filePath)}:${values.lineNumber}` : "";
+    const flags = { codeOnly: "only in code", notionOnly: "only in Notion" };
+
+    item.id = entry.id;
+    item.description = [groupBy === "file" ? `line ${values.lineNumber}` : location, flags[entry.origin]].filter(part => part).join(" · ");
+    item.contextValue = `todo:${entry.origin}`;
+    const icon = getStatusIcon(values.status);
+    item.iconPath = entry.origin === "synced" ? new vscode.ThemeIcon(icon) : new vscode.ThemeIcon(icon, new vscode.ThemeColor('list.warningForeground'));
+
+    const tooltip = new vscode.MarkdownString();
+    tooltip.appendMarkdown(`**${values.type}** · ${values.status}\n\n`);
+    tooltip.appendText(values.text);
+    tooltip.appendMarkdown(`\n\n${location ? "`" + location + "` · " : ""}ID \`${entry.id}\``);
+    if (entry.origin === "codeOnly") {
+        tooltip.appendMarkdown("\n\nNo Notion page has this TODO ID; it is created on the file's next sync.");
+    } else if (entry.origin === "notionOnly") {
+        tooltip.appendMarkdown("\n\nThis TODO was not found in code at the last sync.");
+    }
+    item.tooltip = tooltip;
+
+    if (values.filePath) {
+        item.command = { command: 'TODOtoNOTION.goToTodo', title: "Go to Line", arguments: [entry] };
+    }
+    return item;
+}
+
+/**
+ * The data provider of the TODO Explorer view.
+ */
+var treeDataProvider = {
+    onDidChangeTreeData: changeEmitter.event,
+
+    getTreeItem(element) {
+        if (element.kind === "group") {
+            const item = new vscode.TreeItem(element.label, vscode.TreeItemCollapsibleState.Expanded);
+            item.id = `group:${element.label}`;
+            item.description = String(element.entries.length);
+            if (getGroupBy() === "file") {
+                item.iconPath = vscode.ThemeIcon.File;
+                item.resourceUri = vscode.Uri.parse(element.entries[0].uriStr);
+            }
+            return item;
+        }
+        return buildTodoItem(element, getGroupBy());
+    },
+
+    getChildren(element) {
+        if (element) {
+            return element.entries || [];
+        }
+        if (!loaded) {
+            refresh();
+        }
+        return groups;
+    }
+};
+
+/**
+ * Returns the grouping chosen for the view.
+ * @returns {string} "file", "type" or "status".
+ */
+function getGroupBy() {
+    return explorerContext ? explorerContext.workspaceState.get(GROUP_BY_KEY, "file") : "file";
+}
+
+/**
+ * Reads the cached code TODOs and the Notion rows and redraws the view.
+ * @returns {Promise<void>}
+ */
+async function load() {
+    stale = false;
+    const tasksById = await notionCache.getTasks(explorerContext, debugFunc);
+    const notionTasks = tasksById ? Object.values(tasksById) : null;
+    const readError = notionCache.getLastError();
+    treeView.message = tasksById ? undefined : readError ? `Notion could not be read: ${readError.message}` : "Set your Notion credentials to compare the TODOs in code with Notion.";
+
+    const entries = mergeTodos(explorerTodoCache, notionTasks);
+    groups = groupTodos(entries, getGroupBy());
+    loaded = true;
+    treeView.description = entries.length > 0 ? `${entries.length} TODOs` : undefined;
+    debugFunc(`TODO Explorer refreshed: ${entries.length} TODOs${notionTasks ? `, ${notionTasks.length} Notion rows` : ""}.`);
+    changeEmitter.fire();
+}
+
+/**
+ * Refreshes the view shortly, so syncs that finish together cause a single reload.
+ * A hidden view is only marked stale and reloads when it is shown again.
+ */
+function refresh() {
+    if (!treeView) {
+        return;
+    }
+    stale = true;
+    if (!treeView.visible || refreshTimer) {
+        return;
+    }
+    refreshTimer = setTimeout(() => {
+        refreshTimer = null;
+        vscode.window.withProgress({ location: { viewId: VIEW_ID } }, () => load()).then(undefined, error => {
+            debugFunc("Error refreshing the TODO Explorer: " + error.message);
+        });
+    }, REFRESH_DELAY_MS);
+}
+
+/**
+ * Asks how the TODOs should be grouped and redraws the view.
+ * @returns {Promise<void>}
+ */
+async function pickGrouping() {
+    const current = getGroupBy();
+    const picked = await vscode.window.showQuickPick(GROUPINGS.map(grouping => ({
+        label: grouping.label,
+        description: grouping.id === current ? "current" : "",
+        grouping: grouping.id
+    })), { title: "Group TODO Explorer By" });
+    if (!picked) {
+        return;
+    }
+    await explorerContext.workspaceState.update(GROUP_BY_KEY, picked.grouping);
+    const entries = [];
+    groups.forEach(group => entries.push(...group.entries));
+    groups = groupTodos(entries, picked.grouping);
+    changeEmitter.fire();
+}
+
+/**
+ * Opens the file of a TODO at its line.
+ * @param {Object} entry - The TODO element of the view.
+ * @returns {Promise<void>}
+ */
+async function goToTodo(entry) {
+    const values = getTodoValues(entry);
+    try {
+        const document = await vscode.workspace.openTextDocument(vscode.Uri.parse(entry.uriStr));
+        const line = Math.min(Math.max(values.lineNumber - 1, 0), document.lineCount - 1);
+        const position = new vscode.Position(line, 0);
+        await vscode.window.showTextDocument(document, { selection: new vscode.Range(position, position) });
+    } catch (error) {
+        vscode.window.showErrorMessage(`Failed to open ${values.filePath}: ${error.message}`);
+        debugFunc(`Error opening TODO ${entry.id} at ${values.filePath}:${values.lineNumber}: ${error.message}`);
+    }
+}
+
+/**
+ * Opens the Notion page of a TODO in the browser.
+ * @param {Object} entry - The TODO element of the view.
+ * @returns {Thenable<boolean>}
+ */
+function openInNotion(entry) {
+    const url = entry.notion.url || `https://www.notion.so/${entry.notion.id.replace(/-/g, '')}`;
+    return vscode.env.openExternal(vscode.Uri.parse(url));
+}
+
+/**
+ * Sets the Notion status of a TODO to one picked from the status workflow.
+ * The comment in code follows on the next sync from Notion.
+ * @param {Object} entry - The TODO element of the view.
+ * @returns {Promise<void>}
+ */
+async function changeStatus(entry) {
+    const current = entry.notion.status;
+    const picked = await vscode.window.showQuickPick(config.getStatusDefinitions().map(definition => ({
+        label: definition.status,
+        description: definition.status === current ? "current" : "",
+        iconPath: new vscode.ThemeIcon(getStatusIcon(definition.status))
+    })), { title: `Change Status of "${entry.notion.text}"` });
+    if (!picked || picked.label === current) {
+        return;
+    }
+    if (await notion.updateTodo(explorerContext, entry.notion.id, { status: picked.label }, entry.notion.databaseId)) {
+        debugFunc(`Changed Notion status of TODO ${entry.id} from "${current}" to "${picked.label}".`);
+        notionCache.invalidate();
+        refresh();
+    }
+}
+
+/**
+ * Archives the Notion page of a TODO after confirmation, optionally removing its comment from code,
+ * since a comment left in code gets a new page on the file's next sync.
+ * @param {Object} entry - The TODO element of the view.
+ * @returns {Promise<void>}
+ */
+async function archiveTodo(entry) {
+    const actions = entry.code ? ["Archive and Remove Comment", "Archive"] : ["Archive"];
+    const choice = await vscode.window.showWarningMessage(`Archive "${entry.notion.text}" in Notion?`, {
+        modal: true,
+        detail: entry.code ? "A comment left in code gets a new Notion page when its file is synced again." : undefined
+    }, ...actions);
+    if (!choice || !await notion.archiveTodo(explorerContext, entry.notion.id, entry.notion.databaseId)) {
+        return;
+    }
+    if (choice === "Archive and Remove Comment") {
+        await todoSync.removeTodoFromCode(explorerContext, explorerTodoCache, entry.uriStr, entry.code);
+    }
+    debugFunc(`Archived TODO ${entry.id} from the TODO Explorer${choice === "Archive" ? "" : " and removed its comment"}.`);
+    notionCache.invalidate();
+    refresh();
+}
+
+/**
+ * Creates the TODO Explorer view and refreshes it after every sync.
+ * @param {Object} context - The VSCode extension context.
+ * @param {Object} todoCache - Cache of TODOs per file URI.
+ * @param {Function} debug - Debug logging function.
+ */
+function init(context, todoCache, debug) {
+    explorerContext = context;
+    explorerTodoCache = todoCache;
+    debugFunc = debug;
+
+    treeView = vscode.window.createTreeView(VIEW_ID, { treeDataProvider: treeDataProvider, showCollapseAll: true });
+    context.subscriptions.push(treeView);
+    context.subscriptions.push(treeView.onDidChangeVisibility(event => {
+        if (event.visible && stale) {
+            refresh();
+        }
+    }));
+    context.subscriptions.push(todoSync.onDidSync(() => refresh()));
+    context.subscriptions.push(notionCache.onDidChange(() => refresh()));
+    context.subscriptions.push({
+        dispose: () => {
+            clearTimeout(refreshTimer);
+            refreshTimer = null;
+        }
+    });
+}
+
+module.exports = {
+    init,
+    refresh,
+    getStatusIcon,
+    pickGrouping,
+    goToTodo,
+    openInNotion,
+    changeStatus,
+    archiveTodo
+};
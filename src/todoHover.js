@@ -0,0 +1,204 @@
+/**
+ * Module showing the Notion details of synced TODO comments in the TODOtoNOTION extension,
+ * as a hover on [id:...] lines and, if enabled, as a CodeLens above them.
+ * Notion data comes from the shared cache, so neither hits the API on every mouse move.
+ */
+
+var vscode = require('vscode');
+var config = require('./config.js');
+var todoParser = require('./todoParser.js');
+var notionCache = require('./notionCache.js');
+var todoExplorer = require('./todoExplorer.js');
+
+var DOCUMENT_SELECTOR = [{ scheme: 'file' }, { scheme: 'untitled' }];
+var ID_MARKER = '[id:';
+
+var codeLensEmitter = new vscode.EventEmitter();
+
+/**
+ * Formats a Notion property value read by notionProperties.readPropertyValue for display.
+ * @param {*} value - The property value.
+ * @returns {string} The value as text.
+ */
+function formatPropertyValue(value) {
+    if (Array.isArray(value)) {
+        return value.map(item => (item && typeof item === 'object') ? item.name || item.email || item.id : item).join(", ");
+    }
+    if (typeof value === 'boolean') {
+        return value ? "Yes" : "No";
+    }
+    if (value && typeof value === 'object') {
+        return value.start || value.name || JSON.stringify(value);
+    }
+    return String(value);
+}
+
+/**
+ * Builds a command link for Markdown content.
+ * @param {string} title - The link text.
+ * @param {string} command - The command ID.
+ * @param {Array} args - The command arguments, passed as JSON.
+ * @returns {string} The Markdown link.
+ */
+function commandLink(title, command, args) {
+    return `[${title}](command:${command}?${encodeURIComponent(JSON.stringify(args))})`;
+}
+
+/**
+ * Builds the hover content for a synced TODO.
+ * @param {Object|undefined} task - The Notion task, if the TODO has a page.
+ * @param {boolean} connected - Whether Notion credentials are set.
+ * @param {Object} document - The TextDocument holding the TODO.
+ * @param {number} line - The zero-based line of the TODO.
+ * @returns {Object} The MarkdownString.
+ */
+function buildHoverContent(task, connected, document, line) {
+    const content = new vscode.MarkdownString(undefined, true);
+    content.isTrusted = true;
+    const syncLink = commandLink("Sync this TODO", 'TODOtoNOTION.syncTodo', [document.uri.toString(), line]);
+
+    if (!connected) {
+        content.appendMarkdown("**Notion** · credentials not set\n\n");
+        content.appendMarkdown(commandLink("Set Notion Credentials", 'TODOtoNOTION.setCredentials', []));
+        return content;
+    }
+    if (!task) {
+        content.appendMarkdown("**Notion** · no page for this TODO ID yet; it is created on the file's next sync.\n\n");
+        content.appendMarkdown(syncLink);
+        return content;
+    }
+
+    const status = task.status || config.DEFAULT_STATUS;
+    content.appendMarkdown(`$(${todoExplorer.getStatusIcon(status)}) **${status}**${task.type ? ` · ${task.type}` : ""}`);
+    if (task.lastEditedTime) {
+        content.appendMarkdown(` · edited ${new Date(task.lastEditedTime).toLocaleString()}`);
+    }
+    content.appendMarkdown("\n\n");
+    // Values are appended as text, so names and labels are not read as Markdown
+    const details = [];
+    if (task.assignees && task.assignees.length > 0) {
+        details.push(["person", formatPropertyValue(task.assignees)]);
+    }
+    if (task.priority) {
+        details.push(["flame", task.priority]);
+    }
+    if (task.due) {
+        details.push(["calendar", `due ${task.due}`]);
+    }
+    if (task.labels && task.labels.length > 0) {
+        details.push(["tag", formatPropertyValue(task.labels)]);
+    }
+    if (details.length > 0) {
+        details.forEach(([icon, text], index) => {
+            content.appendMarkdown(`${index > 0 ? " · " : ""}$(${icon}) `);
+            content.appendText(text);
+        });
+        content.appendMarkdown("\n\n");
+    }
+    const extraNames = Object.keys(task.extraProperties || {});
+    if (extraNames.length > 0) {
+        extraNames.forEach(name => {
+            content.appendMarkdown(`- **${name}:** `);
+            content.appendText(formatPropertyValue(task.extraProperties[name]));
+            content.appendMarkdown("\n");
+        });
+        content.appendMarkdown("\n");
+    }
+    content.appendMarkdown(`${commandLink("Open in Notion", 'TODOtoNOTION.openInNotion', [{ notion: { id: task.id, url: task.url } }])} · ${syncLink}`);
+    return content;
+}
+
+/**
+ * Shows the Notion details of the TODO under the mouse.
+ * @param {Object} context - The VSCode extension context.
+ * @param {Function} debug - Debug logging function.
+ * @returns {Object} The HoverProvider.
+ */
+function createHoverProvider(context, debug) {
+    return {
+        async provideHover(document, position) {
+            const lineText = document.lineAt(position.line).text;
+            if (!lineText.includes(ID_MARKER)) {
+                return undefined;
+            }
+            const todoComment = todoParser.findTodoComments(document.getText(), document.languageId)
+                .find(comment => comment.line === position.line && comment.id);
+            if (!todoComment || position.character < todoComment.commentStart) {
+                return undefined;
+            }
+            const tasksById = await notionCache.getTasks(context, debug);
+            const task = tasksById ? tasksById[todoComment.id] : undefined;
+            const range = new vscode.Range(position.line, todoComment.commentStart, position.line, lineText.length);
+            return new vscode.Hover(buildHoverContent(task, Boolean(tasksById), document, position.line), range);
+        }
+    };
+}
+
+/**
+ * Shows the Notion status with Open in Notion and Sync actions above each synced TODO,
+ * when TODOtoNOTION.codeLens is on.
+ * @param {Object} context - The VSCode extension context.
+ * @param {Function} debug - Debug logging function.
+ * @returns {Object} The CodeLensProvider.
+ */
+function createCodeLensProvider(context, debug) {
+    return {
+        onDidChangeCodeLenses: codeLensEmitter.event,
+
+        async provideCodeLenses(document) {
+            if (!config.getConfiguration().get('codeLens', false) || !document.getText().includes(ID_MARKER)) {
+                return [];
+            }
+            const todoComments = todoParser.findTodoComments(document.getText(), document.languageId).filter(comment => comment.id);
+            const tasksById = todoComments.length > 0 ? await notionCache.getTasks(context, debug) : null;
+            if (!tasksById) {
+                return [];
+            }
+
+            const lenses = [];
+            todoComments.forEach(todoComment => {
+                const range = new vscode.Range(todoComment.line, 0, todoComment.line, 0);
+                const task = tasksById[todoComment.id];
+                if (task) {
+                    const status = task.status || config.DEFAULT_STATUS;
+                    lenses.push(new vscode.CodeLens(range, {
+                        title: `$(${todoExplorer.getStatusIcon(status)}) ${status}`,
+                        tooltip: "Open in Notion",
+                        command: 'TODOtoNOTION.openInNotion',
+                        arguments: [{ notion: task }]
+                    }));
+                } else {
+                    lenses.push(new vscode.CodeLens(range, { title: "Not in Notion", command: "" }));
+                }
+                lenses.push(new vscode.CodeLens(range, {
+                    title: "Sync",
+                    tooltip: "Sync this TODO with Notion",
+                    command: 'TODOtoNOTION.syncTodo',
+                    arguments: [document.uri, todoComment.line]
+                }));
+            });
+            return lenses;
+        }
+    };
+}
+
+/**
+ * Registers the hover and CodeLens providers. CodeLenses are redrawn when the cache
+ * or the TODOtoNOTION.codeLens setting changes.
+ * @param {Object} context - The VSCode extension context.
+ * @param {Function} debug - Debug logging function.
+ */
+function init(context, debug) {
+    context.subscriptions.push(vscode.languages.registerHoverProvider(DOCUMENT_SELECTOR, createHoverProvider(context, debug)));
+    context.subscriptions.push(vscode.languages.registerCodeLensProvider(DOCUMENT_SELECTOR, createCodeLensProvider(context, debug)));
+    context.subscriptions.push(notionCache.onDidChange(() => codeLensEmitter.fire()));
+    context.subscriptions.push(vscode.workspace.onDidChangeConfiguration(event => {
+        if (event.affectsConfiguration('TODOtoNOTION.codeLens')) {
+            codeLensEmitter.fire();
+        }
+    }));
+}
+
+module.exports = {
+    init
+};
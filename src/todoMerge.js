@@ -0,0 +1,85 @@
+/**
+ * Module for three-way merging of TODO text between code and Notion in the TODOtoNOTION extension.
+ * The text both sides agreed on at the last sync is kept per TODO ID as the baseline, so an edit
+ * made on one side wins over the unchanged other side, and edits on both sides are a conflict,
+ * resolved in the editor by todoConflicts.
+ */
+
+var BASELINE_KEY = 'TODOtoNOTION.syncBaselines';
+
+/**
+ * Returns the text of a TODO at its last sync.
+ * @param {Object} context - The VSCode extension context.
+ * @param {string} todoId - The TODO ID from code.
+ * @returns {string|undefined} The baseline text, or undefined if the TODO was never synced with a baseline.
+ */
+function getBaseline(context, todoId) {
+    const baselines = context.workspaceState.get(BASELINE_KEY, {}) || {};
+    return baselines[todoId] ? baselines[todoId].text : undefined;
+}
+
+/**
+ * Records the text both sides agree on for several TODOs at once.
+ * @param {Object} context - The VSCode extension context.
+ * @param {Object} texts - The agreed text per TODO ID.
+ * @returns {Promise<void>}
+ */
+async function setBaselines(context, texts) {
+    const ids = Object.keys(texts);
+    if (ids.length === 0) {
+        return;
+    }
+    const baselines = Object.assign({}, context.workspaceState.get(BASELINE_KEY, {}));
+    const syncedAt = new Date().toISOString();
+    ids.forEach(id => {
+        baselines[id] = { text: texts[id], syncedAt: syncedAt };
+    });
+    await context.workspaceState.update(BASELINE_KEY, baselines);
+}
+
+/**
+ * Forgets the baselines of TODOs that are no longer synced.
+ * @param {Object} context - The VSCode extension context.
+ * @param {Array<string>} todoIds - The TODO IDs to forget.
+ * @returns {Promise<void>}
+ */
+async function removeBaselines(context, todoIds) {
+    const baselines = Object.assign({}, context.workspaceState.get(BASELINE_KEY, {}));
+    const known = todoIds.filter(id => baselines[id]);
+    if (known.length === 0) {
+        return;
+    }
+    known.forEach(id => delete baselines[id]);
+    await context.workspaceState.update(BASELINE_KEY, baselines);
+}
+
+/**
+ * Decides which side of a TODO text edit wins.
+ * @param {string|undefined} baseText - The text at the last sync.
+ * @param {string} codeText - The text in code.
+ * @param {string} notionText - The text in Notion.
+ * @returns {string} "same" if both agree, "code" or "notion" for the side that changed,
+ * "conflict" if both changed, or "unknown" if there is no baseline to compare with.
+ */
+function mergeText(baseText, codeText, notionText) {
+    if (codeText === notionText) {
+        return "same";
+    }
+    if (baseText === undefined) {
+        return "unknown";
+    }
+    if (codeText === baseText) {
+        return "notion";
+    }
+    if (notionText === baseText) {
+        return "code";
+    }
+    return "conflict";
+}
+
+module.exports = {
+    getBaseline,
+    setBaselines,
+    removeBaselines,
+    mergeText
+};
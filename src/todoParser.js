@@ -2,8 +2,278 @@
  * Module for parsing TODO items from documents in the TODOtoNOTION extension.
  */
 
-var vscode = require('vscode');
+var crypto = require('crypto');
 var utils = require('./utils');
+var commentSyntax = require('./commentSyntax.js');
+var config = require('./config.js');
+
+var ID_PART_REGEX = /\s*\[id:([a-z0-9-]+)\]/i;
+// Tokens of a TODO annotation besides priority markers: an assignee (@handle or email address),
+// a due date (due:2026-12-01) and a label (#backend)
+var ASSIGNEE_REGEX = /^(?:@[\w.-]+|[\w.+-]+@[\w-]+(?:\.[\w-]+)+)$/;
+var DUE_REGEX = /^due:(\d{4}-\d{2}-\d{2})$/i;
+var LABEL_REGEX = /^#([^\s,()#[\]]+)$/;
+var MAX_CODE_CONTEXT_LINES = 50;
+// TODOs parsed per file, so a generated or vendored file cannot flood Notion
+var MAX_TODOS_PER_FILE = 50;
+
+/**
+ * Parses the annotation in parentheses after a TODO tag, e.g. "@alice, p1, due:2026-12-01, #backend #perf".
+ * Tokens are separated by commas or spaces; priority markers come from TODOtoNOTION.priorityMarkers.
+ * @param {string} annotation - The text between the parentheses.
+ * @returns {Object|null} The assignees, priority marker, due date and labels, or null if the parentheses
+ * hold something else, such as "(later)".
+ */
+function parseAnnotation(annotation) {
+    const values = { assignees: [], priority: null, due: null, labels: [] };
+    const tokens = annotation.split(/[\s,]+/).filter(token => token);
+    for (const token of tokens) {
+        const dueMatch = token.match(DUE_REGEX);
+        const labelMatch = token.match(LABEL_REGEX);
+        if (ASSIGNEE_REGEX.test(token)) {
+            values.assignees.push(token);
+        } else if (config.getPriorityForMarker(token)) {
+            values.priority = token.toLowerCase();
+        } else if (dueMatch && !isNaN(Date.parse(dueMatch[1]))) {
+            values.due = dueMatch[1];
+        } else if (labelMatch) {
+            values.labels.push(labelMatch[1]);
+        } else {
+            return null;
+        }
+    }
+    return values;
+}
+
+/**
+ * Tells whether a Notion label can be written in a TODO annotation as #label.
+ * @param {string} label - The label name.
+ * @returns {boolean} True if the label has no spaces, commas, parentheses or brackets.
+ */
+function isWritableLabel(label) {
+    return LABEL_REGEX.test('#' + label);
+}
+
+/**
+ * Finds TODO comments in a text using the comment syntax of its language.
+ * Only comments whose content starts with a TODO tag are returned, so tags inside
+ * string literals, URLs or the middle of a sentence are ignored.
+ * @param {string} text - The full text to scan.
+ * @param {string} languageId - The VSCode language identifier of the text.
+ * The comment lines that follow a TODO are its description, up to a blank comment line, another TODO
+ * or the end of the comment; line comments continue the description only when they fill their line.
+ * @returns {Array} TODO comments with line, column offsets, comment tokens, tag, [marker], (annotation), body text, ID
+ * and description lines.
+ */
+function findTodoComments(text, languageId) {
+    const regex = utils.getTodoRegex();
+    const lines = text.split('\n');
+    const results = [];
+    const segments = commentSyntax.getCommentSegments(text, languageId);
+
+    segments.forEach((segment, index) => {
+        const content = lines[segment.line].slice(segment.contentStart, segment.contentEnd);
+        const match = regex.exec(content);
+        if (!match) return;
+
+        const tagStart = segment.contentStart + match[0].indexOf(match[1]);
+        const marker = match[2] !== undefined ? match[2].trim() : null;
+        const markerEnd = tagStart + match[1].length + (match[2] !== undefined ? match[2].length + 2 : 0);
+        // Parentheses that hold anything but annotations stay part of the text
+        const annotation = match[3] !== undefined ? parseAnnotation(match[3]) : null;
+        const prefixLength = match[3] === undefined || annotation ? match[0].length : markerEnd - segment.contentStart;
+        const body = content.slice(prefixLength);
+        const idMatch = body.match(ID_PART_REGEX);
+
+        const descriptionLines = [];
+        let previous = segment;
+        for (const next of segments.slice(index + 1)) {
+            const sameComment = next.open === null && previous.close === null;
+            const nextComment = segment.kind === 'line' && next.kind === 'line' && next.open === segment.open && !lines[next.line].slice(0, next.commentStart).trim();
+            const nextContent = lines[next.line].slice(next.contentStart, next.contentEnd).trim();
+            if (next.line !== previous.line + 1 || !(sameComment || nextComment) || !nextContent || regex.test(nextContent)) {
+                break;
+            }
+            descriptionLines.push({
+                line: next.line,
+                prefix: lines[next.line].slice(0, next.contentStart),
+                contentStart: next.contentStart,
+                contentEnd: next.contentEnd,
+                close: next.close,
+                text: nextContent
+            });
+            previous = next;
+        }
+
+        results.push({
+            line: segment.line,
+            commentStart: segment.commentStart,
+            contentStart: segment.contentStart,
+            tagStart: tagStart,
+            tagEnd: tagStart + match[1].length,
+            markerEnd: markerEnd,
+            annotationEnd: annotation ? markerEnd + match[3].length + 2 : markerEnd,
+            bodyStart: segment.contentStart + prefixLength,
+            contentEnd: segment.contentEnd,
+            open: segment.open,
+            close: segment.close,
+            kind: segment.kind,
+            tag: match[1].toUpperCase(),
+            marker: marker,
+            annotation: annotation,
+            text: body.replace(ID_PART_REGEX, '').trim(),
+            id: idMatch ? idMatch[1] : null,
+            descriptionLines: descriptionLines
+        });
+    });
+    return results;
+}
+
+/**
+ * Works out the Notion type and status of a TODO comment from its tag and status marker.
+ * A marker (TODO[wip]) or status tag (DONE:) sets the status explicitly; otherwise the tag's
+ * default status only seeds new Notion pages. The same goes for a priority marker (TODO(p1)) and
+ * the tag's default priority. Status tags carry no type.
+ * @param {Object} todoComment - The TODO comment as returned by findTodoComments.
+ * @returns {Object} The type, status, priority and whether the status and priority were written in code (statusExplicit, priorityExplicit).
+ */
+function resolveTodoStatus(todoComment) {
+    const tagDefinition = config.getTagDefinition(todoComment.tag);
+    const statusDefinition = config.getStatusForMarker(todoComment.marker) || (!tagDefinition ? config.getStatusForMarker(todoComment.tag) : undefined);
+    const priority = todoComment.annotation && todoComment.annotation.priority ? config.getPriorityForMarker(todoComment.annotation.priority) : undefined;
+    return {
+        type: tagDefinition ? tagDefinition.type : undefined,
+        status: statusDefinition ? statusDefinition.status : (tagDefinition ? tagDefinition.status : config.DEFAULT_STATUS),
+        priority: priority || (tagDefinition ? tagDefinition.priority : ""),
+        statusExplicit: Boolean(statusDefinition),
+        priorityExplicit: Boolean(priority)
+    };
+}
+
+/**
+ * Builds the edit that rewrites the tag and status marker of a TODO comment, e.g. "TODO" to "TODO[wip]"
+ * or "DONE" back to "FIXME", leaving the separator and body untouched.
+ * @param {string} lineText - The current text of the line holding the TODO.
+ * @param {Object} todoComment - The TODO comment as returned by findTodoComments.
+ * @param {Object|null} statusDefinition - The status to mark in code, or null to remove any marker.
+ * @param {string} [type] - The Notion type, used to pick a tag when the comment only has a status tag.
+ * @returns {Object} The edit with startColumn, endColumn and the replacement text.
+ */
+function formatTodoPrefix(lineText, todoComment, statusDefinition, type) {
+    let tag = lineText.slice(todoComment.tagStart, todoComment.tagEnd);
+    if (!config.getTagDefinition(todoComment.tag)) {
+        const tagDefinitions = config.getTagDefinitions();
+        tag = (tagDefinitions.find(definition => definition.type === type) || tagDefinitions[0]).tag;
+    }
+    let text = tag;
+    if (statusDefinition && statusDefinition.tag) {
+        text = statusDefinition.tag;
+    } else if (statusDefinition && statusDefinition.marker) {
+        text = `${tag}[${statusDefinition.marker}]`;
+    }
+    return {
+        startColumn: todoComment.tagStart,
+        endColumn: todoComment.markerEnd,
+        text: text
+    };
+}
+
+/**
+ * Builds the edit that rewrites the annotation of a TODO comment, e.g. "TODO(@alice, p2)" to "TODO(@bob, p1)",
+ * adding the parentheses if needed and dropping them when nothing is left to annotate.
+ * @param {Object} todoComment - The TODO comment as returned by findTodoComments.
+ * @param {Object} changes - The values to change: assignees (handles or emails), priority (a marker, or null),
+ * due (a YYYY-MM-DD date, or null) and labels. Values left out keep what the comment has.
+ * @returns {Object} The edit with startColumn, endColumn and the replacement text.
+ */
+function formatTodoAnnotation(todoComment, changes) {
+    const values = Object.assign({ assignees: [], priority: null, due: null, labels: [] }, todoComment.annotation, changes);
+    const parts = values.assignees.slice();
+    if (values.priority) {
+        parts.push(values.priority);
+    }
+    if (values.due) {
+        parts.push(`due:${values.due}`);
+    }
+    if (values.labels.length > 0) {
+        parts.push(values.labels.map(label => `#${label}`).join(" "));
+    }
+    return {
+        startColumn: todoComment.markerEnd,
+        endColumn: todoComment.annotationEnd,
+        text: parts.length > 0 ? `(${parts.join(", ")})` : ""
+    };
+}
+
+/**
+ * Builds the edit that rewrites the description lines of a TODO comment, keeping the comment prefix
+ * (e.g. "// " or " * ") of its first description line. A TODO without description gets lines in the
+ * style of its own comment; single-line block comments such as "/* TODO: x *\/" cannot hold one.
+ * @param {string} lineText - The current text of the line holding the TODO.
+ * @param {Object} todoComment - The TODO comment as returned by findTodoComments.
+ * @param {string} description - The description to write, one line per comment line.
+ * @returns {Object|null} The edit with startLine, startColumn, endLine, endColumn and the replacement text,
+ * or null if the description cannot be written.
+ */
+function formatTodoDescription(lineText, todoComment, description) {
+    const descriptionLines = description ? description.split('\n') : [];
+    const existing = todoComment.descriptionLines || [];
+    if (existing.length > 0) {
+        const last = existing[existing.length - 1];
+        if (descriptionLines.length === 0) {
+            return { startLine: todoComment.line, startColumn: todoComment.contentEnd, endLine: last.line, endColumn: last.contentEnd, text: "" };
+        }
+        return {
+            startLine: existing[0].line,
+            startColumn: 0,
+            endLine: last.line,
+            endColumn: last.contentEnd,
+            text: descriptionLines.map(line => existing[0].prefix.replace(/\s*$/, ' ') + line).join('\n')
+        };
+    }
+    if (descriptionLines.length === 0) {
+        return null;
+    }
+
+    const indent = lineText.match(/^\s*/)[0];
+    let prefix;
+    if (todoComment.kind === 'line') {
+        prefix = lineText.slice(0, todoComment.commentStart).trim() ? indent + todoComment.open : lineText.slice(0, todoComment.contentStart);
+    } else if (!todoComment.close && todoComment.open) {
+        prefix = indent + (todoComment.open.includes('*') ? ' *' : '');
+    } else if (!todoComment.close) {
+        prefix = lineText.slice(0, todoComment.contentStart);
+    } else {
+        return null;
+    }
+    prefix = prefix.replace(/\s*$/, ' ');
+    return {
+        startLine: todoComment.line,
+        startColumn: lineText.length,
+        endLine: todoComment.line,
+        endColumn: lineText.length,
+        text: descriptionLines.map(line => '\n' + prefix + line).join('')
+    };
+}
+
+/**
+ * Builds the edit that rewrites the body of a TODO comment, keeping its comment opener,
+ * tag and closer intact so the original comment style is preserved.
+ * @param {string} lineText - The current text of the line holding the TODO.
+ * @param {Object} todoComment - The TODO comment as returned by findTodoComments.
+ * @param {string} text - The TODO text to write.
+ * @param {string} id - The TODO ID to append as [id:...].
+ * @returns {Object} The edit with startColumn, endColumn and the replacement text.
+ */
+function formatTodoBody(lineText, todoComment, text, id) {
+    const separator = todoComment.bodyStart > 0 && !/\s/.test(lineText[todoComment.bodyStart - 1]) ? ' ' : '';
+    const body = [text, id ? `[id:${id}]` : ''].filter(part => part).join(' ');
+    return {
+        startColumn: todoComment.bodyStart,
+        endColumn: todoComment.contentEnd,
+        text: separator + body
+    };
+}
 
 /**
  * Parses TODO items from a given document.
@@ -12,55 +282,90 @@ var utils = require('./utils');
  * @returns {Array} An array of TODO objects found in the document.
  */
 function parseTodos(document, debug = () => {}) {
+    debug(`Parsing TODOs in document: ${document.uri.fsPath}, lineCount: ${document.lineCount}, language: ${document.languageId}`);
+    return parseTodosInText(document.getText(), document.languageId, utils.getTodoLocation(document.uri), debug);
+}
+
+/**
+ * Picks the source lines around a TODO for its Notion page, without TODO IDs and common indentation.
+ * @param {Array<string>} lines - The lines of the file.
+ * @param {number} line - The zero-based line of the TODO.
+ * @param {number} count - The number of lines to take before and after the TODO.
+ * @returns {string} The lines around the TODO.
+ */
+function getCodeContext(lines, line, count) {
+    const context = lines.slice(Math.max(0, line - count), line + count + 1)
+        .map(lineText => lineText.replace(new RegExp(ID_PART_REGEX.source, 'gi'), '').replace(/\s+$/, ''));
+    const indents = context.filter(lineText => lineText).map(lineText => lineText.match(/^\s*/)[0].length);
+    const indent = indents.length > 0 ? Math.min(...indents) : 0;
+    return context.map(lineText => lineText.slice(indent)).join('\n').replace(/^\n+|\n+$/g, '');
+}
+
+/**
+ * Hashes the source lines around a TODO, so the cache can tell when they changed without storing them.
+ * @param {Object} [codeContext] - The lines around the TODO as { language, code }.
+ * @returns {string} The hash, or "" if no lines are attached.
+ */
+function hashCodeContext(codeContext) {
+    return codeContext ? crypto.createHash('sha1').update(codeContext.language + '\n' + codeContext.code).digest('hex') : "";
+}
+
+/**
+ * Parses TODO items from raw text, for files that are not open in an editor.
+ * @param {string} text - The file content to parse for TODOs.
+ * @param {string} languageId - The VSCode language identifier of the content.
+ * @param {Object} location - The filePath, relative to the workspace folder, and the workspaceFolder recorded on each TODO.
+ * @param {Function} debug - Debug logging function.
+ * @returns {Array} An array of TODO objects found in the text.
+ */
+function parseTodosInText(text, languageId, location, debug = () => {}) {
+    const filePath = location.filePath;
     const todos = [];
-    const regex = utils.getTodoRegex();
-    const idRegex = /\[id:([a-z0-9-]+)\]/i;
-    debug(`Parsing TODOs in document: ${document.uri.fsPath}, lineCount: ${document.lineCount}`);
-
-    const maxTodos = 50;
-    for (let i = 0; i < document.lineCount && todos.length < maxTodos; i++) {
-        const lineText = document.lineAt(i).text;
-        const match = regex.exec(lineText);
-        if (!match) continue;
-
-        const idMatch = lineText.match(idRegex);
-        const typeMatch = lineText.match(/\/\/\s*(TODO|FIXME|BUG|HACK|XXX)/i);
-        const type = typeMatch ? typeMatch[1].toUpperCase() : "TODO";
-
-        let todoText = lineText.trim();
-        const todoPrefixRegex = /\/\/\s*(TODO|FIXME|BUG|HACK|XXX)\s*[:\s]*/i;
-        todoText = todoText.replace(todoPrefixRegex, '').trim();
-        const idPartRegex = /\[id:[a-z0-9-]+\]/i;
-        todoText = todoText.replace(idPartRegex, '').trim();
-
-        const status = "Not started";
-        const filePath = document.uri.fsPath;
+    const todoComments = findTodoComments(text, languageId);
+    const contextLines = Math.max(0, Math.min(MAX_CODE_CONTEXT_LINES, config.getConfiguration().get('codeContextLines', 5)));
+    const lines = text.split(/\r?\n/);
+    for (const todoComment of todoComments.slice(0, MAX_TODOS_PER_FILE)) {
+        const i = todoComment.line;
+        const { type, status, priority, statusExplicit, priorityExplicit } = resolveTodoStatus(todoComment);
+        const annotation = todoComment.annotation || {};
         const lineNumber = i + 1;
 
         let todoId = null;
-        if (idMatch && idMatch[1]) {
-            todoId = idMatch[1];
+        if (todoComment.id) {
+            todoId = todoComment.id;
         } else {
             todoId = utils.generateRandomId();
             debug && debug(`Generated new TODO ID: ${todoId} for line ${i + 1}`);
         }
 
         const todo = {
-            text: todoText,
+            text: todoComment.text,
+            tag: todoComment.tag,
             type: type,
             status: status,
+            statusExplicit: statusExplicit,
+            priority: priority,
+            priorityExplicit: priorityExplicit,
+            assignees: annotation.assignees || [],
+            due: annotation.due || "",
+            labels: annotation.labels || [],
+            description: todoComment.descriptionLines.map(descriptionLine => descriptionLine.text).join('\n'),
+            codeContext: contextLines > 0 ? { language: languageId, code: getCodeContext(lines, i, contextLines) } : undefined,
             filePath: filePath,
+            workspaceFolder: location.workspaceFolder,
             lineNumber: lineNumber,
             line: i,
-            column: 0,
-            id: todoId
+            column: todoComment.commentStart,
+            id: todoId,
+            // Generated IDs only last until they are written into the comment
+            idGenerated: !todoComment.id
         };
         todos.push(todo);
     }
-    if (todos.length >= maxTodos) {
-        debug(`Reached TODO limit of ${maxTodos} in document: ${document.uri.fsPath}. Stopping parsing to prevent memory issues.`);
+    if (todoComments.length >= MAX_TODOS_PER_FILE) {
+        debug(`Reached TODO limit of ${MAX_TODOS_PER_FILE} in document: ${filePath}. Stopping parsing to prevent memory issues.`);
     }
-    debug(`Finished parsing ${todos.length} TODOs in document: ${document.uri.fsPath}`);
+    debug(`Finished parsing ${todos.length} TODOs in document: ${filePath}`);
     return todos;
 }
 
@@ -72,47 +377,81 @@ function parseTodos(document, debug = () => {}) {
  */
 function scanDocumentsForTodos(openDocuments, debug = () => {}) {
     const todos = [];
-    const regex = utils.getTodoRegex();
-    const idRegex = /\/\/\s*(TODO|FIXME|BUG|HACK|XXX)\s*\[id:([a-z0-9-]+)\]\s*(.*)/i;
-    debug(`Scanning TODOs across ${Object.values(openDocuments).length} open documents`);
+    const documents = Object.values(openDocuments);
+    debug(`Scanning TODOs across ${documents.length} open documents`);
 
-    Object.values(openDocuments).forEach(document => {
+    documents.forEach(document => {
         if (document.uri.scheme === 'file' || document.uri.scheme === 'untitled') {
-            const text = document.getText();
-            let match;
-            const maxTodos = 50; // Reduced limit per document to prevent memory overload
-            while ((match = regex.exec(text)) !== null && todos.length < maxTodos * (Object.values(openDocuments).indexOf(document) + 1)) {
-                while (text[match.index] === '\n' || text[match.index] === '\r') {
-                    match.index++;
-                    match[0] = match[0].substring(1);
-                }
-
-                const offset = match.index;
-                const position = document.positionAt(offset);
-                const lineText = document.lineAt(position.line).text;
-                const idMatch = lineText.match(idRegex);
-
-                const todo = {
-                    text: lineText.trim(),
-                    line: position.line,
-                    column: position.character,
-                    id: idMatch ? idMatch[2] : null,
-                    uri: document.uri
-                };
-
-                todos.push(todo);
+            const todoComments = findTodoComments(document.getText(), document.languageId);
+            if (todoComments.length > MAX_TODOS_PER_FILE) {
+                debug(`Reached TODO limit of ${MAX_TODOS_PER_FILE} in document: ${document.uri.fsPath}. Remaining TODOs are skipped.`);
             }
+            todoComments.slice(0, MAX_TODOS_PER_FILE).forEach(todoComment => {
+                const { type, status, statusExplicit, priority, priorityExplicit } = resolveTodoStatus(todoComment);
+                const annotation = todoComment.annotation || {};
+                todos.push({
+                    text: todoComment.text,
+                    tag: todoComment.tag,
+                    type: type,
+                    status: status,
+                    statusExplicit: statusExplicit,
+                    priority: priority,
+                    priorityExplicit: priorityExplicit,
+                    assignees: annotation.assignees || [],
+                    due: annotation.due || "",
+                    labels: annotation.labels || [],
+                    description: todoComment.descriptionLines.map(descriptionLine => descriptionLine.text).join('\n'),
+                    line: todoComment.line,
+                    column: todoComment.commentStart,
+                    id: todoComment.id,
+                    uri: document.uri
+                });
+            });
         }
     });
 
-    if (todos.length >= maxTodos * Object.values(openDocuments).length) {
-        debug(`Reached total TODO limit of ${maxTodos * Object.values(openDocuments).length} across open documents. Stopping scanning to prevent memory issues.`);
-    }
     debug(`Finished scanning ${todos.length} TODOs across open documents`);
     return todos;
 }
 
+/**
+ * Copies the fields of a parsed TODO that are kept between sessions, leaving out editor objects such as URIs.
+ * The source lines around the TODO are kept as a hash.
+ * @param {Object} todo - The parsed TODO item.
+ * @returns {Object} A plain, serializable copy of the TODO.
+ */
+function toStoredTodo(todo) {
+    return {
+        id: todo.id,
+        text: todo.text,
+        tag: todo.tag,
+        type: todo.type,
+        status: todo.status,
+        statusExplicit: Boolean(todo.statusExplicit),
+        priority: todo.priority,
+        priorityExplicit: Boolean(todo.priorityExplicit),
+        assignees: todo.assignees || [],
+        due: todo.due || "",
+        labels: todo.labels || [],
+        description: todo.description || "",
+        codeContextHash: hashCodeContext(todo.codeContext),
+        filePath: todo.filePath,
+        workspaceFolder: todo.workspaceFolder || "",
+        lineNumber: todo.lineNumber
+    };
+}
+
 module.exports = {
+    MAX_TODOS_PER_FILE,
+    findTodoComments,
+    formatTodoPrefix,
+    formatTodoAnnotation,
+    formatTodoDescription,
+    isWritableLabel,
+    hashCodeContext,
+    formatTodoBody,
     parseTodos,
-    scanDocumentsForTodos
+    parseTodosInText,
+    scanDocumentsForTodos,
+    toStoredTodo
 };
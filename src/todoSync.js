@@ -5,43 +5,60 @@
 var vscode = require('vscode');
 var notion = require('./notion.js');
 var todoParser = require('./todoParser.js');
+var workspaceScanner = require('./workspaceScanner.js');
+var syncQueue = require('./syncQueue.js');
+var config = require('./config.js');
+var todoMerge = require('./todoMerge.js');
+var todoConflicts = require('./todoConflicts.js');
+var syncPlan = require('./syncPlan.js');
+var syncPreview = require('./syncPreview.js');
+var syncHistory = require('./syncHistory.js');
+var notionUsers = require('./notionUsers.js');
+
+var TODO_CACHE_KEY = 'TODOtoNOTION.todoCache';
 
 // Global flag to prevent sync loop
 let skipNextSaveForUri = {};
 
+// Fired whenever a sync changed the cached TODOs or read the Notion state,
+// with the result of notion.syncTodos when the sync pushed TODOs to Notion
+var syncEmitter = new vscode.EventEmitter();
+
 /**
  * Synchronizes TODO items from Notion to the code.
  * @param {Object} context - The VSCode extension context.
  * @param {Object} openDocuments - An object containing open TextDocuments.
+ * @param {Object} todoCache - Cache of TODOs per file URI.
  * @param {Object} notionStatusBarIndicator - The status bar item for Notion sync status.
  * @param {Function} debug - Debug logging function.
  */
-function syncNotionToCode(context, openDocuments, notionStatusBarIndicator, debug) {
+function syncNotionToCode(context, openDocuments, todoCache, notionStatusBarIndicator, debug) {
     if (notionStatusBarIndicator) {
         notionStatusBarIndicator.text = "TODOtoNOTION: Syncing...";
         notionStatusBarIndicator.show();
     }
     vscode.window.showInformationMessage("Starting sync from Notion to code...");
     
-    // Fetch state from Notion
-    notion.fetchNotionState(context).then(notionTasks => {
-        // Create a map of Notion tasks
-        const notionMap = {};
-        notionTasks.forEach(task => {
-            notionMap[task.id] = task;
-        });
-
-        // Scan open documents for tracked TODOs
-        const codeTodos = todoParser.scanDocumentsForTodos(openDocuments, debug);
-        const codeMap = {};
-        codeTodos.forEach(todo => {
-            if (todo.id) {
-                codeMap[todo.id] = todo;
-            }
-        });
+    // Scan open documents for tracked TODOs
+    const codeTodos = todoParser.scanDocumentsForTodos(openDocuments, debug);
+    const codeMap = {};
+    codeTodos.forEach(todo => {
+        if (todo.id) {
+            codeMap[todo.id] = todo;
+        }
+    });
 
-        // Reconciliation logic
-        reconcileNotionToCode(notionMap, codeMap);
+    // Fetch only the Notion rows for TODOs present in open documents
+    readNotionState(context, todoCache, codeMap).then(async ({ notionMap, usersByDatabase }) => {
+        const { removedIds, conflicts } = await reconcileNotionToCode(context, notionMap, codeMap, usersByDatabase, debug, { history: syncHistory.startSync("Sync from Notion") });
+        if (removedIds.length > 0) {
+            // Comments removed because of their Notion status must not count as removed from code
+            await forgetTodos(context, todoCache, removedIds);
+        }
+        syncEmitter.fire();
+        if (conflicts.length > 0) {
+            todoConflicts.resolveConflicts(context, conflicts, getConflictHandlers(context), debug);
+        }
         if (notionStatusBarIndicator) {
             notionStatusBarIndicator.text = "TODOtoNOTION: Idle";
             notionStatusBarIndicator.show();
@@ -55,85 +72,434 @@ function syncNotionToCode(context, openDocuments, notionStatusBarIndicator, debu
     });
 }
 
+/**
+ * Reads the Notion tasks of the TODOs in code, with what reconcileNotionToCode needs to apply them.
+ * @param {Object} context - The VSCode extension context.
+ * @param {Object} todoCache - Cache of TODOs per file URI.
+ * @param {Object} codeMap - Map of TODOs from code, keyed by TODO ID.
+ * @param {Object} [options] - quiet to suppress the toasts of the fetch.
+ * @returns {Promise<Object>} The Notion tasks keyed by TODO ID, like codeMap, and the Notion users per database ID.
+ */
+async function readNotionState(context, todoCache, codeMap, options = {}) {
+    // Fetch only the Notion rows for TODOs present in code
+    const notionTasks = await notion.fetchNotionState(context, { todoIds: Object.keys(codeMap), quiet: options.quiet });
+    const notionMap = {};
+    notionTasks.forEach(task => {
+        if (task.customId) {
+            notionMap[task.customId] = task;
+        }
+    });
+
+    // The Notion users tell which handles in code name the assigned people
+    const usersByDatabase = await listUsersByDatabase(context, notionTasks);
+    await notion.readDescriptions(context, notionTasks);
+    // Description lines edited in code since the last sync are pushed on save rather than overwritten
+    Object.keys(notionMap).forEach(todoId => {
+        const codeTodo = codeMap[todoId];
+        const cached = codeTodo && (todoCache[codeTodo.uri.toString()] || {})[todoId];
+        if (!cached || cached.description !== (codeTodo.description || "")) {
+            delete notionMap[todoId].description;
+        }
+    });
+    return { notionMap, usersByDatabase };
+}
+
 /**
  * Reconciles TODO items from Notion to code, updating or deleting as necessary.
- * @param {Object} notionMap - Map of TODOs from Notion.
- * @param {Object} codeMap - Map of TODOs from code.
+ * The Notion status decides through TODOtoNOTION.statuses whether the comment is kept,
+ * marked with the status (TODO[wip], DONE:) or removed.
+ * Text edits are merged against the last-synced baseline: only Notion-side edits reach the code,
+ * and edits made on both sides are returned as conflicts. The people, priority, due date and labels
+ * set in Notion replace those of the comment annotation, e.g. TODO(@alice, p1, due:2026-12-01, #backend),
+ * and the page body replaces the description lines when it was read (TODOtoNOTION.descriptionFromNotion).
+ * @param {Object} context - The VSCode extension context.
+ * @param {Object} notionMap - Map of TODOs from Notion, keyed by TODO ID.
+ * @param {Object} codeMap - Map of TODOs from code, keyed by TODO ID.
+ * @param {Object} usersByDatabase - The Notion users per database ID; assignees are left alone for databases without users.
+ * @param {Function} debug - Debug logging function.
+ * @param {Object} [options] - dryRun to only work out the changes, returned as plan steps (see syncPlan) without editing code,
+ * selectedKeys, a Set of the keys of the plan steps to apply, leaving out the others, and history, the sync (see syncHistory.startSync)
+ * to log the code edits under; a sync of its own if omitted.
+ * @returns {Promise<Object>} The IDs of the TODOs removed from code, the text conflicts to resolve and the plan steps.
+ * Only the edits that were applied count as removed and are logged.
  */
-function reconcileNotionToCode(notionMap, codeMap) {
+async function reconcileNotionToCode(context, notionMap, codeMap, usersByDatabase, debug, options = {}) {
     let updatedCount = 0;
-    let deletedCount = 0;
+    const removedIds = [];
+    const conflicts = [];
+    const agreedTexts = {};
+    const plan = [];
+    const edits = [];
+    const history = options.history || syncHistory.startSync("Sync from Notion");
+    // Applies a step unless this is a dry run or the user left it out of the plan
+    const apply = step => {
+        plan.push(step);
+        return !options.dryRun && syncPlan.isSelected(step, options.selectedKeys);
+    };
 
     // Iterate through Notion tasks to update or delete in code
-    Object.keys(notionMap).forEach(notionId => {
-        const notionTask = notionMap[notionId];
-        const codeTodo = codeMap[notionId];
-
-        if (notionTask && notionTask.status === "Archived") {
-            // Delete from code if it exists
-            if (codeTodo) {
-                deleteTodoFromCode(codeTodo);
-                deletedCount++;
+    Object.keys(notionMap).forEach(todoId => {
+        const notionTask = notionMap[todoId];
+        const codeTodo = codeMap[todoId];
+        if (!notionTask || !codeTodo) {
+            return;
+        }
+
+        const statusDefinition = config.getStatusDefinition(notionTask.status);
+        if (statusDefinition && statusDefinition.onNotion === "remove") {
+            const step = syncPlan.createStep("code", "delete", codeTodo, {
+                pageId: notionTask.id,
+                databaseId: notionTask.databaseId,
+                changes: [{ field: "status", from: codeTodo.status, to: notionTask.status }]
+            });
+            if (apply(step)) {
+                debug(`TODO with ID: ${todoId} is "${notionTask.status}" in Notion, removing it from code.`);
+                edits.push({ todoId, codeTodo, step });
             }
-        } else if (codeTodo && notionTask && notionTask.text) {
-            // Update code if text has changed
-            if (notionTask.text !== codeTodo.text) {
-                updateTodoInCode(codeTodo, notionTask.text);
-                updatedCount++;
+            return;
+        }
+
+        const changes = {};
+        let pulledText = false;
+        // Update code if the text was changed in Notion; without a baseline yet, Notion wins
+        if (notionTask.text) {
+            const baseText = todoMerge.getBaseline(context, todoId);
+            const textMerge = todoMerge.mergeText(baseText, codeTodo.text, notionTask.text);
+            if (textMerge === "notion" || textMerge === "unknown") {
+                changes.text = notionTask.text;
+                pulledText = true;
+            } else if (textMerge === "same") {
+                agreedTexts[todoId] = notionTask.text;
+            } else if (textMerge === "conflict") {
+                conflicts.push({ todo: codeTodo, pageId: notionTask.id, databaseId: notionTask.databaseId, baseText, codeText: codeTodo.text, notionText: notionTask.text });
+            } else {
+                debug(`TODO with ID: ${todoId} was edited in code only, keeping the code text until it is saved.`);
             }
         }
+        // Mark the Notion status in code, or drop a marker that no longer matches it
+        const marksStatus = statusDefinition && statusDefinition.onNotion === "mark" && (statusDefinition.marker || statusDefinition.tag);
+        const inSync = codeTodo.statusExplicit && codeTodo.status === (statusDefinition ? statusDefinition.status : notionTask.status);
+        if (notionTask.status && !inSync && (marksStatus || codeTodo.statusExplicit)) {
+            changes.status = marksStatus ? statusDefinition : null;
+            changes.type = notionTask.type;
+        }
+        const annotation = getAnnotationChanges(notionTask, codeTodo, usersByDatabase[notionTask.databaseId] || null);
+        if (Object.keys(annotation).length > 0) {
+            debug(`TODO with ID: ${todoId} has other ${Object.keys(annotation).join(", ")} in Notion, updating its annotation in code.`);
+            changes.annotation = annotation;
+        }
+        if (notionTask.description !== undefined && notionTask.description !== (codeTodo.description || "")) {
+            debug(`TODO with ID: ${todoId} has another description in Notion, updating its comment lines.`);
+            changes.description = notionTask.description;
+        }
+        if (Object.keys(changes).length === 0) {
+            return;
+        }
+        const step = syncPlan.createStep("code", "update", codeTodo, {
+            text: changes.text,
+            pageId: notionTask.id,
+            databaseId: notionTask.databaseId,
+            changes: getPlanChanges(codeTodo, notionTask, changes)
+        });
+        if (apply(step)) {
+            edits.push({ todoId, codeTodo, step, changes, agreedText: pulledText ? notionTask.text : undefined });
+        }
     });
 
+    if (options.dryRun) {
+        return { removedIds, conflicts, plan };
+    }
+    // Edits are applied one at a time from the bottom of each file up, so none moves the lines of those still to come
+    edits.sort((first, second) => first.codeTodo.uri.toString().localeCompare(second.codeTodo.uri.toString()) || second.codeTodo.line - first.codeTodo.line);
+    for (const edit of edits) {
+        const audit = { context, history, step: edit.step };
+        try {
+            if (!edit.changes) {
+                if (await deleteTodoFromCode(edit.codeTodo, audit)) {
+                    removedIds.push(edit.todoId);
+                }
+            } else if (await updateTodoInCode(edit.codeTodo, edit.changes, audit)) {
+                updatedCount++;
+                if (edit.agreedText !== undefined) {
+                    agreedTexts[edit.todoId] = edit.agreedText;
+                }
+            }
+        } catch (error) {
+            vscode.window.showErrorMessage(`Failed to update TODO with ID ${edit.todoId} in code: ${error.message}`);
+            debug(`Error applying Notion changes to TODO with ID: ${edit.todoId}: ${error.message}`);
+        }
+    }
     if (updatedCount > 0) {
         vscode.window.showInformationMessage(`Updated ${updatedCount} TODOs from Notion.`);
     }
-    if (deletedCount > 0) {
-        vscode.window.showInformationMessage(`Deleted ${deletedCount} TODOs from code based on Notion state.`);
+    if (removedIds.length > 0) {
+        vscode.window.showInformationMessage(`Deleted ${removedIds.length} TODOs from code based on Notion state.`);
     }
-    if (updatedCount === 0 && deletedCount === 0) {
+    if (updatedCount === 0 && removedIds.length === 0 && conflicts.length === 0) {
         vscode.window.showInformationMessage("No changes needed. Code is in sync with Notion.");
     }
+    await todoMerge.setBaselines(context, agreedTexts);
+    return { removedIds, conflicts, plan };
+}
+
+/**
+ * Lists the values a rewrite of a TODO comment changes, for its plan step.
+ * @param {Object} codeTodo - The TODO parsed from code.
+ * @param {Object} notionTask - The Notion task of the TODO.
+ * @param {Object} changes - The changes for updateTodoInCode.
+ * @returns {Array} The changes as { field, from, to }.
+ */
+function getPlanChanges(codeTodo, notionTask, changes) {
+    const planChanges = [];
+    if (changes.text !== undefined) {
+        planChanges.push({ field: "text", from: codeTodo.text, to: changes.text });
+    }
+    if (changes.status !== undefined) {
+        planChanges.push({ field: "status", from: codeTodo.status, to: notionTask.status });
+    }
+    const annotation = changes.annotation || {};
+    if (annotation.assignees !== undefined) {
+        planChanges.push({ field: "assignees", from: codeTodo.assignees, to: annotation.assignees });
+    }
+    if (annotation.priority !== undefined) {
+        planChanges.push({ field: "priority", from: codeTodo.priority, to: notionTask.priority });
+    }
+    ["due", "labels"].filter(field => annotation[field] !== undefined).forEach(field => {
+        planChanges.push({ field: field, from: codeTodo[field], to: annotation[field] });
+    });
+    if (changes.description !== undefined) {
+        planChanges.push({ field: "description", from: codeTodo.description, to: changes.description });
+    }
+    return planChanges;
+}
+
+/**
+ * Works out how the annotation of a TODO comment must change to match its Notion page.
+ * A priority is only marked in code when it differs from the tag's default and has a marker;
+ * labels that cannot be written as #label stay in Notion only.
+ * @param {Object} notionTask - The Notion task of the TODO.
+ * @param {Object} codeTodo - The TODO parsed from code.
+ * @param {Array|null} users - The Notion users, or null to leave assignees alone.
+ * @returns {Object} The assignees, priority marker, due date and labels to write; those already in sync are absent.
+ */
+function getAnnotationChanges(notionTask, codeTodo, users) {
+    const annotation = {};
+    if (users && Array.isArray(notionTask.assignees)) {
+        const assignees = notionUsers.mergeAssignees(codeTodo.assignees || [], notionTask.assignees, users);
+        if (assignees) {
+            annotation.assignees = assignees;
+        }
+    }
+    if (notionTask.priority !== undefined && notionTask.priority !== codeTodo.priority) {
+        const marker = config.getMarkerForPriority(notionTask.priority);
+        if (marker || codeTodo.priorityExplicit) {
+            annotation.priority = marker || null;
+        }
+    }
+    if (notionTask.due !== undefined && notionTask.due !== (codeTodo.due || "")) {
+        annotation.due = notionTask.due || null;
+    }
+    if (notionTask.labels !== undefined) {
+        const labels = notionTask.labels.filter(label => todoParser.isWritableLabel(label));
+        const codeLabels = codeTodo.labels || [];
+        if (labels.length !== codeLabels.length || labels.some(label => !codeLabels.includes(label))) {
+            annotation.labels = labels;
+        }
+    }
+    return annotation;
 }
 
 /**
- * Updates a TODO item in the code with new text.
+ * Lists the Notion users of each database with assigned tasks, as their tokens may belong to different workspaces.
+ * @param {Object} context - The VSCode extension context.
+ * @param {Array} notionTasks - The Notion tasks, with the databaseId they came from.
+ * @returns {Promise<Object>} The users per database ID; null for databases whose users could not be listed.
+ */
+async function listUsersByDatabase(context, notionTasks) {
+    const usersByDatabase = {};
+    for (const task of notionTasks.filter(notionTask => notionTask.assignees)) {
+        if (!(task.databaseId in usersByDatabase)) {
+            usersByDatabase[task.databaseId] = await notion.listUsers(context, task.databaseId);
+        }
+    }
+    return usersByDatabase;
+}
+
+/**
+ * Returns the functions that write the resolved text of a conflict to code and to Notion.
+ * @param {Object} context - The VSCode extension context.
+ * @returns {Function} Builds the writeCode and writeNotion handlers for a conflict.
+ */
+function getConflictHandlers(context) {
+    return conflict => ({
+        writeCode: text => updateTodoInCode(conflict.todo, { text }),
+        writeNotion: text => notion.updateTodo(context, conflict.pageId, { text, id: conflict.todo.id }, conflict.databaseId)
+    });
+}
+
+/**
+ * Updates a TODO item in the code with its Notion text, status, annotation and description, keeping the comment style of the line.
  * @param {Object} todo - The TODO item to update.
- * @param {string} newText - The new text for the TODO item.
- */
-function updateTodoInCode(todo, newText) {
-    vscode.workspace.openTextDocument(todo.uri).then(document => {
-        vscode.window.showTextDocument(document).then(editor => {
-            editor.edit(editBuilder => {
-                const range = document.lineAt(todo.line).range;
-                editBuilder.replace(range, newText);
-            }).then(applied => {
+ * @param {Object} changes - The new text, the status to mark (a status definition, or null to remove the marker) with the Notion type,
+ * the annotation values to change, as for todoParser.formatTodoAnnotation, and/or the new description.
+ * @param {Object} [audit] - The context, the history sync and the plan step to log the edit under (see recordCodeEdit).
+ * @returns {Thenable<boolean>} Resolves to true if the comment was updated.
+ */
+function updateTodoInCode(todo, changes, audit) {
+    return vscode.workspace.openTextDocument(todo.uri).then(document => {
+        return vscode.window.showTextDocument(document).then(editor => {
+            const todoComment = findTodoCommentAtLine(document, todo.line);
+            if (!todoComment || todoComment.id !== todo.id) {
+                vscode.window.showErrorMessage(`Failed to update TODO with ID ${todo.id} in code: the comment moved or was removed.`);
+                return false;
+            }
+            const beforeText = document.getText();
+            return editor.edit(editBuilder => {
+                const lineText = document.lineAt(todo.line).text;
+                if (changes.text !== undefined) {
+                    const edit = todoParser.formatTodoBody(lineText, todoComment, changes.text, todo.id);
+                    editBuilder.replace(new vscode.Range(todo.line, edit.startColumn, todo.line, edit.endColumn), edit.text);
+                }
+                if (changes.status !== undefined) {
+                    const edit = todoParser.formatTodoPrefix(lineText, todoComment, changes.status, changes.type);
+                    editBuilder.replace(new vscode.Range(todo.line, edit.startColumn, todo.line, edit.endColumn), edit.text);
+                }
+                if (changes.annotation !== undefined) {
+                    const edit = todoParser.formatTodoAnnotation(todoComment, changes.annotation);
+                    editBuilder.replace(new vscode.Range(todo.line, edit.startColumn, todo.line, edit.endColumn), edit.text);
+                }
+                if (changes.description !== undefined) {
+                    const edit = todoParser.formatTodoDescription(lineText, todoComment, changes.description);
+                    if (edit) {
+                        editBuilder.replace(new vscode.Range(edit.startLine, edit.startColumn, edit.endLine, edit.endColumn), edit.text);
+                    }
+                }
+            }).then(async applied => {
                 if (!applied) {
                     vscode.window.showErrorMessage(`Failed to update TODO with ID ${todo.id} in code.`);
+                } else {
+                    await recordCodeEdit(audit, document, beforeText);
                 }
+                return applied;
             });
         });
     });
 }
 
 /**
- * Deletes a TODO item from the code.
+ * Deletes a TODO item from the code, with its description lines. Only the comment is removed, so code sharing
+ * the line is kept; a line holding nothing but the comment is removed entirely.
  * @param {Object} todo - The TODO item to delete.
+ * @param {Object} [audit] - The context, the history sync and the plan step to log the edit under (see recordCodeEdit).
+ * @returns {Thenable<boolean>} Resolves to true if the comment was deleted.
  */
-function deleteTodoFromCode(todo) {
-    vscode.workspace.openTextDocument(todo.uri).then(document => {
-        vscode.window.showTextDocument(document).then(editor => {
-            editor.edit(editBuilder => {
-                const range = document.lineAt(todo.line).range;
-                editBuilder.delete(range);
-            }).then(applied => {
+function deleteTodoFromCode(todo, audit) {
+    return vscode.workspace.openTextDocument(todo.uri).then(document => {
+        return vscode.window.showTextDocument(document).then(editor => {
+            const todoComment = findTodoCommentAtLine(document, todo.line);
+            if (!todoComment || todoComment.id !== todo.id) {
+                vscode.window.showErrorMessage(`Failed to delete TODO with ID ${todo.id} from code: the comment moved or was removed.`);
+                return false;
+            }
+            const beforeText = document.getText();
+            return editor.edit(editBuilder => {
+                editBuilder.delete(getCommentRange(document, todoComment));
+                const descriptionRange = getDescriptionRange(document, todoComment);
+                if (descriptionRange) {
+                    editBuilder.delete(descriptionRange);
+                }
+            }).then(async applied => {
                 if (!applied) {
                     vscode.window.showErrorMessage(`Failed to delete TODO with ID ${todo.id} from code.`);
+                } else {
+                    await recordCodeEdit(audit, document, beforeText);
                 }
+                return applied;
             });
         });
     });
 }
 
+/**
+ * Logs an edit a sync made to a comment in the sync history, with the lines it replaced.
+ * @param {Object} [audit] - The VSCode extension context, the sync (see syncHistory.startSync) and the plan step of the edit,
+ * as { context, history, step }; nothing is logged without it.
+ * @param {Object} document - The edited TextDocument.
+ * @param {string} beforeText - The text of the document before the edit.
+ * @returns {Promise<void>}
+ */
+async function recordCodeEdit(audit, document, beforeText) {
+    if (!audit) {
+        return;
+    }
+    const edit = syncHistory.diffLines(beforeText, document.getText());
+    await syncHistory.record(audit.context, audit.history, [Object.assign({}, audit.step, { uri: document.uri.toString() }, edit)]);
+}
+
+/**
+ * Removes the comment of a cached TODO from code and forgets it once removed, so the file's next sync
+ * does not treat it as removed, e.g. after its Notion page was archived from the TODO Explorer.
+ * The document is edited but left unsaved.
+ * @param {Object} context - The VSCode extension context.
+ * @param {Object} todoCache - Cache of TODOs per file URI.
+ * @param {string} uriStr - The URI of the file holding the TODO.
+ * @param {Object} todo - The cached TODO.
+ * @returns {Promise<void>}
+ */
+async function removeTodoFromCode(context, todoCache, uriStr, todo) {
+    if (await deleteTodoFromCode({ id: todo.id, uri: vscode.Uri.parse(uriStr), line: todo.lineNumber - 1 })) {
+        await forgetTodos(context, todoCache, [todo.id]);
+    }
+}
+
+/**
+ * Returns the range to delete to remove a TODO comment from its line.
+ * @param {Object} document - The TextDocument holding the comment.
+ * @param {Object} todoComment - The TODO comment as returned by findTodoComments.
+ * @returns {Object} The range covering the comment, or the whole line if nothing else is on it.
+ */
+function getCommentRange(document, todoComment) {
+    const line = todoComment.line;
+    const lineText = document.lineAt(line).text;
+    const wholeLine = line + 1 < document.lineCount ? new vscode.Range(line, 0, line + 1, 0) : document.lineAt(line).range;
+
+    // A line inside a multi-line block comment holds only the TODO
+    if (todoComment.kind === 'block' && !todoComment.open && !todoComment.close) {
+        return wholeLine;
+    }
+    // First or last line of a multi-line block comment: keep the delimiter
+    if (todoComment.kind === 'block' && (!todoComment.open || !todoComment.close)) {
+        return new vscode.Range(line, todoComment.contentStart, line, todoComment.contentEnd);
+    }
+
+    const end = todoComment.close ? lineText.indexOf(todoComment.close, todoComment.contentEnd) + todoComment.close.length : lineText.length;
+    const before = lineText.slice(0, todoComment.commentStart);
+    if (!before.trim() && !lineText.slice(end).trim()) {
+        return wholeLine;
+    }
+    return new vscode.Range(line, before.replace(/\s+$/, '').length, line, end);
+}
+
+/**
+ * Returns the range to delete to remove the description lines of a TODO comment.
+ * @param {Object} document - The TextDocument holding the comment.
+ * @param {Object} todoComment - The TODO comment as returned by findTodoComments.
+ * @returns {Object|null} The range covering the description lines, keeping the closer of a block comment
+ * ending on the last one, or null if the TODO has no description.
+ */
+function getDescriptionRange(document, todoComment) {
+    const descriptionLines = todoComment.descriptionLines || [];
+    if (descriptionLines.length === 0) {
+        return null;
+    }
+    const first = descriptionLines[0];
+    const last = descriptionLines[descriptionLines.length - 1];
+    if (last.close) {
+        return new vscode.Range(first.line, 0, last.line, last.contentEnd);
+    }
+    return last.line + 1 < document.lineCount ? new vscode.Range(first.line, 0, last.line + 1, 0) : new vscode.Range(first.line, 0, last.line, document.lineAt(last.line).text.length);
+}
+
 /**
  * Synchronizes TODO items to Notion on document save with debouncing to prevent excessive syncs.
  * @param {Object} document - The saved TextDocument.
@@ -157,27 +523,47 @@ function syncTodosOnSave(document, context, todoCache, debug) {
     const uriStr = document.uri.toString();
     // Parse current TODOs in the document (limit to 100 per doc for safety)
     const todos = todoParser.parseTodos(document, debug).slice(0, 100);
-    const cachedTodos = todoCache[uriStr] || {};
+    const cachedTodos = getRemovalCandidates(todoCache, uriStr);
+    // A TODO cut from this file may be pasted into another open document that is not saved yet: it stays
+    // cached for this file, so it is handled as removed once it is gone from there too, and not archived now
+    const currentIds = new Set(todos.map(todo => todo.id));
+    const openIds = getOpenDocumentTodoIds(uriStr);
+    const pastedTodos = Object.values(cachedTodos).filter(cached => !currentIds.has(cached.id) && openIds.has(cached.id));
+    pastedTodos.forEach(cached => delete cachedTodos[cached.id]);
 
     debug(`Syncing ${todos.length} TODOs for document: ${uriStr}`);
-    if (todos.length === 0) {
+    if (todos.length === 0 && Object.keys(cachedTodos).length === 0) {
         debug(`No TODOs found to sync for document: ${uriStr}`);
         vscode.window.showInformationMessage("No TODOs found to sync in current document.");
         return;
     }
 
-    notion.syncTodos(context, todos, cachedTodos).then(result => {
-        const { created, updated, deleted } = result;
-        // Update cache with current state
-        todoCache[uriStr] = {};
-        todos.forEach(todo => {
-            if (todo.id) {
-                todoCache[uriStr][todo.id] = todo;
+    notion.syncTodos(context, todos, cachedTodos, { history: syncHistory.startSync("Save") }).then(async result => {
+        const { created, updated, deleted, resolved, failed, conflicts } = result;
+        if (result.error) {
+            // The cache keeps the last synced state, so the next sync sends the changes and removals again;
+            // pages created in other databases before the error still need their ID in code
+            if (created.length > 0) {
+                injectTodoIds(document, created, debug);
             }
-        });
+            return;
+        }
+        const queued = await syncQueue.recordSyncResult(context, result, debug);
+        // Update cache with current state
+        await storeFileTodos(context, todoCache, { [uriStr]: todos });
+        if (pastedTodos.length > 0) {
+            todoCache[uriStr] = todoCache[uriStr] || {};
+            pastedTodos.forEach(cached => {
+                todoCache[uriStr][cached.id] = cached;
+            });
+            await context.workspaceState.update(TODO_CACHE_KEY, todoCache);
+        }
+        syncEmitter.fire(result);
         // Inject IDs for all TODOs that do not have them in the code
-        injectTodoIds(document, todos, debug);
-        debug(`Sync result for ${uriStr}: ${created.length} created, ${updated.length} updated, ${deleted.length} deleted.`);
+        if (todos.length > 0) {
+            injectTodoIds(document, todos, debug);
+        }
+        debug(`Sync result for ${uriStr}: ${created.length} created, ${updated.length} updated, ${deleted.length} deleted, ${resolved.length} resolved, ${failed.length} failed.`);
         if (created.length > 0) {
             vscode.window.showInformationMessage(`Synced ${created.length} new TODOs to Notion.`);
         }
@@ -187,12 +573,451 @@ function syncTodosOnSave(document, context, todoCache, debug) {
         if (deleted.length > 0) {
             vscode.window.showInformationMessage(`Archived ${deleted.length} TODOs in Notion.`);
         }
+        if (resolved.length > 0) {
+            vscode.window.showInformationMessage(`Marked ${resolved.length} removed TODOs as done in Notion.`);
+        }
+        if (queued > 0) {
+            vscode.window.showWarningMessage(`Notion is unreachable: ${queued} TODO change(s) queued and will be sent when it is back.`);
+        }
+        if (conflicts.length > 0) {
+            conflicts.forEach(conflict => {
+                conflict.todo.uri = document.uri;
+            });
+            await todoConflicts.resolveConflicts(context, conflicts, getConflictHandlers(context), debug);
+        }
     }).catch(error => {
         vscode.window.showErrorMessage(`Failed to sync TODOs to Notion: ${error.message}`);
         debug(`Error syncing TODOs for ${uriStr}: ${error.message}`);
     });
 }
 
+/**
+ * Syncs a single TODO both ways: its changes in code are pushed to Notion, then its Notion text
+ * and status are applied to the comment, as a sync from Notion would.
+ * @param {Object} context - The VSCode extension context.
+ * @param {Object} todoCache - Cache of TODOs per file URI.
+ * @param {Object} uri - The URI of the document holding the TODO.
+ * @param {number} line - The zero-based line of the TODO comment.
+ * @param {Function} debug - Debug logging function.
+ * @returns {Promise<void>}
+ */
+async function syncTodo(context, todoCache, uri, line, debug) {
+    const document = await vscode.workspace.openTextDocument(uri);
+    const todo = todoParser.parseTodos(document, debug).find(candidate => candidate.line === line);
+    if (!todo) {
+        vscode.window.showWarningMessage(`No TODO comment found on line ${line + 1}.`);
+        return;
+    }
+
+    const uriStr = document.uri.toString();
+    const history = syncHistory.startSync("Sync This TODO");
+    // The TODO at its last sync tells which annotation values and description lines were changed in code
+    const cachedUri = [uriStr].concat(Object.keys(todoCache)).find(cachedUriStr => (todoCache[cachedUriStr] || {})[todo.id]);
+    const cachedTodos = cachedUri ? { [todo.id]: todoCache[cachedUri][todo.id] } : {};
+    const result = await notion.syncTodos(context, [todo], cachedTodos, { quiet: true, history });
+    if (result.error) {
+        return;
+    }
+    const queued = await syncQueue.recordSyncResult(context, result, debug);
+    // Remember the TODO for removal detection, leaving the rest of the file's cache as it was
+    await storeFileTodos(context, todoCache, { [uriStr]: Object.values(todoCache[uriStr] || {}).filter(cached => cached.id !== todo.id).concat([todo]) });
+    if (!findTodoCommentAtLine(document, line).id) {
+        injectTodoIds(document, [todo], debug);
+    }
+    if (queued > 0) {
+        vscode.window.showWarningMessage("Notion is unreachable: the TODO change was queued and will be sent when it is back.");
+    } else if (result.failed.length > 0) {
+        vscode.window.showErrorMessage(`Failed to sync TODO with Notion: ${result.failed[0].error.message}`);
+    }
+
+    let conflicts = result.conflicts;
+    if (!result.offline && result.failed.length === 0) {
+        const notionTasks = await notion.fetchNotionState(context, { todoIds: [todo.id], quiet: true });
+        const notionTask = notionTasks.find(task => task.customId === todo.id);
+        if (notionTask) {
+            // The text merge of the push already reported any conflict, so only the reconcile's copy is kept
+            const usersByDatabase = await listUsersByDatabase(context, [notionTask]);
+            await notion.readDescriptions(context, [notionTask]);
+            const reconciled = await reconcileNotionToCode(context, { [todo.id]: notionTask }, { [todo.id]: Object.assign({ uri: document.uri }, todo) }, usersByDatabase, debug, { history });
+            if (reconciled.removedIds.length > 0) {
+                await forgetTodos(context, todoCache, reconciled.removedIds);
+            }
+            conflicts = reconciled.conflicts;
+        }
+    }
+    syncEmitter.fire(result);
+    if (conflicts.length > 0) {
+        conflicts.forEach(conflict => {
+            conflict.todo.uri = document.uri;
+        });
+        await todoConflicts.resolveConflicts(context, conflicts, getConflictHandlers(context), debug);
+    }
+}
+
+/**
+ * Scans every file in the workspace and syncs all TODOs with Notion in one pass,
+ * without opening editors. Shows a cancellable progress notification.
+ * @param {Object} context - The VSCode extension context.
+ * @param {Object} todoCache - Cache of TODOs per file URI.
+ * @param {Function} debug - Debug logging function.
+ * @returns {Promise<void>}
+ */
+function syncWorkspace(context, todoCache, debug) {
+    return vscode.window.withProgress({
+        location: vscode.ProgressLocation.Notification,
+        title: "TODOtoNOTION",
+        cancellable: true
+    }, async (progress, cancellationToken) => {
+        const files = await workspaceScanner.scanWorkspace(progress, cancellationToken, debug);
+        if (cancellationToken.isCancellationRequested) {
+            vscode.window.showWarningMessage("Workspace TODO scan cancelled. Nothing was synced.");
+            return;
+        }
+
+        const todos = [];
+        files.forEach(file => todos.push(...file.todos));
+        const { cachedTodos, deletedUris } = await getWorkspaceRemovalCandidates(todoCache, files);
+        if (todos.length === 0 && Object.keys(cachedTodos).length === 0) {
+            vscode.window.showInformationMessage("No TODOs found in the workspace.");
+            return;
+        }
+
+        progress.report({ message: `Syncing ${todos.length} TODOs with Notion...` });
+        const result = await notion.syncTodos(context, todos, cachedTodos, {
+            history: syncHistory.startSync("Scan and Sync All TODOs"),
+            cancellationToken,
+            onProgress: (done, total) => {
+                progress.report({ message: `Syncing TODOs with Notion (${done}/${total})`, increment: 50 / total });
+            }
+        });
+
+        if (result.error) {
+            // Nothing is cached, as on save; only TODOs whose page was created before the error get their ID
+            const createdIds = new Set(result.created.map(todo => todo.id));
+            for (const file of files) {
+                const createdTodos = file.todos.filter(todo => createdIds.has(todo.id));
+                if (createdTodos.length === 0) {
+                    continue;
+                }
+                try {
+                    await injectTodoIdsInFile(file.uri, createdTodos, debug);
+                } catch (error) {
+                    debug(`Error injecting TODO IDs into ${file.uri.fsPath}: ${error.message}`);
+                }
+            }
+            return;
+        }
+        const queued = await syncQueue.recordSyncResult(context, result, debug);
+
+        // IDs are injected even after cancellation: TODOs not yet pushed keep their ID for the next sync
+        progress.report({ message: "Writing TODO IDs..." });
+        const fileTodos = {};
+        files.forEach(file => {
+            fileTodos[file.uri.toString()] = file.todos;
+        });
+        deletedUris.forEach(uriStr => {
+            fileTodos[uriStr] = [];
+        });
+        await storeFileTodos(context, todoCache, fileTodos);
+        syncEmitter.fire(result);
+        const todoFiles = files.filter(file => file.todos.length > 0);
+        for (const file of todoFiles) {
+            try {
+                await injectTodoIdsInFile(file.uri, file.todos, debug);
+            } catch (error) {
+                debug(`Error injecting TODO IDs into ${file.uri.fsPath}: ${error.message}`);
+            }
+        }
+
+        const failures = (result.failed.length > queued ? `, ${result.failed.length - queued} failed` : "") + (queued > 0 ? `, ${queued} queued for retry` : "");
+        const removals = result.deleted.length + result.resolved.length > 0 ? `, ${result.deleted.length + result.resolved.length} removed` : "";
+        const conflicts = result.conflicts.length > 0 ? `, ${result.conflicts.length} in conflict` : "";
+        const summary = `${result.created.length} created, ${result.updated.length} updated${removals}${conflicts}${failures} across ${todoFiles.length} files`;
+        debug(`Workspace sync result: ${summary}${result.cancelled ? " (cancelled)" : ""}.`);
+        if (result.cancelled) {
+            vscode.window.showWarningMessage(`Workspace TODO sync cancelled: ${summary}.`);
+        } else {
+            vscode.window.showInformationMessage(`Workspace TODO sync completed: ${summary}.`);
+        }
+        return result.conflicts;
+    }).then(conflicts => {
+        // Conflicts are resolved once the progress notification is gone
+        if (conflicts && conflicts.length > 0) {
+            return todoConflicts.resolveConflicts(context, conflicts, getConflictHandlers(context), debug);
+        }
+    });
+}
+
+/**
+ * Previews a two-way sync of the open documents and applies the changes the user keeps.
+ * The Notion pages to create, update, archive or mark done and the comments to rewrite or delete
+ * are worked out without touching either side, then listed by syncPreview; changes left out are
+ * planned again by the next sync.
+ * @param {Object} context - The VSCode extension context.
+ * @param {Object} openDocuments - An object containing open TextDocuments.
+ * @param {Object} todoCache - Cache of TODOs per file URI.
+ * @param {Function} debug - Debug logging function.
+ * @returns {Promise<void>}
+ */
+async function previewSync(context, openDocuments, todoCache, debug) {
+    const documentTodos = {};
+    const todos = [];
+    const cachedTodos = {};
+    const removalUris = {};
+    Object.values(openDocuments).filter(document => document.uri.scheme === 'file' || document.uri.scheme === 'untitled').forEach(document => {
+        const uriStr = document.uri.toString();
+        documentTodos[uriStr] = todoParser.parseTodos(document, debug).slice(0, 100);
+        documentTodos[uriStr].forEach(todo => {
+            todo.uri = document.uri;
+            todos.push(todo);
+        });
+        const candidates = getRemovalCandidates(todoCache, uriStr);
+        Object.keys(candidates).forEach(id => {
+            removalUris[id] = uriStr;
+        });
+        Object.assign(cachedTodos, candidates);
+    });
+    if (todos.length === 0 && Object.keys(cachedTodos).length === 0) {
+        vscode.window.showInformationMessage("No TODOs found to sync in open documents.");
+        return;
+    }
+
+    // Code to Notion, then Notion to code for the TODOs whose ID is already written in code
+    const pushPreview = await notion.syncTodos(context, todos, cachedTodos, { quiet: true, dryRun: true });
+    if (pushPreview.error) {
+        return;
+    }
+    const codeMap = {};
+    todos.filter(todo => !todo.idGenerated).forEach(todo => {
+        codeMap[todo.id] = todo;
+    });
+    const { notionMap, usersByDatabase } = await readNotionState(context, todoCache, codeMap, { quiet: true });
+    const pullPreview = await reconcileNotionToCode(context, getPushedNotionMap(notionMap, codeMap, pushPreview.plan), codeMap, usersByDatabase, debug, { dryRun: true });
+    const plan = pushPreview.plan.concat(pullPreview.plan);
+    debug(`Sync preview: ${plan.length} change(s) planned${plan.length > 0 ? ` (${syncPlan.summarize(plan)})` : ""}.`);
+    if (plan.length === 0 && pushPreview.conflicts.length === 0 && pullPreview.conflicts.length === 0) {
+        vscode.window.showInformationMessage("No changes needed. Code is in sync with Notion.");
+        return;
+    }
+
+    const conflictCount = new Set(pushPreview.conflicts.concat(pullPreview.conflicts).map(conflict => conflict.todo.id)).size;
+    const picked = plan.length > 0 ? await syncPreview.pickPlanSteps(plan, conflictCount) : [];
+    if (!picked) {
+        vscode.window.showInformationMessage("Sync preview dismissed. Nothing was changed.");
+        return;
+    }
+    const selectedKeys = new Set(picked.map(step => step.key));
+    const skippedKeys = new Set(plan.filter(step => !selectedKeys.has(step.key)).map(step => step.key));
+
+    const history = syncHistory.startSync("Preview Sync");
+    const result = await notion.syncTodos(context, todos, cachedTodos, { quiet: true, selectedKeys, history });
+    if (result.error) {
+        return;
+    }
+    const queued = await syncQueue.recordSyncResult(context, result, debug);
+    // TODOs whose page was not created stay unknown; left-out updates and removals keep their last synced state
+    const fileTodos = {};
+    Object.keys(documentTodos).forEach(uriStr => {
+        fileTodos[uriStr] = documentTodos[uriStr].filter(todo => !skippedKeys.has(`notion:create:${todo.id}`));
+    });
+    const previousTodos = [];
+    Object.keys(documentTodos).forEach(uriStr => {
+        documentTodos[uriStr].filter(todo => skippedKeys.has(`notion:update:${todo.id}`) && (todoCache[uriStr] || {})[todo.id]).forEach(todo => {
+            previousTodos.push({ uriStr, cached: todoCache[uriStr][todo.id] });
+        });
+    });
+    Object.keys(cachedTodos).filter(id => skippedKeys.has(`notion:archive:${id}`) || skippedKeys.has(`notion:resolve:${id}`)).forEach(id => {
+        previousTodos.push({ uriStr: removalUris[id], cached: cachedTodos[id] });
+    });
+    await storeFileTodos(context, todoCache, fileTodos);
+    previousTodos.forEach(({ uriStr, cached }) => {
+        todoCache[uriStr] = todoCache[uriStr] || {};
+        todoCache[uriStr][cached.id] = cached;
+    });
+    await context.workspaceState.update(TODO_CACHE_KEY, todoCache);
+    for (const uriStr of Object.keys(fileTodos)) {
+        const created = fileTodos[uriStr].filter(todo => todo.idGenerated);
+        if (created.length > 0) {
+            try {
+                await injectTodoIdsInFile(vscode.Uri.parse(uriStr), created, debug);
+            } catch (error) {
+                debug(`Error injecting TODO IDs into ${uriStr}: ${error.message}`);
+            }
+        }
+    }
+
+    // The comments are reconciled with Notion as the applied pushes left it
+    const pushed = pushPreview.plan.filter(step => selectedKeys.has(step.key));
+    const pull = pullPreview.plan.some(step => selectedKeys.has(step.key)) ?
+        await reconcileNotionToCode(context, getPushedNotionMap(notionMap, codeMap, pushed), codeMap, usersByDatabase, debug, { selectedKeys, history }) :
+        { removedIds: [], conflicts: pullPreview.conflicts };
+    if (pull.removedIds.length > 0) {
+        await forgetTodos(context, todoCache, pull.removedIds);
+    }
+    syncEmitter.fire(result);
+    if (queued > 0) {
+        vscode.window.showWarningMessage(`Notion is unreachable: ${queued} TODO change(s) queued and will be sent when it is back.`);
+    }
+    if (plan.length > 0) {
+        vscode.window.showInformationMessage(`Applied ${picked.length} of ${plan.length} planned sync changes${skippedKeys.size > 0 ? `; ${skippedKeys.size} left for the next sync` : ""}.`);
+    }
+    // A text edited on both sides is reported by both directions; it is resolved once
+    const conflicts = result.conflicts.concat(pull.conflicts.filter(conflict => !result.conflicts.some(other => other.todo.id === conflict.todo.id)));
+    if (conflicts.length > 0) {
+        await todoConflicts.resolveConflicts(context, conflicts, getConflictHandlers(context), debug);
+    }
+}
+
+/**
+ * Returns the Notion tasks as they will be once the planned pushes from code are applied,
+ * so the comments are not planned to be rewritten with the values code is about to replace.
+ * @param {Object} notionMap - Map of TODOs from Notion, keyed by TODO ID.
+ * @param {Object} codeMap - Map of TODOs from code, keyed by TODO ID.
+ * @param {Array} pushPlan - The plan steps of the pushes to Notion.
+ * @returns {Object} Copies of the Notion tasks with the pushed values, keyed by TODO ID.
+ */
+function getPushedNotionMap(notionMap, codeMap, pushPlan) {
+    const pushedMap = {};
+    Object.keys(notionMap).forEach(todoId => {
+        const notionTask = Object.assign({}, notionMap[todoId]);
+        const codeTodo = codeMap[todoId];
+        const step = pushPlan.find(planStep => planStep.kind === "update" && planStep.todoId === todoId);
+        if (step && codeTodo) {
+            step.changes.forEach(change => {
+                if (change.field === "assignees") {
+                    // Pushed assignees are the people named in code, so they need no rewrite
+                    delete notionTask.assignees;
+                } else if (["text", "type", "status", "priority", "due", "labels", "description"].includes(change.field)) {
+                    notionTask[change.field] = codeTodo[change.field];
+                }
+            });
+        }
+        pushedMap[todoId] = notionTask;
+    });
+    return pushedMap;
+}
+
+/**
+ * Loads the TODOs seen in each file at its last sync, kept in the workspace state
+ * so removals are detected across restarts.
+ * @param {Object} context - The VSCode extension context.
+ * @returns {Object} The TODOs per file URI, keyed by TODO ID.
+ */
+function loadTodoCache(context) {
+    return Object.assign({}, context.workspaceState.get(TODO_CACHE_KEY, {}));
+}
+
+/**
+ * Replaces the cached TODOs of the given files and persists the cache.
+ * @param {Object} context - The VSCode extension context.
+ * @param {Object} todoCache - Cache of TODOs per file URI.
+ * @param {Object} fileTodos - The current TODOs per file URI.
+ * @returns {Promise<void>}
+ */
+async function storeFileTodos(context, todoCache, fileTodos) {
+    Object.keys(fileTodos).forEach(uriStr => {
+        const todos = fileTodos[uriStr].filter(todo => todo.id);
+        if (todos.length === 0) {
+            delete todoCache[uriStr];
+            return;
+        }
+        todoCache[uriStr] = {};
+        todos.forEach(todo => {
+            todoCache[uriStr][todo.id] = todoParser.toStoredTodo(todo);
+        });
+    });
+    await context.workspaceState.update(TODO_CACHE_KEY, todoCache);
+}
+
+/**
+ * Drops TODOs from the cache of every file and persists the cache.
+ * @param {Object} context - The VSCode extension context.
+ * @param {Object} todoCache - Cache of TODOs per file URI.
+ * @param {Array<string>} ids - The TODO IDs to forget.
+ * @returns {Promise<void>}
+ */
+async function forgetTodos(context, todoCache, ids) {
+    Object.keys(todoCache).forEach(uriStr => {
+        ids.forEach(id => delete todoCache[uriStr][id]);
+    });
+    await context.workspaceState.update(TODO_CACHE_KEY, todoCache);
+}
+
+/**
+ * Returns the TODOs a file had at its last sync, minus those now cached for another file,
+ * since a TODO moved between files keeps its ID and must not be treated as removed.
+ * @param {Object} todoCache - Cache of TODOs per file URI.
+ * @param {string} uriStr - The file URI.
+ * @returns {Object} The file's previous TODOs keyed by ID.
+ */
+function getRemovalCandidates(todoCache, uriStr) {
+    const candidates = Object.assign({}, todoCache[uriStr] || {});
+    Object.keys(todoCache).forEach(otherUri => {
+        if (otherUri !== uriStr) {
+            Object.keys(todoCache[otherUri]).forEach(id => delete candidates[id]);
+        }
+    });
+    return candidates;
+}
+
+/**
+ * Returns the IDs of the TODOs in the open documents other than a file, including unsaved changes.
+ * @param {string} uriStr - The URI of the file to leave out.
+ * @returns {Set<string>} The TODO IDs.
+ */
+function getOpenDocumentTodoIds(uriStr) {
+    const ids = new Set();
+    vscode.workspace.textDocuments
+        .filter(document => document.uri.toString() !== uriStr && (document.uri.scheme === 'file' || document.uri.scheme === 'untitled'))
+        .forEach(document => {
+            todoParser.findTodoComments(document.getText(), document.languageId).forEach(todoComment => {
+                if (todoComment.id) {
+                    ids.add(todoComment.id);
+                }
+            });
+        });
+    return ids;
+}
+
+/**
+ * Returns the TODOs a workspace scan may have removed: those cached for the files it read, and for
+ * deleted files of the workspace folders. Cached files that still exist but were not read, e.g. excluded,
+ * too large or beyond the file limit of the scan, are left out, as their TODOs are unknown.
+ * @param {Object} todoCache - Cache of TODOs per file URI.
+ * @param {Array} files - The files read by the scan, as { uri, todos }.
+ * @returns {Promise<Object>} The previous TODOs keyed by ID, and the URIs of the deleted files, as { cachedTodos, deletedUris }.
+ */
+async function getWorkspaceRemovalCandidates(todoCache, files) {
+    const readUris = new Set(files.map(file => file.uri.toString()));
+    const cachedTodos = {};
+    const deletedUris = [];
+    for (const uriStr of Object.keys(todoCache)) {
+        if (!readUris.has(uriStr)) {
+            const uri = vscode.Uri.parse(uriStr);
+            if (!vscode.workspace.getWorkspaceFolder(uri) || await fileExists(uri)) {
+                continue;
+            }
+            deletedUris.push(uriStr);
+        }
+        Object.assign(cachedTodos, getRemovalCandidates(todoCache, uriStr));
+    }
+    return { cachedTodos, deletedUris };
+}
+
+/**
+ * Tells whether a file exists.
+ * @param {Object} uri - The file URI.
+ * @returns {Promise<boolean>} False if the file is gone.
+ */
+async function fileExists(uri) {
+    try {
+        await vscode.workspace.fs.stat(uri);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
 /**
  * Injects TODO IDs into comments where they are missing.
  * @param {Object} document - The TextDocument to inject IDs into.
@@ -201,17 +1026,10 @@ function syncTodosOnSave(document, context, todoCache, debug) {
  */
 function injectTodoIds(document, todos, debug) {
     vscode.window.showTextDocument(document).then(editor => {
+        const edits = getIdEdits(editor.document, todos, debug);
         editor.edit(editBuilder => {
-            todos.forEach(todo => {
-                const line = todo.line;
-                const lineText = editor.document.lineAt(line).text;
-                // Remove any existing [id:...] from the line
-                const newLineText = lineText.replace(/\s*\[id:[a-z0-9-]+\]$/i, '').trimEnd() + ` [id:${todo.id}]`;
-                if (lineText !== newLineText) {
-                    const range = editor.document.lineAt(line).range;
-                    editBuilder.replace(range, newLineText);
-                    debug && debug(`Injected or updated ID ${todo.id} for TODO at line ${line + 1}: ${todo.text}`);
-                }
+            edits.forEach(edit => {
+                editBuilder.replace(edit.range, edit.text);
             });
         }).then(applied => {
             if (applied) {
@@ -230,8 +1048,94 @@ function injectTodoIds(document, todos, debug) {
     });
 }
 
+/**
+ * Injects TODO IDs into a file without showing it in an editor.
+ * Files that had unsaved changes are edited but left unsaved.
+ * @param {Object} uri - The URI of the file to inject IDs into.
+ * @param {Array} todos - Array of TODO objects to inject IDs for.
+ * @param {Function} debug - Debug logging function.
+ * @returns {Promise<boolean>} - Resolves to true if the file was changed.
+ */
+function injectTodoIdsInFile(uri, todos, debug) {
+    return vscode.workspace.openTextDocument(uri).then(document => {
+        const wasDirty = document.isDirty;
+        const edits = getIdEdits(document, todos, debug);
+        if (edits.length === 0) {
+            return false;
+        }
+        const workspaceEdit = new vscode.WorkspaceEdit();
+        edits.forEach(edit => {
+            workspaceEdit.replace(uri, edit.range, edit.text);
+        });
+        return vscode.workspace.applyEdit(workspaceEdit).then(applied => {
+            if (!applied) {
+                debug(`Failed to inject TODO IDs into ${uri.fsPath}.`);
+                return false;
+            }
+            if (wasDirty) {
+                debug(`Injected TODO IDs into ${uri.fsPath}; left unsaved because it had unsaved changes.`);
+                return true;
+            }
+            skipNextSaveForUri[uri.toString()] = true;
+            return document.save().then(() => {
+                debug(`Injected TODO IDs into ${uri.fsPath} and saved it.`);
+                return true;
+            });
+        });
+    });
+}
+
+/**
+ * Computes the edits that add or refresh [id:...] markers on TODO comments.
+ * Lines whose comment already carries the right ID produce no edit.
+ * @param {Object} document - The TextDocument holding the TODOs.
+ * @param {Array} todos - Array of TODO objects to inject IDs for.
+ * @param {Function} debug - Debug logging function.
+ * @returns {Array} Edits with a range and the replacement text.
+ */
+function getIdEdits(document, todos, debug) {
+    const todoComments = todoParser.findTodoComments(document.getText(), document.languageId);
+    const edits = [];
+    todos.forEach(todo => {
+        const line = todo.line;
+        const todoComment = todoComments.find(comment => comment.line === line);
+        if (!todoComment) {
+            debug && debug(`Skipped ID injection for TODO at line ${line + 1}: comment no longer found.`);
+            return;
+        }
+        const lineText = document.lineAt(line).text;
+        // Rewrite the body with the ID appended, inside the comment closer if there is one
+        const edit = todoParser.formatTodoBody(lineText, todoComment, todoComment.text, todo.id);
+        const newLineText = lineText.slice(0, edit.startColumn) + edit.text + lineText.slice(edit.endColumn);
+        if (lineText !== newLineText) {
+            edits.push({
+                range: new vscode.Range(line, edit.startColumn, line, edit.endColumn),
+                text: edit.text
+            });
+            debug && debug(`Injected or updated ID ${todo.id} for TODO at line ${line + 1}: ${todo.text}`);
+        }
+    });
+    return edits;
+}
+
+/**
+ * Finds the TODO comment on a given line of a document.
+ * @param {Object} document - The TextDocument to search.
+ * @param {number} line - The zero-based line number.
+ * @returns {Object|undefined} The TODO comment as returned by todoParser.findTodoComments.
+ */
+function findTodoCommentAtLine(document, line) {
+    return todoParser.findTodoComments(document.getText(), document.languageId).find(comment => comment.line === line);
+}
+
 module.exports = {
     syncNotionToCode,
     syncTodosOnSave,
-    injectTodoIds
+    loadTodoCache,
+    syncWorkspace,
+    syncTodo,
+    previewSync,
+    injectTodoIds,
+    removeTodoFromCode,
+    onDidSync: syncEmitter.event
 };
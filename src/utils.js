@@ -2,7 +2,9 @@
  * Utility functions for TODOtoNOTION extension.
  */
 
-var vscode = require('vscode');
+var host = require('./host.js');
+var config = require('./config.js');
+var workspacePaths = require('./workspacePaths.js');
 
 /**
  * Generates a random UUID-like ID for TODO items.
@@ -17,16 +19,48 @@ function generateRandomId() {
 }
 
 /**
- * Returns a regex pattern to match TODO comments.
- * @returns {RegExp} The regex pattern for TODO tags.
+ * Returns a regex pattern to match a TODO tag at the start of a comment's content.
+ * Comment openers are located by the language-aware tokenizer in commentSyntax.
+ * Tags come from the TODOtoNOTION.tags setting, plus status tags such as DONE from TODOtoNOTION.statuses.
+ * @returns {RegExp} The regex pattern for TODO tags, capturing the tag, an optional [marker] and an optional (annotation), and consuming the separator.
  */
 function getTodoRegex() {
-    const tags = ["TODO", "FIXME", "BUG", "HACK", "XXX"];
-    const tagPattern = tags.join("|");
-    return new RegExp(`\/\/\\s*(${tagPattern})\\s*`, 'i');
+    const tags = config.getTagDefinitions().map(definition => definition.tag);
+    const statusTags = config.getStatusDefinitions().map(definition => definition.tag).filter(tag => tag && !tags.includes(tag));
+    const tagPattern = tags.concat(statusTags).map(escapeRegex).join("|");
+    return new RegExp(`^\\s*(${tagPattern})(?![\\w-])(?:\\[([^\\]:]+)\\])?(?:\\(([^)]*)\\))?[:\\s]*`, 'i');
+}
+
+/**
+ * Escapes characters that have a special meaning in regular expressions.
+ * @param {string} value - The literal text to escape.
+ * @returns {string} The escaped text, safe to embed in a RegExp.
+ */
+function escapeRegex(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Returns the folders of the workspace, for converting TODO paths.
+ * @returns {Array} The folders as { name, fsPath }.
+ */
+function getWorkspaceFolders() {
+    return host.getWorkspaceFolders();
+}
+
+/**
+ * Returns the portable location of a file for the TODOs found in it.
+ * @param {Object} uri - The file URI.
+ * @returns {Object} The filePath relative to its workspace folder and the workspaceFolder name, as for workspacePaths.toPortablePath.
+ */
+function getTodoLocation(uri) {
+    return workspacePaths.toPortablePath(uri.fsPath, getWorkspaceFolders());
 }
 
 module.exports = {
     generateRandomId,
-    getTodoRegex
+    getWorkspaceFolders,
+    getTodoLocation,
+    getTodoRegex,
+    escapeRegex
 };
@@ -0,0 +1,118 @@
+/**
+ * Module converting TODO file paths between local and portable forms for the TODOtoNOTION extension.
+ * Notion holds the path of a TODO relative to its workspace folder, with forward slashes, next to the
+ * folder name, so every teammate writes the same values whatever their clone is called or where it lives.
+ * Files outside every workspace folder keep their absolute path.
+ */
+
+var path = require('path');
+
+/**
+ * Tells whether a path is absolute, on this or any other platform, e.g. a path written by a teammate on Windows.
+ * @param {string} filePath - The path.
+ * @returns {boolean} True if the path is absolute.
+ */
+function isAbsolutePath(filePath) {
+    return path.isAbsolute(filePath) || /^[a-zA-Z]:[\\/]/.test(filePath) || filePath.startsWith('\\\\');
+}
+
+/**
+ * Returns the workspace folder holding a file; the innermost one if folders are nested.
+ * @param {string} absolutePath - The local path of the file.
+ * @param {Array} folders - The workspace folders as { name, fsPath }.
+ * @returns {Object|undefined} The folder, if the file is inside one.
+ */
+function findFolder(absolutePath, folders) {
+    return folders
+        .filter(folder => {
+            const relative = path.relative(folder.fsPath, absolutePath);
+            return relative && !relative.startsWith('..') && !path.isAbsolute(relative);
+        })
+        .sort((first, second) => second.fsPath.length - first.fsPath.length)[0];
+}
+
+/**
+ * Converts a glob to a regular expression. Supports "**", "*", "?", "{a,b}" and character classes;
+ * "**" also matches no folder, so "src/**\/*.js" matches "src/app.js".
+ * @param {string} glob - The glob, relative to the workspace folder.
+ * @returns {RegExp} The regular expression matching whole paths.
+ */
+function globToRegExp(glob) {
+    let pattern = "";
+    let braces = 0;
+    const normalized = glob.replace(/\\/g, '/').replace(/^\.?\//, '');
+    for (let i = 0; i < normalized.length; i++) {
+        const char = normalized[i];
+        if (char === '*' && normalized[i + 1] === '*') {
+            const slash = normalized[i + 2] === '/';
+            pattern += slash ? "(?:.*/)?" : ".*";
+            i += slash ? 2 : 1;
+        } else if (char === '*') {
+            pattern += "[^/]*";
+        } else if (char === '?') {
+            pattern += "[^/]";
+        } else if (char === '{') {
+            braces++;
+            pattern += "(?:";
+        } else if (char === '}' && braces > 0) {
+            braces--;
+            pattern += ")";
+        } else if (char === ',' && braces > 0) {
+            pattern += "|";
+        } else if (char === '[') {
+            const end = normalized.indexOf(']', i + 1);
+            if (end === -1) {
+                pattern += "\\[";
+            } else {
+                pattern += "[" + normalized.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\') + "]";
+                i = end;
+            }
+        } else {
+            pattern += char.replace(/[.+^$()|\]\\]/g, '\\$&');
+        }
+    }
+    // A glob naming a folder, such as "packages/api", covers the files inside it
+    return new RegExp(`^${pattern}(?:/.*)?$`);
+}
+
+/**
+ * Converts the local path of a file to the path stored in Notion.
+ * @param {string} absolutePath - The local path of the file.
+ * @param {Array} folders - The workspace folders as { name, fsPath }.
+ * @returns {Object} The filePath, relative to the workspace folder with forward slashes, and the workspaceFolder name;
+ * the absolute path and "" for files outside the workspace.
+ */
+function toPortablePath(absolutePath, folders) {
+    const folder = findFolder(absolutePath, folders);
+    if (!folder) {
+        return { filePath: absolutePath, workspaceFolder: "" };
+    }
+    return { filePath: path.relative(folder.fsPath, absolutePath).split(path.sep).join('/'), workspaceFolder: folder.name };
+}
+
+/**
+ * Resolves a path stored in Notion to a local path. A relative path is looked up in the workspace folder of
+ * that name, or in the only workspace folder, since clones may be named differently; an absolute path,
+ * as written before paths were portable, is only kept if it lies in the workspace.
+ * @param {string} filePath - The stored path.
+ * @param {string} [workspaceFolder] - The stored workspace folder name.
+ * @param {Array} folders - The workspace folders as { name, fsPath }.
+ * @returns {string|null} The local path, or null if the file does not belong to this workspace.
+ */
+function toAbsolutePath(filePath, workspaceFolder, folders) {
+    if (!filePath) {
+        return null;
+    }
+    if (isAbsolutePath(filePath)) {
+        return findFolder(filePath, folders) ? filePath : null;
+    }
+    const folder = folders.find(candidate => candidate.name === workspaceFolder) || (folders.length === 1 ? folders[0] : undefined);
+    return folder ? path.join(folder.fsPath, ...filePath.split('/')) : null;
+}
+
+module.exports = {
+    isAbsolutePath,
+    globToRegExp,
+    toPortablePath,
+    toAbsolutePath
+};
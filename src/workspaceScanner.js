@@ -0,0 +1,153 @@
+/**
+ * Module for scanning every file in the workspace for TODO items in the TODOtoNOTION extension.
+ * Files are read from disk and parsed without opening editors.
+ */
+
+var vscode = require('vscode');
+var path = require('path');
+var ignore = require('ignore');
+var commentSyntax = require('./commentSyntax.js');
+var todoParser = require('./todoParser.js');
+var config = require('./config.js');
+var utils = require('./utils.js');
+
+var MAX_FILES = 10000;
+var MAX_FILE_SIZE = 1024 * 1024;
+
+/**
+ * Reads the root .gitignore of a workspace folder into a matcher.
+ * Nested .gitignore files are not read.
+ * @param {Object} folder - The VSCode WorkspaceFolder.
+ * @param {Function} debug - Debug logging function.
+ * @returns {Promise<Object|undefined>} The matcher of ignored paths, or undefined if there is no .gitignore.
+ */
+async function readGitignore(folder, debug) {
+    try {
+        const content = await vscode.workspace.fs.readFile(vscode.Uri.joinPath(folder.uri, '.gitignore'));
+        debug(`Loaded .gitignore of ${folder.name}`);
+        return ignore().add(Buffer.from(content).toString('utf8'));
+    } catch (error) {
+        debug(`No .gitignore used for ${folder.name}: ${error.message}`);
+        return undefined;
+    }
+}
+
+/**
+ * Builds the combined exclude glob for a workspace folder from files.exclude and the TODOtoNOTION.exclude setting.
+ * @param {Object} folder - The VSCode WorkspaceFolder.
+ * @returns {string|undefined} A single brace-expanded glob, or undefined if nothing is excluded.
+ */
+function buildExcludeGlob(folder) {
+    const globs = [];
+    const filesExclude = vscode.workspace.getConfiguration('files', folder.uri).get('exclude', {});
+    Object.keys(filesExclude || {}).forEach(glob => {
+        if (filesExclude[glob] === true) {
+            globs.push(glob);
+        }
+    });
+    globs.push(...config.getExcludeGlobs());
+    return globs.length > 0 ? `{${globs.join(',')}}` : undefined;
+}
+
+/**
+ * Finds all files in the workspace that may contain TODO comments.
+ * @param {Object} cancellationToken - The VSCode CancellationToken for the scan.
+ * @param {Function} debug - Debug logging function.
+ * @returns {Promise<Array>} URIs of files whose language has a known comment syntax.
+ */
+async function findWorkspaceFiles(cancellationToken, debug) {
+    const folders = vscode.workspace.workspaceFolders || [];
+    const uris = [];
+    for (const folder of folders) {
+        if (cancellationToken.isCancellationRequested) {
+            break;
+        }
+        const gitignore = await readGitignore(folder, debug);
+        const found = await vscode.workspace.findFiles(new vscode.RelativePattern(folder, '**/*'), buildExcludeGlob(folder), MAX_FILES - uris.length, cancellationToken);
+        found.forEach(uri => {
+            if (!commentSyntax.getLanguageIdForPath(uri.fsPath)) {
+                return;
+            }
+            // The matcher takes paths relative to the folder holding the .gitignore, with forward slashes
+            if (gitignore && gitignore.ignores(path.relative(folder.uri.fsPath, uri.fsPath).split(path.sep).join('/'))) {
+                return;
+            }
+            uris.push(uri);
+        });
+        debug(`Found ${found.length} files in workspace folder ${folder.name}`);
+    }
+    if (uris.length >= MAX_FILES) {
+        debug(`Reached file limit of ${MAX_FILES} for workspace scan. Remaining files are skipped.`);
+    }
+    return uris;
+}
+
+/**
+ * Reads a file's text, preferring the in-memory content of an already open document.
+ * @param {Object} uri - The file URI.
+ * @returns {Promise<Object|null>} The text and language ID, or null for large or binary files.
+ */
+async function readFileText(uri) {
+    const openDocument = vscode.workspace.textDocuments.find(document => document.uri.toString() === uri.toString());
+    if (openDocument) {
+        return { text: openDocument.getText(), languageId: openDocument.languageId };
+    }
+    const stat = await vscode.workspace.fs.stat(uri);
+    if (stat.size > MAX_FILE_SIZE) {
+        return null;
+    }
+    const content = Buffer.from(await vscode.workspace.fs.readFile(uri));
+    if (content.subarray(0, 8000).includes(0)) {
+        return null;
+    }
+    return { text: content.toString('utf8'), languageId: commentSyntax.getLanguageIdForPath(uri.fsPath) };
+}
+
+/**
+ * Scans every workspace file for TODO items, reporting progress as it goes.
+ * @param {Object} progress - The VSCode Progress object; the scan reports up to 50% of the total.
+ * @param {Object} cancellationToken - The VSCode CancellationToken for the scan.
+ * @param {Function} debug - Debug logging function.
+ * @returns {Promise<Array>} One entry per file read, with the TODOs found in it, if any: { uri, todos }.
+ */
+async function scanWorkspace(progress, cancellationToken, debug) {
+    progress.report({ message: "Finding files..." });
+    const uris = await findWorkspaceFiles(cancellationToken, debug);
+    const files = [];
+    let todoCount = 0;
+    let todoFileCount = 0;
+
+    for (let i = 0; i < uris.length; i++) {
+        if (cancellationToken.isCancellationRequested) {
+            debug(`Workspace scan cancelled after ${i} of ${uris.length} files.`);
+            break;
+        }
+        const uri = uris[i];
+        try {
+            const content = await readFileText(uri);
+            if (content) {
+                const todos = todoParser.parseTodosInText(content.text, content.languageId, utils.getTodoLocation(uri));
+                todos.forEach(todo => {
+                    todo.uri = uri;
+                });
+                // Files without TODOs are returned too, so TODOs removed from them are detected
+                files.push({ uri, todos });
+                todoCount += todos.length;
+                todoFileCount += todos.length > 0 ? 1 : 0;
+            }
+        } catch (error) {
+            debug(`Skipped ${uri.fsPath} during workspace scan: ${error.message}`);
+        }
+        progress.report({
+            message: `Scanning files (${i + 1}/${uris.length}), ${todoCount} TODOs found`,
+            increment: 50 / uris.length
+        });
+    }
+
+    debug(`Workspace scan found ${todoCount} TODOs in ${todoFileCount} of ${files.length} files read.`);
+    return files;
+}
+
+module.exports = {
+    scanWorkspace
+};